@@ -0,0 +1,405 @@
+import * as THREE from 'three';
+import { Tensor } from '../inference/Tensor.js';
+import { parseNPY } from '../inference/NPY.js';
+
+// Token rows are pinned in the XY plane: positions along x, blocks up y
+const TOKEN_SPACING = 1.2;
+const BLOCK_SPACING = 3;
+const MAX_EXTENT = 16;
+
+// Ribbon width of an attention edge at full weight and of a residual path
+const ATTENTION_WIDTH = 0.16;
+const RESIDUAL_WIDTH = 0.08;
+const RESIDUAL_OPACITY = 0.5;
+
+// Attention edges outside the current step stay faintly visible
+const HIDDEN_OPACITY = 0.04;
+
+// Particle signal on residual paths, relative to full attention
+const RESIDUAL_SIGNAL = 0.3;
+
+function spread(slot, count, spacing) {
+    if (count <= 1) return 0;
+    return (slot - (count - 1) / 2) * Math.min(spacing, MAX_EXTENT / (count - 1));
+}
+
+function getNestedShape(values) {
+    const shape = [];
+    for (let level = values; Array.isArray(level); level = level[0]) {
+        shape.push(level.length);
+    }
+    return shape;
+}
+
+/**
+ * Attention weights as a Tensor of [layers, heads, queries, keys] from a
+ * Tensor, NPY bytes or nested arrays. Two or three dimensions stand for a
+ * single head or a single layer.
+ */
+export function toAttentionTensor(source) {
+    let tensor;
+    
+    if (source instanceof Tensor) {
+        tensor = source;
+    } else if (source instanceof ArrayBuffer || source instanceof Uint8Array) {
+        tensor = parseNPY(source);
+    } else if (Array.isArray(source)) {
+        const shape = getNestedShape(source);
+        tensor = new Tensor(shape, source.flat(shape.length - 1));
+    } else {
+        throw new Error('Attention weights must be nested arrays, NPY bytes or a Tensor');
+    }
+    
+    const { shape } = tensor;
+    if (shape.length < 2 || shape.length > 4) {
+        throw new Error(`Attention weights of shape [${shape}] need 2 to 4 dimensions`);
+    }
+    
+    const full = [...new Array(4 - shape.length).fill(1), ...shape];
+    if (full[2] !== full[3]) {
+        throw new Error(`Attention maps of ${full[2]}×${full[3]} are not square; queries and keys must be the same tokens`);
+    }
+    
+    return new Tensor(full, tensor.data);
+}
+
+/**
+ * Reads attention weights from a URL, a File, NPY bytes, nested arrays or
+ * a { "tokens": [...], "attention": [...] } document. URLs and files
+ * ending in .npy are read as NPY, anything else as JSON. Resolves to
+ * { attention, tokens }, tokens being null unless the document has them.
+ */
+export async function readAttention(source) {
+    let data = source;
+    
+    if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} while fetching ${source}`);
+        }
+        data = /\.npy$/i.test(new URL(source, window.location.href).pathname)
+            ? await response.arrayBuffer()
+            : await response.json();
+    } else if (typeof File !== 'undefined' && source instanceof File) {
+        data = /\.npy$/i.test(source.name) ? await source.arrayBuffer() : JSON.parse(await source.text());
+    }
+    
+    if (data && data.attention !== undefined) {
+        return { attention: toAttentionTensor(data.attention), tokens: data.tokens || null };
+    }
+    
+    return { attention: toAttentionTensor(data), tokens: null };
+}
+
+/**
+ * Topology document for a stack of transformer blocks: a row of token
+ * nodes per block boundary (the embeddings, then each block's output), a
+ * residual edge from every token to itself one row up, and an attention
+ * edge from key j to query i one row up for each head. Each query keeps
+ * its `topK` strongest keys with at least `minWeight`. Nodes are pinned,
+ * so layouts leave them be.
+ *
+ * Besides the usual fields the document has `edgeHeads`: the head of each
+ * edge, in edge order, or -1 for a residual path. AttentionView.load()
+ * takes it.
+ */
+export function describeTransformer(attention, { tokens = null, topK = 8, minWeight = 0.02, name = 'Transformer' } = {}) {
+    const [layerCount, headCount, tokenCount] = attention.shape;
+    const labels = tokens || Array.from({ length: tokenCount }, (_, i) => `t${i}`);
+    
+    if (labels.length !== tokenCount) {
+        throw new Error(`${labels.length} tokens given for attention over ${tokenCount}`);
+    }
+    
+    const nodeId = (row, token) => `block${row}_t${token}`;
+    const layers = Array.from({ length: layerCount + 1 }, (_, row) => ({
+        id: `block${row}`,
+        label: row === 0 ? 'Embeddings' : `Block ${row}`,
+        type: row === 0 ? 'Embedding' : 'TransformerBlock',
+        nodes: labels.map((token, i) => ({
+            id: nodeId(row, i),
+            label: `${token} (${i})`,
+            position: [spread(i, tokenCount, TOKEN_SPACING), spread(row, layerCount + 1, BLOCK_SPACING), 0]
+        }))
+    }));
+    
+    const edges = [];
+    const edgeHeads = [];
+    
+    for (let layer = 0; layer < layerCount; layer++) {
+        for (let i = 0; i < tokenCount; i++) {
+            edges.push({ source: nodeId(layer, i), target: nodeId(layer + 1, i), label: 'residual' });
+            edgeHeads.push(-1);
+        }
+        
+        for (let head = 0; head < headCount; head++) {
+            for (let query = 0; query < tokenCount; query++) {
+                const keys = [];
+                for (let key = 0; key < tokenCount; key++) {
+                    const weight = attention.get(layer, head, query, key);
+                    if (weight >= minWeight) keys.push({ key, weight });
+                }
+                
+                keys.sort((a, b) => b.weight - a.weight).slice(0, topK).forEach(({ key, weight }) => {
+                    edges.push({
+                        source: nodeId(layer, key),
+                        target: nodeId(layer + 1, query),
+                        weight,
+                        label: `head ${head + 1}`
+                    });
+                    edgeHeads.push(head);
+                });
+            }
+        }
+    }
+    
+    return { name, layers, edges, edgeHeads: Int16Array.from(edgeHeads) };
+}
+
+/**
+ * Steps through the attention of a transformer loaded with
+ * describeTransformer(): each layer with all heads at once, then head by
+ * head. Edges are coloured by head; those of the current step widen and
+ * brighten with their weight while the rest fade, residual paths stay
+ * on throughout, and key tokens glow with the attention they receive.
+ * Particles run along the current step's edges, denser where attention
+ * is stronger. `time` is a step index, driven by play() or PlaybackControls.
+ *
+ * Dispatches 'change' ({ time, playing }) for UI sync and 'step' whenever
+ * the edges of the current step change.
+ */
+export class AttentionView extends THREE.EventDispatcher {
+    constructor(neuralNetwork, particleFlow, { stepsPerSecond = 1 } = {}) {
+        super();
+        
+        this.neuralNetwork = neuralNetwork;
+        this.particleFlow = particleFlow;
+        this.stepsPerSecond = stepsPerSecond;
+        
+        this.loaded = false;
+        this.playing = false;
+        this.speed = 1;
+        this.time = 0;
+        this.attention = null;
+        this.edgeHeads = null;
+        this.headColors = [];
+        // { layer, head } per step, head null for all heads
+        this.steps = [];
+        this.currentStep = -1;
+        // Edge indices of the current step, residual paths included
+        this.stepEdges = new Set();
+    }
+    
+    get duration() {
+        return Math.max(this.steps.length - 1, 0);
+    }
+    
+    load(attention, edgeHeads) {
+        // The Tensor and edgeHeads given to and returned by
+        // describeTransformer(), whose topology the network shows
+        const [layerCount, headCount] = attention.shape;
+        
+        if (edgeHeads.length !== this.neuralNetwork.edges.length) {
+            throw new Error('Attention does not match the loaded topology');
+        }
+        
+        this.attention = attention;
+        this.edgeHeads = edgeHeads;
+        this.headColors = Array.from({ length: headCount }, (_, head) => {
+            return new THREE.Color().setHSL(head / headCount, 0.75, 0.55);
+        });
+        
+        this.steps = [];
+        for (let layer = 0; layer < layerCount; layer++) {
+            this.steps.push({ layer, head: null });
+            for (let head = 0; head < headCount; head++) {
+                this.steps.push({ layer, head });
+            }
+        }
+        
+        this.neuralNetwork.setEdgeColors(Array.from(edgeHeads, head => (head >= 0 ? this.headColors[head] : null)));
+        
+        this.loaded = true;
+        this.currentStep = -1;
+        this.seek(0);
+    }
+    
+    unload() {
+        if (!this.loaded) return;
+        
+        this.pause();
+        this.loaded = false;
+        this.steps = [];
+        this.attention = null;
+        this.edgeHeads = null;
+        this.currentStep = -1;
+        this.stepEdges = new Set();
+        
+        this.neuralNetwork.setEdgeColors(null);
+        this.neuralNetwork.resetStyle();
+        this.particleFlow.setEdgeSignals(null);
+        this.emitChange();
+        this.dispatchEvent({ type: 'step' });
+    }
+    
+    play() {
+        if (!this.loaded) return;
+        
+        if (this.time >= this.duration) {
+            this.seek(0);
+        }
+        
+        this.playing = true;
+        this.emitChange();
+    }
+    
+    pause() {
+        this.playing = false;
+        this.emitChange();
+    }
+    
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+    
+    stepForward() {
+        this.pause();
+        this.seek(Math.min(Math.floor(this.time) + 1, this.duration));
+    }
+    
+    stepBackward() {
+        this.pause();
+        const target = Number.isInteger(this.time) ? this.time - 1 : Math.floor(this.time);
+        this.seek(Math.max(target, 0));
+    }
+    
+    setSpeed(speed) {
+        this.speed = Math.max(0.05, speed);
+        this.emitChange();
+    }
+    
+    seek(time) {
+        if (!this.loaded) return;
+        
+        this.time = THREE.MathUtils.clamp(time, 0, this.duration);
+        this.applyStep();
+        this.emitChange();
+    }
+    
+    showStep(layer, head = null) {
+        // Jumps to a layer with one head, or all of them for null
+        const index = this.steps.findIndex(step => step.layer === layer && step.head === head);
+        if (index === -1) {
+            throw new Error(`No attention step for layer ${layer}, head ${head}`);
+        }
+        
+        this.pause();
+        this.seek(index);
+    }
+    
+    getStep() {
+        return this.steps[Math.min(Math.floor(this.time), this.duration)];
+    }
+    
+    isInStep(edgeIndex, { layer, head }) {
+        // Edges leave the row below the layer's block
+        const { nodes, edges } = this.neuralNetwork;
+        if (nodes[edges[edgeIndex].userData.startIdx].userData.layerIndex !== layer) return false;
+        
+        const edgeHead = this.edgeHeads[edgeIndex];
+        return edgeHead === -1 || head === null || edgeHead === head;
+    }
+    
+    applyStep() {
+        const index = Math.min(Math.floor(this.time), this.duration);
+        if (index === this.currentStep) return;
+        this.currentStep = index;
+        
+        const step = this.steps[index];
+        const mesh = this.neuralNetwork;
+        const widths = new Float32Array(mesh.edges.length);
+        const signals = new Float32Array(mesh.edges.length);
+        this.stepEdges = new Set();
+        
+        mesh.edges.forEach((edge, edgeIndex) => {
+            const residual = this.edgeHeads[edgeIndex] === -1;
+            const weight = residual ? 0 : edge.userData.weight;
+            const inStep = this.isInStep(edgeIndex, step);
+            
+            if (inStep) this.stepEdges.add(edgeIndex);
+            signals[edgeIndex] = !inStep ? 0 : residual ? RESIDUAL_SIGNAL : weight;
+            
+            if (residual) {
+                widths[edgeIndex] = RESIDUAL_WIDTH;
+                mesh.setEdgeOpacity(edge, RESIDUAL_OPACITY);
+            } else {
+                widths[edgeIndex] = ATTENTION_WIDTH * (inStep ? 0.15 + weight * 0.85 : 0.15);
+                mesh.setEdgeOpacity(edge, inStep ? 0.2 + weight * 0.8 : HIDDEN_OPACITY);
+            }
+        });
+        
+        mesh.setEdgeWidths(widths);
+        mesh.setNodeActivity(this.getKeyMass(step));
+        this.particleFlow.setEdgeSignals(signals);
+        this.dispatchEvent({ type: 'step' });
+    }
+    
+    getKeyMass({ layer, head }) {
+        // Attention each key token receives in this step (summed over
+        // queries and shown heads), normalized, in node order
+        const [, headCount, tokenCount] = this.attention.shape;
+        const mass = new Float32Array(tokenCount);
+        
+        for (let h = 0; h < headCount; h++) {
+            if (head !== null && h !== head) continue;
+            
+            for (let query = 0; query < tokenCount; query++) {
+                for (let key = 0; key < tokenCount; key++) {
+                    mass[key] += this.attention.get(layer, h, query, key);
+                }
+            }
+        }
+        
+        const max = mass.reduce((m, value) => Math.max(m, value), 1e-6);
+        const activity = new Float32Array(this.neuralNetwork.nodes.length);
+        this.neuralNetwork.layerNodes[layer].forEach((nodeIndex, token) => {
+            activity[nodeIndex] = mass[token] / max;
+        });
+        
+        return activity;
+    }
+    
+    maskEdges(edges = null) {
+        // The given edge indices (all for null) that belong to the current
+        // step, for the particle mask
+        if (!edges) return new Set(this.stepEdges);
+        return new Set([...edges].filter(edgeIndex => this.stepEdges.has(edgeIndex)));
+    }
+    
+    update(deltaTime) {
+        if (!this.playing) return;
+        
+        this.time = Math.min(this.time + deltaTime * this.speed * this.stepsPerSecond, this.duration);
+        this.applyStep();
+        
+        if (this.time >= this.duration) {
+            this.playing = false;
+        }
+        
+        this.emitChange();
+    }
+    
+    getLabel() {
+        const { layer, head } = this.getStep();
+        return `Layer ${layer + 1} · ${head === null ? 'all heads' : `head ${head + 1}`}`;
+    }
+    
+    emitChange() {
+        this.dispatchEvent({
+            type: 'change',
+            time: this.time,
+            playing: this.playing
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+import { Vector3 } from 'three';
+
+// Edges arch up towards their middle: two straight halves meeting at the
+// midpoint lifted by EDGE_ARCH. NeuralNetworkMesh draws this shape and
+// particles travel along it, so both must come from here.
+export const EDGE_ARCH = 0.25;
+
+// Floats per edge written by measureEdgeCurve()
+export const CURVE_STRIDE = 5;
+
+export function edgeCurvePoint(start, end, t, target = new Vector3()) {
+    // Point at parameter t in [0, 1] from start to end
+    target.lerpVectors(start, end, t);
+    target.y += (1 - Math.abs(2 * t - 1)) * EDGE_ARCH;
+    return target;
+}
+
+export function measureEdgeCurve(edges, edge, out, offset = edge * CURVE_STRIDE) {
+    // From flat [sx, sy, sz, tx, ty, tz] edges to [apex xyz, length of the
+    // first half, length of the second half], enough to place a point by
+    // arc length
+    const e = edge * 6;
+    const ax = (edges[e] + edges[e + 3]) / 2;
+    const ay = (edges[e + 1] + edges[e + 4]) / 2 + EDGE_ARCH;
+    const az = (edges[e + 2] + edges[e + 5]) / 2;
+    
+    out[offset] = ax;
+    out[offset + 1] = ay;
+    out[offset + 2] = az;
+    out[offset + 3] = Math.hypot(ax - edges[e], ay - edges[e + 1], az - edges[e + 2]);
+    out[offset + 4] = Math.hypot(edges[e + 3] - ax, edges[e + 4] - ay, edges[e + 5] - az);
+}
\ No newline at end of file
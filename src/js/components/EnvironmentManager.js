@@ -15,13 +15,9 @@ export class EnvironmentManager {
     }
     
     setupEnvironmentMap() {
-        // Create procedural environment map for reflections
-        const pmremGenerator = new THREE.PMREMGenerator(this.renderer);
-        pmremGenerator.compileEquirectangularShader();
-        
         // Create gradient environment
-        const envScene = new THREE.Scene();
-        const envMaterial = new THREE.ShaderMaterial({
+        this.envScene = new THREE.Scene();
+        this.envMaterial = new THREE.ShaderMaterial({
             uniforms: {
                 uTopColor: { value: new THREE.Color(0xffffff) },
                 uBottomColor: { value: new THREE.Color(0xcccccc) }
@@ -49,14 +45,23 @@ export class EnvironmentManager {
         });
         
         const envGeometry = new THREE.SphereGeometry(100, 32, 32);
-        const envMesh = new THREE.Mesh(envGeometry, envMaterial);
-        envScene.add(envMesh);
+        const envMesh = new THREE.Mesh(envGeometry, this.envMaterial);
+        this.envScene.add(envMesh);
+        
+        this.bakeEnvironmentMap();
+    }
+    
+    bakeEnvironmentMap() {
+        // Create procedural environment map for reflections
+        const pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+        pmremGenerator.compileEquirectangularShader();
         
         // Generate environment map
         const renderTarget = new THREE.WebGLCubeRenderTarget(256);
         const cubeCamera = new THREE.CubeCamera(0.1, 100, renderTarget);
-        cubeCamera.update(this.renderer, envScene);
+        cubeCamera.update(this.renderer, this.envScene);
         
+        if (this.scene.environment) this.scene.environment.dispose();
         this.scene.environment = pmremGenerator.fromCubemap(renderTarget.texture).texture;
         
         pmremGenerator.dispose();
@@ -68,7 +73,9 @@ export class EnvironmentManager {
         const bgGeometry = new THREE.SphereGeometry(50, 32, 32);
         const bgMaterial = new THREE.ShaderMaterial({
             uniforms: {
-                uTime: { value: 0 }
+                uTime: { value: 0 },
+                uBottomColor: { value: new THREE.Color(0.92, 0.92, 0.92) },
+                uTopColor: { value: new THREE.Color(0.98, 0.98, 0.98) }
             },
             vertexShader: `
                 varying vec2 vUv;
@@ -81,17 +88,15 @@ export class EnvironmentManager {
             `,
             fragmentShader: `
                 uniform float uTime;
+                uniform vec3 uBottomColor;
+                uniform vec3 uTopColor;
                 varying vec2 vUv;
                 varying vec3 vPosition;
                 
                 void main() {
-                    // Subtle gradient from light grey to white
+                    // Subtle vertical gradient between the theme's backdrop colours
                     float gradient = vUv.y;
-                    vec3 color = mix(
-                        vec3(0.92, 0.92, 0.92), // Light grey
-                        vec3(0.98, 0.98, 0.98), // Almost white
-                        gradient
-                    );
+                    vec3 color = mix(uBottomColor, uTopColor, gradient);
                     
                     // Add very subtle variation
                     float variation = sin(vPosition.x * 0.1 + uTime * 0.1) * 
@@ -110,6 +115,20 @@ export class EnvironmentManager {
         this.scene.add(this.backgroundSphere);
     }
     
+    applyTheme(theme, settled = true) {
+        const { colors } = theme;
+        
+        // The backdrop shader writes its colours as is, so they stay sRGB
+        const uniforms = this.backgroundSphere.material.uniforms;
+        uniforms.uBottomColor.value.copy(colors.backdropBottom).convertLinearToSRGB();
+        uniforms.uTopColor.value.copy(colors.backdropTop).convertLinearToSRGB();
+        
+        // Re-baking the reflections is too slow for every step of a fade
+        this.envMaterial.uniforms.uBottomColor.value.copy(colors.environmentBottom);
+        this.envMaterial.uniforms.uTopColor.value.copy(colors.environmentTop);
+        if (settled) this.bakeEnvironmentMap();
+    }
+    
     update(elapsedTime) {
         if (this.backgroundSphere) {
             this.backgroundSphere.material.uniforms.uTime.value = elapsedTime;
@@ -117,6 +136,8 @@ export class EnvironmentManager {
     }
     
     dispose() {
+        this.envMaterial.dispose();
+        
         if (this.backgroundSphere) {
             this.backgroundSphere.geometry.dispose();
             this.backgroundSphere.material.dispose();
@@ -0,0 +1,507 @@
+import * as THREE from 'three';
+
+// World size per doubling of a map's height or width, and of its channels
+const SPATIAL_SCALE = 0.5;
+const CHANNEL_SCALE = 0.15;
+const VOLUME_OPACITY = 0.3;
+
+// Activation slices drawn through a volume, spread evenly over its channels
+const MAX_SLICES = 8;
+const SLICE_OPACITY = 0.9;
+
+const CONE_OPACITY = 0.2;
+
+const _local = new THREE.Vector3();
+const _positive = new THREE.Color();
+const _negative = new THREE.Color();
+const _from = [0, 1, 2, 3].map(() => new THREE.Vector3());
+const _to = [0, 1, 2, 3].map(() => new THREE.Vector3());
+
+function scaleDimension(count, scale) {
+    return scale * Math.log2(1 + count);
+}
+
+function getReceptiveRange([first, last], featureMap, upstreamSize, axis) {
+    // Upstream rows (axis 0) or columns (axis 1) that feed output rows or
+    // columns first to last
+    const { window } = featureMap;
+    let start;
+    let end;
+    
+    if (window) {
+        const kernel = window.kernel[axis];
+        const stride = window.strides[axis];
+        const pad = window.pads[axis];
+        start = first * stride - pad;
+        end = last * stride - pad + kernel - 1;
+    } else {
+        // Elementwise layers, or maps given without their window: scale
+        const ratio = upstreamSize / (axis === 0 ? featureMap.height : featureMap.width);
+        start = Math.floor(first * ratio);
+        end = Math.ceil((last + 1) * ratio) - 1;
+    }
+    
+    return [
+        THREE.MathUtils.clamp(start, 0, upstreamSize - 1),
+        THREE.MathUtils.clamp(end, 0, upstreamSize - 1)
+    ];
+}
+
+/**
+ * Draws layers with a topology `featureMap` (conv, pooling and image input
+ * layers) as boxes sized by their height, width and channels, on a log
+ * scale so a 224×224×3 input and a 7×7×512 block both stay readable.
+ * Channels run along x, the axis LayeredLayout and GridLayout stack layers
+ * on; rows run down y and columns along z.
+ *
+ * The volumes stand in for the layers' nodes through LayerAggregation:
+ * each such layer is held collapsed and replaced, so its edges arrive as
+ * bundles and a double-click unfolds it into nodes like any slab.
+ * setFeatureMaps() fills volumes with textured slices of real activations,
+ * and selectUnit() traces a unit's receptive field back through the
+ * upstream volumes as a chain of cones.
+ */
+export class FeatureMapVolumes {
+    constructor(neuralNetwork, layerAggregation, params) {
+        this.neuralNetwork = neuralNetwork;
+        this.layerAggregation = layerAggregation;
+        this.params = params;
+        this.enabled = false;
+        
+        // Layer index -> { layerIndex, featureMap, upstream, size, group,
+        // box, outline, slices }, upstream being the volume feeding it
+        this.volumes = new Map();
+        // Layer index -> activations in height × width × channels order
+        this.maps = new Map();
+        this.hovered = null;
+        
+        // { layerIndex, row, column } and the cones back from it, each
+        // { from, to, fromRegion, toRegion } with regions of rows and columns
+        this.selected = null;
+        this.coneSteps = [];
+        
+        this.boxGeometry = new THREE.BoxGeometry(1, 1, 1);
+        this.outlineGeometry = new THREE.EdgesGeometry(this.boxGeometry);
+        this.sliceGeometry = new THREE.PlaneGeometry(1, 1);
+        
+        // Four sides per cone, and the windows at either end outlined
+        const color = new THREE.Color(0xff8844);
+        this.cones = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: CONE_OPACITY,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        this.windows = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({
+            color,
+            transparent: true
+        }));
+        [this.cones, this.windows].forEach(object => {
+            object.visible = false;
+            object.frustumCulled = false;
+            object.raycast = () => {};
+            this.neuralNetwork.group.add(object);
+        });
+        
+        this.rebuild();
+    }
+    
+    rebuild() {
+        // For a new topology, after LayerAggregation.rebuild()
+        this.clear();
+        
+        const { colors, topology } = this.neuralNetwork;
+        topology.layers.forEach((layer, layerIndex) => {
+            if (!layer.featureMap) return;
+            
+            const { height, width, channels } = layer.featureMap;
+            const size = new THREE.Vector3(
+                scaleDimension(channels, CHANNEL_SCALE),
+                scaleDimension(height, SPATIAL_SCALE),
+                scaleDimension(width, SPATIAL_SCALE)
+            );
+            
+            const box = new THREE.Mesh(this.boxGeometry, new THREE.MeshPhysicalMaterial({
+                color: colors.node,
+                emissive: colors.nodeEmissive,
+                metalness: 0.3,
+                roughness: 0.4,
+                transparent: true,
+                opacity: 0,
+                depthWrite: false
+            }));
+            box.scale.copy(size);
+            box.userData = { layerIndex, aggregate: true, featureMap: true };
+            
+            const outline = new THREE.LineSegments(this.outlineGeometry, new THREE.LineBasicMaterial({
+                color: colors.edge,
+                transparent: true
+            }));
+            outline.scale.copy(size);
+            outline.raycast = () => {};
+            
+            const group = new THREE.Group();
+            group.visible = false;
+            group.add(box, outline);
+            this.neuralNetwork.group.add(group);
+            
+            this.volumes.set(layerIndex, {
+                layerIndex,
+                featureMap: layer.featureMap,
+                upstream: null,
+                size,
+                group,
+                box,
+                outline,
+                slices: []
+            });
+        });
+        
+        this.volumes.forEach(volume => {
+            volume.upstream = this.findUpstream(volume.layerIndex);
+        });
+        this.applyEnabled();
+    }
+    
+    clear() {
+        this.selectUnit(null);
+        this.volumes.forEach(volume => {
+            this.clearSlices(volume);
+            volume.box.material.dispose();
+            volume.outline.material.dispose();
+            volume.group.removeFromParent();
+        });
+        this.volumes.clear();
+        this.maps.clear();
+        this.hovered = null;
+    }
+    
+    findUpstream(layerIndex) {
+        // The first volume whose nodes feed this layer's
+        const { nodes, edges, incomingEdges, layerNodes } = this.neuralNetwork;
+        
+        for (const nodeIndex of layerNodes[layerIndex]) {
+            for (const edgeIndex of incomingEdges[nodeIndex]) {
+                const source = nodes[edges[edgeIndex].userData.startIdx].userData.layerIndex;
+                if (source !== layerIndex && this.volumes.has(source)) return this.volumes.get(source);
+            }
+        }
+        
+        return null;
+    }
+    
+    applyEnabled() {
+        // params.featureMaps holds every volume layer collapsed; turning it
+        // off hands them back to the automatic level of detail
+        this.enabled = this.params.featureMaps !== false;
+        
+        this.volumes.forEach(({ layerIndex }) => {
+            this.layerAggregation.setReplaced(layerIndex, this.enabled);
+            this.layerAggregation.setCollapsed(layerIndex, this.enabled ? true : null);
+        });
+        
+        if (!this.enabled) this.selectUnit(null);
+    }
+    
+    setFeatureMaps(maps) {
+        // Layer id -> activations in height × width × channels order, flat
+        // or nested [row][column][channel]; null clears them. Layers without
+        // a volume are skipped
+        const resolved = new Map();
+        const { layers } = this.neuralNetwork.topology;
+        
+        Object.entries(maps || {}).forEach(([id, values]) => {
+            const layerIndex = layers.findIndex(layer => layer.id === id);
+            const volume = this.volumes.get(layerIndex);
+            if (!volume) return;
+            
+            const flat = Array.isArray(values) ? values.flat(Infinity) : values;
+            const { height, width, channels } = volume.featureMap;
+            if (!flat || flat.length !== height * width * channels) {
+                throw new Error(`Feature map for "${id}" needs ${height}×${width}×${channels} values`);
+            }
+            resolved.set(layerIndex, flat);
+        });
+        
+        this.maps = resolved;
+        this.volumes.forEach(volume => this.buildSlices(volume));
+    }
+    
+    buildSlices(volume) {
+        this.clearSlices(volume);
+        
+        const values = this.maps.get(volume.layerIndex);
+        if (!values) return;
+        
+        const { height, width, channels } = volume.featureMap;
+        const count = Math.min(channels, MAX_SLICES);
+        // One scale for the whole layer, so its slices compare
+        let max = 1e-6;
+        for (let i = 0; i < values.length; i++) max = Math.max(max, Math.abs(values[i]));
+        
+        // Texels are written as sRGB bytes
+        const { colors } = this.neuralNetwork;
+        _positive.copy(colors.positive).convertLinearToSRGB();
+        _negative.copy(colors.negative).convertLinearToSRGB();
+        
+        for (let slot = 0; slot < count; slot++) {
+            const channel = Math.floor((slot + 0.5) * channels / count);
+            const data = new Uint8Array(height * width * 4);
+            
+            for (let row = 0; row < height; row++) {
+                for (let column = 0; column < width; column++) {
+                    const value = values[(row * width + column) * channels + channel] / max;
+                    const color = value >= 0 ? _positive : _negative;
+                    // Texture rows run bottom up
+                    const texel = ((height - 1 - row) * width + column) * 4;
+                    data[texel] = color.r * 255;
+                    data[texel + 1] = color.g * 255;
+                    data[texel + 2] = color.b * 255;
+                    data[texel + 3] = Math.abs(value) * 255;
+                }
+            }
+            
+            const texture = new THREE.DataTexture(data, width, height);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.magFilter = THREE.NearestFilter;
+            texture.needsUpdate = true;
+            
+            const slice = new THREE.Mesh(this.sliceGeometry, new THREE.MeshBasicMaterial({
+                map: texture,
+                transparent: true,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            }));
+            // Facing along x, with columns running along +z
+            slice.rotation.y = -Math.PI / 2;
+            slice.scale.set(volume.size.z, volume.size.y, 1);
+            slice.position.x = ((slot + 0.5) / count - 0.5) * volume.size.x;
+            slice.userData.channel = channel;
+            slice.raycast = () => {};
+            
+            volume.group.add(slice);
+            volume.slices.push(slice);
+        }
+    }
+    
+    clearSlices(volume) {
+        volume.slices.forEach(slice => {
+            slice.material.map.dispose();
+            slice.material.dispose();
+            slice.removeFromParent();
+        });
+        volume.slices = [];
+    }
+    
+    getUnitAt(object, point) {
+        // Row and column of a volume under a world position on it, or null
+        // for anything that isn't a volume
+        const volume = object ? this.volumes.get(object.userData.layerIndex) : null;
+        if (!volume || volume.box !== object) return null;
+        
+        // The box is a unit cube scaled to the volume
+        const local = object.worldToLocal(_local.copy(point));
+        const { height, width } = volume.featureMap;
+        
+        return {
+            layerIndex: volume.layerIndex,
+            row: THREE.MathUtils.clamp(Math.floor((0.5 - local.y) * height), 0, height - 1),
+            column: THREE.MathUtils.clamp(Math.floor((local.z + 0.5) * width), 0, width - 1)
+        };
+    }
+    
+    isSelected(unit) {
+        const { selected } = this;
+        return Boolean(selected && unit) && selected.layerIndex === unit.layerIndex &&
+            selected.row === unit.row && selected.column === unit.column;
+    }
+    
+    selectUnit(unit) {
+        // { layerIndex, row, column } as from getUnitAt(), or null. Each
+        // cone joins a window of one volume to the window of the upstream
+        // volume that feeds it, back to the first volume
+        this.selected = unit && this.volumes.has(unit.layerIndex) ? { ...unit } : null;
+        this.coneSteps = [];
+        
+        if (this.selected) {
+            let volume = this.volumes.get(unit.layerIndex);
+            let region = { rows: [unit.row, unit.row], columns: [unit.column, unit.column] };
+            
+            // Bounded in case volumes feed each other in a loop
+            for (let step = 0; volume.upstream && step < this.volumes.size; step++) {
+                const { upstream } = volume;
+                const next = {
+                    rows: getReceptiveRange(region.rows, volume.featureMap, upstream.featureMap.height, 0),
+                    columns: getReceptiveRange(region.columns, volume.featureMap, upstream.featureMap.width, 1)
+                };
+                
+                this.coneSteps.push({ from: volume, to: upstream, fromRegion: region, toRegion: next });
+                volume = upstream;
+                region = next;
+            }
+        }
+        
+        // 4 sides of 2 triangles per cone; 2 windows of 4 lines
+        const steps = this.coneSteps.length;
+        this.cones.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(steps * 24 * 3), 3));
+        this.windows.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(steps * 16 * 3), 3));
+        this.updateCones();
+    }
+    
+    getReceptiveField() {
+        // Rows and columns of every upstream volume the selected unit sees
+        return this.coneSteps.map(({ to, toRegion }) => ({
+            layerIndex: to.layerIndex,
+            rows: [...toRegion.rows],
+            columns: [...toRegion.columns]
+        }));
+    }
+    
+    getWindowCorners(volume, region, x, corners) {
+        // The four corners of a window of rows and columns on the face of
+        // `volume` at x, clockwise from the top left
+        const { height, width } = volume.featureMap;
+        const { position } = volume.group;
+        const { size } = volume;
+        const top = position.y + size.y / 2 - region.rows[0] / height * size.y;
+        const bottom = position.y + size.y / 2 - (region.rows[1] + 1) / height * size.y;
+        const left = position.z - size.z / 2 + region.columns[0] / width * size.z;
+        const right = position.z - size.z / 2 + (region.columns[1] + 1) / width * size.z;
+        
+        corners[0].set(x, top, left);
+        corners[1].set(x, top, right);
+        corners[2].set(x, bottom, right);
+        corners[3].set(x, bottom, left);
+        return corners;
+    }
+    
+    updateCones() {
+        // Cones follow the volumes through layout transitions; a step into
+        // a volume that isn't shown collapses to nothing
+        const visible = this.coneSteps.length > 0;
+        this.cones.visible = visible;
+        this.windows.visible = visible;
+        if (!visible) return;
+        
+        const conePositions = this.cones.geometry.getAttribute('position');
+        const windowPositions = this.windows.geometry.getAttribute('position');
+        const from = _from;
+        const to = _to;
+        conePositions.array.fill(0);
+        windowPositions.array.fill(0);
+        
+        this.coneSteps.forEach((step, index) => {
+            if (!step.from.group.visible || !step.to.group.visible) return;
+            
+            // Between the faces of the two volumes that look at each other
+            const fromPosition = step.from.group.position;
+            const toPosition = step.to.group.position;
+            const side = toPosition.x < fromPosition.x ? -1 : 1;
+            this.getWindowCorners(step.from, step.fromRegion, fromPosition.x + side * step.from.size.x / 2, from);
+            this.getWindowCorners(step.to, step.toRegion, toPosition.x - side * step.to.size.x / 2, to);
+            
+            let vertex = index * 24;
+            for (let i = 0; i < 4; i++) {
+                const next = (i + 1) % 4;
+                [from[i], from[next], to[next], from[i], to[next], to[i]].forEach(point => {
+                    conePositions.setXYZ(vertex++, point.x, point.y, point.z);
+                });
+            }
+            
+            vertex = index * 16;
+            [from, to].forEach(corners => {
+                for (let i = 0; i < 4; i++) {
+                    const a = corners[i];
+                    const b = corners[(i + 1) % 4];
+                    windowPositions.setXYZ(vertex++, a.x, a.y, a.z);
+                    windowPositions.setXYZ(vertex++, b.x, b.y, b.z);
+                }
+            });
+        });
+        
+        conePositions.needsUpdate = true;
+        windowPositions.needsUpdate = true;
+        
+        const { amount } = this.layerAggregation.layers[this.selected.layerIndex];
+        this.cones.material.opacity = CONE_OPACITY * amount;
+        this.windows.material.opacity = amount;
+    }
+    
+    update() {
+        // After LayerAggregation.update(), whose layer bounds and collapse
+        // amounts the volumes follow
+        const { layers } = this.layerAggregation;
+        const showSlices = this.params.featureMapSlices !== false;
+        
+        this.volumes.forEach(volume => {
+            const { amount, bounds } = layers[volume.layerIndex];
+            volume.group.visible = this.enabled && amount > 0;
+            if (!volume.group.visible) return;
+            
+            bounds.getCenter(volume.group.position);
+            
+            const material = volume.box.material;
+            material.opacity = amount * VOLUME_OPACITY * (volume.box === this.hovered ? 1.4 : 1);
+            material.emissiveIntensity = this.layerAggregation.getEmissive(volume.layerIndex);
+            volume.outline.material.opacity = amount;
+            
+            volume.slices.forEach(slice => {
+                slice.visible = showSlices;
+                slice.material.opacity = amount * SLICE_OPACITY;
+            });
+        });
+        
+        // The selection goes once its volume has unfolded into nodes
+        if (this.selected && !this.volumes.get(this.selected.layerIndex).group.visible) {
+            this.selectUnit(null);
+        }
+        this.updateCones();
+    }
+    
+    setHovered(object) {
+        // Volumes brighten under the pointer; anything else is ignored
+        this.hovered = object && object.userData.featureMap ? object : null;
+    }
+    
+    getInteractableObjects() {
+        // Volumes that are at least half there
+        const { layers } = this.layerAggregation;
+        return [...this.volumes.values()]
+            .filter(volume => this.enabled && layers[volume.layerIndex].amount >= 0.5)
+            .map(volume => volume.box);
+    }
+    
+    applyTheme(theme) {
+        const { colors } = theme;
+        
+        this.volumes.forEach(volume => {
+            volume.box.material.color.copy(colors.node);
+            volume.box.material.emissive.copy(colors.nodeEmissive);
+            volume.outline.material.color.copy(colors.edge);
+        });
+        this.cones.material.color.copy(colors.accent);
+        this.windows.material.color.copy(colors.accent);
+        
+        // Slices bake the signal colours into their textures
+        this.volumes.forEach(volume => this.buildSlices(volume));
+    }
+    
+    updateParams(params) {
+        // featureMapSlices is read every frame
+        this.params = params;
+        if ((params.featureMaps !== false) !== this.enabled) this.applyEnabled();
+    }
+    
+    dispose() {
+        this.clear();
+        [this.cones, this.windows].forEach(object => {
+            object.geometry.dispose();
+            object.material.dispose();
+            object.removeFromParent();
+        });
+        this.boxGeometry.dispose();
+        this.outlineGeometry.dispose();
+        this.sliceGeometry.dispose();
+    }
+}
\ No newline at end of file
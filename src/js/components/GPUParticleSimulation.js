@@ -0,0 +1,664 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+import { CURVE_STRIDE, measureEdgeCurve } from './EdgeCurve.js';
+import { random } from '../utils/Random.js';
+
+// Edge data texture: 4 texels per edge, EDGES_PER_ROW edges per row
+//   0: source position, forward signal    1: target position, gradient
+//   2: arch apex, forward CDF             3: half lengths, gradient CDF
+// (see EdgeCurve.js for the arch)
+const EDGES_PER_ROW = 256;
+const EDGE_TEXELS = 4;
+
+// How a particle moves: along its edge either way, or flying free after a
+// burst (it keeps its edge for the colour)
+const MODE_FORWARD = 0;
+const MODE_BACKWARD = 1;
+const MODE_FREE = 2;
+
+// Same as ParticleSimulation
+const MAX_LIFETIME = 10;
+
+// Edge indices of a pending emitAlongEdges() call, one per texel
+const EMIT_ROW = 256;
+
+const EMIT_NONE = 0;
+const EMIT_BURST = 1;
+const EMIT_EDGES = 2;
+
+const RANDOM_GLSL = `
+    uniform float uSeed;
+    
+    uint hash(uint v) {
+        // PCG hash
+        uint state = v * 747796405u + 2891336453u;
+        uint word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
+        return (word >> 22u) ^ word;
+    }
+    
+    float random(uint key, int salt) {
+        return float(hash(key ^ hash(uint(salt) * 2654435769u))) / 4294967295.0;
+    }
+`;
+
+const EDGE_GLSL = `
+    uniform sampler2D uEdges;
+    uniform float uSpeed;
+    uniform bool uHasSignals;
+    uniform bool uHasGradients;
+    
+    vec4 edgeTexel(int edge, int slot) {
+        return texelFetch(uEdges, ivec2((edge % ${EDGES_PER_ROW}) * ${EDGE_TEXELS} + slot, edge / ${EDGES_PER_ROW}), 0);
+    }
+    
+    float edgeSpeed(int edge, bool backward) {
+        // Same as ParticleSimulation.getEdgeSpeed
+        if (backward ? !uHasGradients : !uHasSignals) return uSpeed;
+        return uSpeed * (0.4 + abs(edgeTexel(edge, backward ? 1 : 0).w) * 1.6);
+    }
+`;
+
+// Shared by the three state textures. Each one runs the whole step and keeps
+// its own part, so respawns and emissions agree without extra passes.
+const SIMULATION_GLSL = `
+    ${RANDOM_GLSL}
+    ${EDGE_GLSL}
+    
+    uniform float uDelta;
+    uniform float uVelocityScale;
+    uniform bool uRestartTrips;
+    uniform float uGradientShare;
+    uniform int uEdgeCount;
+    uniform int uParticleCount;
+    uniform bool uHasEdgeCdf;
+    uniform float uEdgeCdfTotal;
+    uniform float uGradientCdfTotal;
+    
+    uniform int uEmitMode;
+    uniform int uEmitStart;
+    uniform int uEmitCount;
+    uniform int uEmitPerEdge;
+    uniform float uEmitTravelTime;
+    uniform vec3 uBurstPosition;
+    uniform sampler2D uEmitEdges;
+    
+    struct Particle {
+        vec3 position;
+        float age;
+        vec3 velocity; // Free flight only
+        float speed; // Along the edge
+        float lifetime;
+        float edge;
+        float mode;
+        float seed;
+        float progress; // Fraction of the edge's arc length covered
+    };
+    
+    int pickEdge(float r, bool backward) {
+        // Binary search of the signal CDF, like ParticleSimulation.pickEdge
+        // The edge CDF may exist without signals, to mask edges out
+        if (backward ? !uHasGradients : !uHasEdgeCdf) {
+            return min(int(r * float(uEdgeCount)), uEdgeCount - 1);
+        }
+        
+        int slot = backward ? 3 : 2;
+        float target = r * (backward ? uGradientCdfTotal : uEdgeCdfTotal);
+        int low = 0;
+        int high = uEdgeCount - 1;
+        
+        while (low < high) {
+            int mid = (low + high) / 2;
+            if (edgeTexel(mid, slot).w <= target) low = mid + 1;
+            else high = mid;
+        }
+        
+        return low;
+    }
+    
+    float curveLength(int edge) {
+        vec4 halves = edgeTexel(edge, 3);
+        return halves.x + halves.y;
+    }
+    
+    void placeOnEdge(inout Particle p) {
+        // Same as ParticleSimulation.placeOnEdge
+        int edge = int(p.edge);
+        vec3 start = edgeTexel(edge, 0).xyz;
+        vec3 end = edgeTexel(edge, 1).xyz;
+        vec3 apex = edgeTexel(edge, 2).xyz;
+        vec2 halves = edgeTexel(edge, 3).xy;
+        
+        float t = p.mode == ${MODE_BACKWARD}.0 ? 1.0 - p.progress : p.progress;
+        float travelled = t * (halves.x + halves.y);
+        
+        p.position = travelled <= halves.x
+            ? mix(start, apex, halves.x > 0.0 ? travelled / halves.x : 0.0)
+            : mix(apex, end, (travelled - halves.x) / halves.y);
+    }
+    
+    void startTrip(inout Particle p, int edge, bool backward, float speed) {
+        // From the start of the edge; the trip lasts as long as the curve takes
+        p.edge = float(edge);
+        p.mode = backward ? ${MODE_BACKWARD}.0 : ${MODE_FORWARD}.0;
+        p.progress = 0.0;
+        p.speed = speed;
+        p.age = 0.0;
+        p.lifetime = speed > 0.0 ? min(curveLength(edge) / speed, ${MAX_LIFETIME}.0) : ${MAX_LIFETIME}.0;
+    }
+    
+    void respawn(inout Particle p, uint key) {
+        // Gradient particles start at the target end
+        bool backward = uHasGradients && random(key, 1) < uGradientShare;
+        int edge = pickEdge(random(key, 2), backward);
+        
+        startTrip(p, edge, backward, edgeSpeed(edge, backward));
+        p.seed = random(key, 3);
+    }
+    
+    void emit(inout Particle p, int index, uint key) {
+        // Particles [uEmitStart, uEmitStart + uEmitCount), wrapping around
+        int offset = (index - uEmitStart + uParticleCount) % uParticleCount;
+        if (index >= uParticleCount || offset >= uEmitCount) return;
+        
+        if (uEmitMode == ${EMIT_BURST}) {
+            float angle = random(key, 4) * 6.28318530718;
+            float speed = 0.5 + random(key, 5);
+            
+            p.mode = ${MODE_FREE}.0;
+            p.position = uBurstPosition;
+            p.velocity = vec3(cos(angle) * speed, random(key, 6) * speed, sin(angle) * speed);
+            p.age = 0.0;
+            p.lifetime = 1.0 + random(key, 7) * 2.0;
+            return;
+        }
+        
+        // Wave along the listed edges, staggered slightly
+        int k = offset % uEmitPerEdge;
+        int e = offset / uEmitPerEdge;
+        int edge = int(texelFetch(uEmitEdges, ivec2(e % ${EMIT_ROW}, e / ${EMIT_ROW}), 0).r);
+        float lead = float(k) / float(uEmitPerEdge) * 0.15;
+        
+        startTrip(p, edge, false, curveLength(edge) / uEmitTravelTime);
+        p.progress = lead;
+        p.lifetime = uEmitTravelTime * (1.0 - lead);
+        p.seed = random(key, 3);
+        placeOnEdge(p);
+    }
+    
+    Particle simulate() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        int index = int(gl_FragCoord.y) * int(resolution.x) + int(gl_FragCoord.x);
+        uint key = uint(index) ^ hash(uint(uSeed));
+        
+        vec4 a = texture2D(texturePosition, uv);
+        vec4 b = texture2D(textureVelocity, uv);
+        vec4 c = texture2D(textureEdge, uv);
+        Particle p = Particle(a.xyz, a.w, b.xyz, b.x, b.w, c.x, c.y, c.z, c.w);
+        
+        if (uEmitMode != ${EMIT_NONE}) {
+            emit(p, index, key);
+            return p;
+        }
+        
+        // Trips keep their place but take up the current speed; free
+        // particles rejoin the edges
+        if (uRestartTrips) {
+            if (p.mode == ${MODE_FREE}.0) {
+                respawn(p, key);
+                placeOnEdge(p);
+                return p;
+            }
+            
+            int edge = int(p.edge);
+            bool backward = p.mode == ${MODE_BACKWARD}.0;
+            float progress = p.progress;
+            startTrip(p, edge, backward, edgeSpeed(edge, backward));
+            p.progress = progress;
+            p.age = progress * p.lifetime;
+        }
+        
+        if (p.mode == ${MODE_FREE}.0) {
+            p.velocity *= uVelocityScale;
+            p.age += uDelta;
+            
+            if (p.age > p.lifetime) {
+                respawn(p, key);
+                placeOnEdge(p);
+            } else {
+                p.position += p.velocity * uDelta;
+            }
+            
+            return p;
+        }
+        
+        // Rescaled trips stretch or shrink so they still fade out on arrival
+        p.speed *= uVelocityScale;
+        if (uVelocityScale > 0.0 && uVelocityScale != 1.0) {
+            p.age /= uVelocityScale;
+            p.lifetime = min(p.lifetime / uVelocityScale, ${MAX_LIFETIME}.0);
+        }
+        
+        p.age += uDelta;
+        float curve = curveLength(int(p.edge));
+        p.progress += curve > 0.0 ? p.speed * uDelta / curve : 1.0;
+        
+        // Respawn on arrival, or when a stalled trip runs out of time
+        if (p.progress >= 1.0 || p.age > p.lifetime) {
+            respawn(p, key);
+        }
+        
+        placeOnEdge(p);
+        return p;
+    }
+`;
+
+const POSITION_SHADER = `
+    ${SIMULATION_GLSL}
+    void main() {
+        Particle p = simulate();
+        gl_FragColor = vec4(p.position, p.age);
+    }
+`;
+
+const VELOCITY_SHADER = `
+    ${SIMULATION_GLSL}
+    void main() {
+        Particle p = simulate();
+        gl_FragColor = p.mode == ${MODE_FREE}.0 ? vec4(p.velocity, p.lifetime) : vec4(p.speed, 0.0, 0.0, p.lifetime);
+    }
+`;
+
+const EDGE_SHADER = `
+    ${SIMULATION_GLSL}
+    void main() {
+        Particle p = simulate();
+        gl_FragColor = vec4(p.edge, p.mode, p.seed, p.progress);
+    }
+`;
+
+const RENDER_VERTEX_SHADER = `
+    ${RANDOM_GLSL}
+    ${EDGE_GLSL}
+    
+    attribute vec2 reference;
+    attribute float size;
+    
+    uniform sampler2D uPositions;
+    uniform sampler2D uVelocities;
+    uniform sampler2D uParticleEdges;
+    uniform float uPixelRatio;
+    uniform vec3 uBaseHSL;
+    uniform float uPositiveHue;
+    uniform float uNegativeHue;
+    
+    varying vec3 vColor;
+    varying float vOpacity;
+    
+    float hueToRGB(float p, float q, float t) {
+        // Same as THREE.Color.setHSL
+        if (t < 0.0) t += 1.0;
+        if (t > 1.0) t -= 1.0;
+        if (t < 1.0 / 6.0) return p + (q - p) * 6.0 * t;
+        if (t < 0.5) return q;
+        if (t < 2.0 / 3.0) return p + (q - p) * 6.0 * (2.0 / 3.0 - t);
+        return p;
+    }
+    
+    vec3 hslToRGB(vec3 hsl) {
+        float h = fract(hsl.x);
+        float s = clamp(hsl.y, 0.0, 1.0);
+        float l = clamp(hsl.z, 0.0, 1.0);
+        if (s == 0.0) return vec3(l);
+        
+        float p = l <= 0.5 ? l * (1.0 + s) : l + s - l * s;
+        float q = 2.0 * l - p;
+        return vec3(hueToRGB(q, p, h + 1.0 / 3.0), hueToRGB(q, p, h), hueToRGB(q, p, h - 1.0 / 3.0));
+    }
+    
+    vec3 particleColor(int edge, bool backward, float seed) {
+        // Same choices as ParticleSimulation.setColor
+        if (backward && uHasGradients) {
+            float gradient = edgeTexel(edge, 1).w;
+            return hslToRGB(vec3(gradient >= 0.0 ? 0.85 : 0.35, 0.9, 0.3 + abs(gradient) * 0.4));
+        }
+        if (uHasSignals) {
+            float signal = edgeTexel(edge, 0).w;
+            return hslToRGB(vec3(signal >= 0.0 ? uPositiveHue : uNegativeHue, 0.9, 0.25 + abs(signal) * 0.45));
+        }
+        
+        uint key = uint(seed * 16777215.0);
+        return hslToRGB(uBaseHSL + vec3(random(key, 1) * 0.05, random(key, 2) * 0.2, random(key, 3) * 0.2));
+    }
+    
+    void main() {
+        vec4 state = texture2D(uPositions, reference);
+        vec4 motion = texture2D(uVelocities, reference);
+        vec4 info = texture2D(uParticleEdges, reference);
+        
+        vColor = particleColor(int(info.x), info.y == ${MODE_BACKWARD}.0, info.z);
+        
+        // Calculate opacity based on age
+        float normalizedAge = state.w / motion.w;
+        vOpacity = smoothstep(0.0, 0.1, normalizedAge) *
+                  smoothstep(1.0, 0.7, normalizedAge);
+        
+        vec4 mvPosition = modelViewMatrix * vec4(state.xyz, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        
+        // Size attenuation
+        gl_PointSize = size * uPixelRatio * (300.0 / -mvPosition.z);
+        gl_PointSize = clamp(gl_PointSize, 2.0 * uPixelRatio, 100.0 * uPixelRatio);
+    }
+`;
+
+const RENDER_FRAGMENT_SHADER = `
+    uniform sampler2D uTexture;
+    
+    varying vec3 vColor;
+    varying float vOpacity;
+    
+    void main() {
+        vec4 texColor = texture2D(uTexture, gl_PointCoord);
+        
+        // Apply color and opacity
+        vec3 finalColor = vColor * texColor.rgb * 2.0; // Brighten
+        float finalOpacity = texColor.a * vOpacity;
+        
+        gl_FragColor = vec4(finalColor, finalOpacity);
+    }
+`;
+
+/**
+ * ParticleFlow's simulation on the GPU, mirroring ParticleSimulation:
+ * particle state lives in float textures (position + age, velocity or speed
+ * along the edge + lifetime, edge + mode + colour seed + progress) that
+ * GPUComputationRenderer steps each frame, and `points` reads
+ * them straight from the vertex shader. ParticleFlow feeds it the edges,
+ * signals and emissions and keeps the CPU path as the fallback.
+ */
+export class GPUParticleSimulation {
+    constructor(renderer, { count, edgeCount, particleTexture, pixelRatio = 1 }) {
+        this.renderer = renderer;
+        this.count = count;
+        this.edgeCount = edgeCount;
+        this.size = Math.ceil(Math.sqrt(count));
+        this.emissions = [];
+        this.velocityScale = 1;
+        this.restartPending = false;
+        
+        this.createEdgeTexture();
+        this.createUniforms();
+        this.createCompute();
+        this.createPoints(particleTexture, pixelRatio);
+    }
+    
+    static isSupported(renderer) {
+        // Needs float render targets and texture reads in the vertex shader
+        return Boolean(renderer) &&
+            renderer.capabilities.isWebGL2 &&
+            renderer.capabilities.maxVertexTextures > 0 &&
+            renderer.extensions.has('EXT_color_buffer_float');
+    }
+    
+    createEdgeTexture() {
+        const width = EDGES_PER_ROW * EDGE_TEXELS;
+        const height = Math.max(1, Math.ceil(this.edgeCount / EDGES_PER_ROW));
+        
+        this.edgeData = new Float32Array(width * height * 4);
+        this.edgeTexture = new THREE.DataTexture(this.edgeData, width, height, THREE.RGBAFormat, THREE.FloatType);
+        this.edgeTexture.needsUpdate = true;
+        
+        this.curve = new Float32Array(CURVE_STRIDE);
+        this.emitTexture = null;
+    }
+    
+    createUniforms() {
+        // One set of uniform objects shared by all three compute materials
+        this.uniforms = {
+            uSeed: { value: 0 },
+            uEdges: { value: this.edgeTexture },
+            uSpeed: { value: 0 },
+            uHasSignals: { value: false },
+            uHasGradients: { value: false },
+            uDelta: { value: 0 },
+            uVelocityScale: { value: 1 },
+            uRestartTrips: { value: false },
+            uGradientShare: { value: 0.5 },
+            uEdgeCount: { value: this.edgeCount },
+            uParticleCount: { value: this.count },
+            uHasEdgeCdf: { value: false },
+            uEdgeCdfTotal: { value: 1 },
+            uGradientCdfTotal: { value: 1 },
+            uEmitMode: { value: EMIT_NONE },
+            uEmitStart: { value: 0 },
+            uEmitCount: { value: 0 },
+            uEmitPerEdge: { value: 1 },
+            uEmitTravelTime: { value: 1 },
+            uBurstPosition: { value: new THREE.Vector3() },
+            uEmitEdges: { value: null }
+        };
+    }
+    
+    createCompute() {
+        this.gpuCompute = new GPUComputationRenderer(this.size, this.size, this.renderer);
+        
+        this.initialTextures = {
+            position: this.gpuCompute.createTexture(),
+            velocity: this.gpuCompute.createTexture(),
+            edge: this.gpuCompute.createTexture()
+        };
+        
+        this.positionVariable = this.gpuCompute.addVariable('texturePosition', POSITION_SHADER, this.initialTextures.position);
+        this.velocityVariable = this.gpuCompute.addVariable('textureVelocity', VELOCITY_SHADER, this.initialTextures.velocity);
+        this.edgeVariable = this.gpuCompute.addVariable('textureEdge', EDGE_SHADER, this.initialTextures.edge);
+        
+        this.variables = [this.positionVariable, this.velocityVariable, this.edgeVariable];
+        this.variables.forEach(variable => {
+            this.gpuCompute.setVariableDependencies(variable, this.variables);
+            Object.assign(variable.material.uniforms, this.uniforms);
+        });
+    }
+    
+    setInitialState({ positions, lifetimes, ages, edgeIndices, backward, progress, speeds }) {
+        // Seeds the state textures from a seeded ParticleSimulation; call
+        // before init()
+        const position = this.initialTextures.position.image.data;
+        const velocity = this.initialTextures.velocity.image.data;
+        const edge = this.initialTextures.edge.image.data;
+        
+        for (let i = 0; i < this.count; i++) {
+            const mode = backward[i] === 1 ? MODE_BACKWARD : MODE_FORWARD;
+            
+            position.set([positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], ages[i]], i * 4);
+            velocity.set([speeds[i], 0, 0, lifetimes[i]], i * 4);
+            edge.set([edgeIndices[i], mode, random(), progress[i]], i * 4);
+        }
+        
+        // Spare texels past `count` never respawn into view
+        for (let i = this.count; i < this.size * this.size; i++) {
+            velocity[i * 4 + 3] = 1e9;
+        }
+    }
+    
+    init() {
+        // Throws when the float render targets can't be set up, so the
+        // caller can fall back to the CPU
+        const error = this.gpuCompute.init();
+        if (error !== null) {
+            throw new Error(`GPU particle simulation unavailable: ${error}`);
+        }
+        
+        Object.values(this.initialTextures).forEach(texture => texture.dispose());
+        this.initialTextures = null;
+    }
+    
+    createPoints(particleTexture, pixelRatio) {
+        const geometry = new THREE.BufferGeometry();
+        const references = new Float32Array(this.count * 2);
+        const sizes = new Float32Array(this.count);
+        
+        for (let i = 0; i < this.count; i++) {
+            references[i * 2] = ((i % this.size) + 0.5) / this.size;
+            references[i * 2 + 1] = (Math.floor(i / this.size) + 0.5) / this.size;
+            sizes[i] = 20 + random() * 40;
+        }
+        
+        // Positions come from the state texture; this only sets the count
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3));
+        geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        
+        this.renderUniforms = {
+            uEdges: this.uniforms.uEdges,
+            uSpeed: this.uniforms.uSpeed,
+            uHasSignals: this.uniforms.uHasSignals,
+            uHasGradients: this.uniforms.uHasGradients,
+            uSeed: this.uniforms.uSeed,
+            uPositions: { value: null },
+            uVelocities: { value: null },
+            uParticleEdges: { value: null },
+            uTexture: { value: particleTexture },
+            uPixelRatio: { value: pixelRatio },
+            uBaseHSL: { value: new THREE.Vector3() },
+            uPositiveHue: { value: 0.08 },
+            uNegativeHue: { value: 0.58 }
+        };
+        
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.renderUniforms,
+            vertexShader: RENDER_VERTEX_SHADER,
+            fragmentShader: RENDER_FRAGMENT_SHADER,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            transparent: true
+        });
+        
+        this.points = new THREE.Points(geometry, material);
+        
+        // The geometry's positions are all zero, so bounds are meaningless
+        this.points.frustumCulled = false;
+    }
+    
+    setColors({ baseColor, positiveHue, negativeHue }) {
+        const hsl = baseColor.getHSL({});
+        this.renderUniforms.uBaseHSL.value.set(hsl.h, hsl.s, hsl.l);
+        this.renderUniforms.uPositiveHue.value = positiveHue;
+        this.renderUniforms.uNegativeHue.value = negativeHue;
+    }
+    
+    writeEdges(edges, { edgeSignals, gradientSignals, edgeCdf, gradientCdf }) {
+        // Live endpoints as flat [sx, sy, sz, tx, ty, tz] per edge (they
+        // move between layouts), their arches, signals and CDFs
+        const data = this.edgeData;
+        const curve = this.curve;
+        
+        for (let i = 0; i < this.edgeCount; i++) {
+            const offset = i * EDGE_TEXELS * 4;
+            measureEdgeCurve(edges, i, curve, 0);
+            
+            data.set(edges.subarray(i * 6, i * 6 + 3), offset);
+            data[offset + 3] = edgeSignals ? edgeSignals[i] : 0;
+            
+            data.set(edges.subarray(i * 6 + 3, i * 6 + 6), offset + 4);
+            data[offset + 7] = gradientSignals ? gradientSignals[i] : 0;
+            
+            data.set(curve.subarray(0, 3), offset + 8);
+            data[offset + 11] = edgeCdf ? edgeCdf[i] : 0;
+            
+            data[offset + 12] = curve[3];
+            data[offset + 13] = curve[4];
+            data[offset + 15] = gradientCdf ? gradientCdf[i] : 0;
+        }
+        
+        this.edgeTexture.needsUpdate = true;
+        
+        const last = this.edgeCount - 1;
+        this.uniforms.uHasSignals.value = Boolean(edgeSignals);
+        this.uniforms.uHasGradients.value = Boolean(gradientSignals);
+        this.uniforms.uHasEdgeCdf.value = Boolean(edgeCdf);
+        this.uniforms.uEdgeCdfTotal.value = edgeCdf ? edgeCdf[last] : 1;
+        this.uniforms.uGradientCdfTotal.value = gradientCdf ? gradientCdf[last] : 1;
+    }
+    
+    burst(start, count, position) {
+        this.emissions.push({ mode: EMIT_BURST, start, count, position: position.clone() });
+    }
+    
+    emit(start, edgeIndices, perEdge, travelTime) {
+        this.emissions.push({ mode: EMIT_EDGES, start, count: edgeIndices.length * perEdge, edgeIndices, perEdge, travelTime });
+    }
+    
+    scaleVelocities(ratio) {
+        // Applied with the next step
+        this.velocityScale *= ratio;
+    }
+    
+    restartTrips() {
+        // Applied with the next step, which brings the new speed
+        this.restartPending = true;
+        this.velocityScale = 1;
+    }
+    
+    step(deltaTime, { speed, gradientShare }) {
+        const uniforms = this.uniforms;
+        uniforms.uSpeed.value = speed;
+        uniforms.uGradientShare.value = gradientShare;
+        
+        // Emissions get a pass each, without advancing time
+        this.emissions.forEach(emission => this.applyEmission(emission));
+        this.emissions.length = 0;
+        uniforms.uEmitMode.value = EMIT_NONE;
+        
+        uniforms.uDelta.value = deltaTime;
+        uniforms.uVelocityScale.value = this.velocityScale;
+        uniforms.uRestartTrips.value = this.restartPending;
+        uniforms.uSeed.value = Math.floor(random() * 0xffffff);
+        this.gpuCompute.compute();
+        this.velocityScale = 1;
+        this.restartPending = false;
+        
+        this.renderUniforms.uPositions.value = this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+        this.renderUniforms.uVelocities.value = this.gpuCompute.getCurrentRenderTarget(this.velocityVariable).texture;
+        this.renderUniforms.uParticleEdges.value = this.gpuCompute.getCurrentRenderTarget(this.edgeVariable).texture;
+    }
+    
+    applyEmission(emission) {
+        const uniforms = this.uniforms;
+        
+        uniforms.uEmitMode.value = emission.mode;
+        uniforms.uEmitStart.value = emission.start;
+        uniforms.uEmitCount.value = Math.min(emission.count, this.count);
+        
+        if (emission.mode === EMIT_BURST) {
+            uniforms.uBurstPosition.value.copy(emission.position);
+        } else {
+            const rows = Math.ceil(emission.edgeIndices.length / EMIT_ROW);
+            const data = new Float32Array(EMIT_ROW * rows * 4);
+            emission.edgeIndices.forEach((edgeIndex, i) => {
+                data[i * 4] = edgeIndex;
+            });
+            
+            this.emitTexture?.dispose();
+            this.emitTexture = new THREE.DataTexture(data, EMIT_ROW, rows, THREE.RGBAFormat, THREE.FloatType);
+            this.emitTexture.needsUpdate = true;
+            
+            uniforms.uEmitEdges.value = this.emitTexture;
+            uniforms.uEmitPerEdge.value = emission.perEdge;
+            uniforms.uEmitTravelTime.value = emission.travelTime;
+        }
+        
+        uniforms.uDelta.value = 0;
+        uniforms.uVelocityScale.value = 1;
+        uniforms.uRestartTrips.value = false;
+        uniforms.uSeed.value = Math.floor(random() * 0xffffff);
+        this.gpuCompute.compute();
+    }
+    
+    dispose() {
+        this.gpuCompute.dispose();
+        this.edgeTexture.dispose();
+        this.emitTexture?.dispose();
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+import { EDGE_ARCH } from './EdgeCurve.js';
+
+/**
+ * Every edge of NeuralNetworkMesh in one draw call: a ribbon per instance
+ * along the EdgeCurve arch (start, apex, end), widened in the vertex shader
+ * across the view direction. Each instance has its own ends, colour,
+ * opacity and width in world units.
+ */
+export class InstancedEdges extends THREE.Mesh {
+    constructor(count) {
+        // A strip of two quads; x is the parameter along the arch, y the side
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute([
+            0, -1, 0, 0, 1, 0,
+            0.5, -1, 0, 0.5, 1, 0,
+            1, -1, 0, 1, 1, 0
+        ], 3));
+        geometry.setIndex([0, 2, 1, 1, 2, 3, 2, 4, 3, 3, 4, 5]);
+        geometry.instanceCount = count;
+        
+        const attribute = (size) => new THREE.InstancedBufferAttribute(new Float32Array(count * size), size);
+        geometry.setAttribute('instanceStart', attribute(3));
+        geometry.setAttribute('instanceEnd', attribute(3));
+        geometry.setAttribute('instanceColor', attribute(3));
+        geometry.setAttribute('instanceOpacity', attribute(1));
+        geometry.setAttribute('instanceWidth', attribute(1));
+        
+        const material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                { uArch: { value: EDGE_ARCH } }
+            ]),
+            vertexShader: `
+                attribute vec3 instanceStart;
+                attribute vec3 instanceEnd;
+                attribute vec3 instanceColor;
+                attribute float instanceOpacity;
+                attribute float instanceWidth;
+                
+                uniform float uArch;
+                
+                varying vec3 vColor;
+                varying float vOpacity;
+                
+                #include <fog_pars_vertex>
+                
+                vec3 archPoint(float t) {
+                    vec3 point = mix(instanceStart, instanceEnd, t);
+                    point.y += (1.0 - abs(2.0 * t - 1.0)) * uArch;
+                    return point;
+                }
+                
+                void main() {
+                    vColor = instanceColor;
+                    vOpacity = instanceOpacity;
+                    
+                    vec3 start = (modelViewMatrix * vec4(instanceStart, 1.0)).xyz;
+                    vec3 apex = (modelViewMatrix * vec4(archPoint(0.5), 1.0)).xyz;
+                    vec3 end = (modelViewMatrix * vec4(instanceEnd, 1.0)).xyz;
+                    vec4 mvPosition = modelViewMatrix * vec4(archPoint(position.x), 1.0);
+                    
+                    // Direction of the half this vertex is on; the apex
+                    // bisects the two
+                    vec3 tangent = position.x < 0.25 ? apex - start
+                        : position.x > 0.75 ? end - apex
+                        : normalize(apex - start) + normalize(end - apex);
+                    
+                    // Across the line and the view ray, so the ribbon faces
+                    // the camera
+                    vec3 across = cross(tangent, mvPosition.xyz);
+                    float span = max(length(across), 1e-6);
+                    mvPosition.xyz += across / span * position.y * instanceWidth * 0.5;
+                    
+                    gl_Position = projectionMatrix * mvPosition;
+                    
+                    #include <fog_vertex>
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                varying float vOpacity;
+                
+                #include <fog_pars_fragment>
+                
+                void main() {
+                    gl_FragColor = vec4(vColor, vOpacity);
+                    
+                    #include <tonemapping_fragment>
+                    #include <colorspace_fragment>
+                    #include <fog_fragment>
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            fog: true
+        });
+        
+        super(geometry, material);
+        
+        this.count = count;
+        // Edges move with layouts, so a bounding sphere would go stale
+        this.frustumCulled = false;
+    }
+    
+    getAttribute(name) {
+        return this.geometry.getAttribute(name);
+    }
+    
+    setEndsAt(index, start, end) {
+        const startAttribute = this.getAttribute('instanceStart');
+        const endAttribute = this.getAttribute('instanceEnd');
+        startAttribute.setXYZ(index, start.x, start.y, start.z);
+        endAttribute.setXYZ(index, end.x, end.y, end.z);
+        startAttribute.needsUpdate = true;
+        endAttribute.needsUpdate = true;
+    }
+    
+    getStartAt(index, target) {
+        return target.fromBufferAttribute(this.getAttribute('instanceStart'), index);
+    }
+    
+    getEndAt(index, target) {
+        return target.fromBufferAttribute(this.getAttribute('instanceEnd'), index);
+    }
+    
+    setColorAt(index, color) {
+        const attribute = this.getAttribute('instanceColor');
+        attribute.setXYZ(index, color.r, color.g, color.b);
+        attribute.needsUpdate = true;
+    }
+    
+    setOpacityAt(index, opacity) {
+        const attribute = this.getAttribute('instanceOpacity');
+        attribute.setX(index, opacity);
+        attribute.needsUpdate = true;
+    }
+    
+    setWidthAt(index, width) {
+        const attribute = this.getAttribute('instanceWidth');
+        attribute.setX(index, width);
+        attribute.needsUpdate = true;
+    }
+    
+    getWidthAt(index) {
+        return this.getAttribute('instanceWidth').getX(index);
+    }
+    
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
\ No newline at end of file
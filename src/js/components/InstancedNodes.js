@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+export const NODE_RADIUS = 0.3;
+
+/**
+ * Every node of NeuralNetworkMesh in one draw call. Each instance has its
+ * own matrix, colour (instanceColor), emissive colour and intensity, and
+ * opacity; glow comes from the emissive term and bloom rather than lights.
+ * The mesh itself is not pickable: NeuralNetworkMesh raycasts its node
+ * objects instead.
+ */
+export class InstancedNodes extends THREE.InstancedMesh {
+    constructor(count) {
+        const geometry = new THREE.IcosahedronGeometry(NODE_RADIUS, 2);
+        const material = new THREE.MeshPhysicalMaterial({
+            color: 0xffffff,
+            metalness: 0.8,
+            roughness: 0.2,
+            clearcoat: 1,
+            clearcoatRoughness: 0
+        });
+        
+        super(geometry, material, count);
+        
+        // rgb emissive colour and its intensity
+        this.emissive = new THREE.InstancedBufferAttribute(new Float32Array(count * 4), 4);
+        this.opacity = new THREE.InstancedBufferAttribute(new Float32Array(count).fill(1), 1);
+        geometry.setAttribute('instanceEmissive', this.emissive);
+        geometry.setAttribute('instanceOpacity', this.opacity);
+        
+        material.onBeforeCompile = (shader) => {
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>
+                    attribute vec4 instanceEmissive;
+                    attribute float instanceOpacity;
+                    varying vec4 vInstanceEmissive;
+                    varying float vInstanceOpacity;`)
+                .replace('#include <color_vertex>', `#include <color_vertex>
+                    vInstanceEmissive = instanceEmissive;
+                    vInstanceOpacity = instanceOpacity;`);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>
+                    varying vec4 vInstanceEmissive;
+                    varying float vInstanceOpacity;`)
+                .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+                    totalEmissiveRadiance = vInstanceEmissive.rgb * vInstanceEmissive.a;
+                    diffuseColor.a *= vInstanceOpacity;`);
+        };
+        
+        this.castShadow = true;
+        // Nodes move with layouts, so a bounding sphere would go stale
+        this.frustumCulled = false;
+        this.raycast = () => {};
+    }
+    
+    syncMatrices(objects) {
+        // Copies the local transforms of one Object3D per instance
+        objects.forEach((object, index) => this.syncMatrixAt(index, object));
+    }
+    
+    syncMatrixAt(index, object) {
+        object.updateMatrix();
+        this.setMatrixAt(index, object.matrix);
+    }
+    
+    setMatrixAt(index, matrix) {
+        super.setMatrixAt(index, matrix);
+        this.instanceMatrix.needsUpdate = true;
+    }
+    
+    setColorAt(index, color) {
+        super.setColorAt(index, color);
+        this.instanceColor.needsUpdate = true;
+    }
+    
+    setEmissiveColorAt(index, color) {
+        const { array } = this.emissive;
+        array[index * 4] = color.r;
+        array[index * 4 + 1] = color.g;
+        array[index * 4 + 2] = color.b;
+        this.emissive.needsUpdate = true;
+    }
+    
+    setEmissiveIntensityAt(index, intensity) {
+        this.emissive.array[index * 4 + 3] = intensity;
+        this.emissive.needsUpdate = true;
+    }
+    
+    setOpacityAt(index, opacity) {
+        this.opacity.array[index] = opacity;
+        this.opacity.needsUpdate = true;
+    }
+    
+    setTransparent(transparent) {
+        // One blend mode for every instance; switching needs a program change
+        if (this.material.transparent === transparent) return;
+        this.material.transparent = transparent;
+        this.material.needsUpdate = true;
+    }
+    
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+        super.dispose();
+    }
+}
\ No newline at end of file
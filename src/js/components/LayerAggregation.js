@@ -0,0 +1,366 @@
+import * as THREE from 'three';
+import { InstancedEdges } from './InstancedEdges.js';
+
+// Seconds for a layer to fold into its slab or unfold out of it
+const TRANSITION_DURATION = 0.6;
+
+// Automatic collapse and expansion happen this share beyond and within
+// params.lodDistance, so a camera resting near it doesn't flicker
+const LOD_HYSTERESIS = 0.1;
+
+// Slab margin around the layer's nodes, and its smallest extent on any axis
+const SLAB_PADDING = 0.4;
+const SLAB_MIN_SIZE = 0.6;
+const SLAB_OPACITY = 0.55;
+
+// Bundle width grows with the log of the edges it stands for
+const BUNDLE_WIDTH = 0.05;
+const MAX_BUNDLE_WIDTH = 0.4;
+
+const _size = new THREE.Vector3();
+const _centre = new THREE.Vector3();
+const _color = new THREE.Color();
+
+/**
+ * Level of detail for NeuralNetworkMesh. A collapsed layer is drawn as one
+ * translucent slab around where its nodes were, and the edges running into
+ * it as bundles, one per neighbour (a node, or a whole collapsed layer),
+ * whose width grows with the edges they stand for. Folding and unfolding
+ * take TRANSITION_DURATION: nodes shrink into the slab's centre and their
+ * edges fade as the slab and bundles fade in.
+ *
+ * Layers of at least `params.lodUnits` nodes collapse on their own once
+ * the camera is further than `params.lodDistance` from them and expand
+ * again as it zooms in. setCollapsed() overrides that per layer, e.g. on a
+ * double-click. Dispatches 'change' whenever a layer starts to collapse
+ * or expand. A layer set as replaced (setReplaced) keeps its bundles but
+ * has no slab, for another component to draw, e.g. FeatureMapVolumes.
+ */
+export class LayerAggregation extends THREE.EventDispatcher {
+    constructor(neuralNetwork, params) {
+        super();
+        
+        this.neuralNetwork = neuralNetwork;
+        this.params = params;
+        
+        // Per topology layer: { nodeCount, collapsed, amount, override,
+        // replaced, slab, bounds }, bounds being around its nodes at rest as
+        // of this frame
+        this.layers = [];
+        this.bundles = [];
+        this.bundleMesh = null;
+        // Layers drawn as slabs when the bundles were last built
+        this.bundleKey = '';
+        this.hovered = null;
+        
+        this.slabGeometry = new THREE.BoxGeometry(1, 1, 1);
+        this.rebuild();
+    }
+    
+    rebuild() {
+        // For a new topology; every layer starts expanded and automatic
+        this.clear();
+        
+        const { colors } = this.neuralNetwork;
+        this.layers = this.neuralNetwork.topology.layers.map((layer, layerIndex) => {
+            const slab = new THREE.Mesh(this.slabGeometry, new THREE.MeshPhysicalMaterial({
+                color: colors.node,
+                emissive: colors.nodeEmissive,
+                metalness: 0.3,
+                roughness: 0.4,
+                transparent: true,
+                opacity: 0,
+                depthWrite: false
+            }));
+            slab.visible = false;
+            slab.userData = { layerIndex, aggregate: true };
+            this.neuralNetwork.group.add(slab);
+            
+            return {
+                nodeCount: this.neuralNetwork.layerNodes[layerIndex].length,
+                collapsed: false,
+                amount: 0,
+                override: null,
+                replaced: false,
+                slab,
+                bounds: new THREE.Box3()
+            };
+        });
+        
+        this.neuralNetwork.setLayerCollapse(null);
+    }
+    
+    clear() {
+        this.layers.forEach(({ slab }) => {
+            slab.material.dispose();
+            slab.removeFromParent();
+        });
+        this.layers = [];
+        this.clearBundles();
+        this.hovered = null;
+    }
+    
+    setCollapsed(layerIndex, collapsed) {
+        // true or false holds the layer collapsed or expanded whatever the
+        // camera does; null hands it back to the automatic LOD
+        const layer = this.layers[layerIndex];
+        if (!layer) {
+            throw new Error(`Unknown layer index ${layerIndex}`);
+        }
+        layer.override = collapsed;
+    }
+    
+    setReplaced(layerIndex, replaced) {
+        // A replaced layer is drawn by someone else while collapsed: it has
+        // no slab, but its bundles still end at its centre
+        const layer = this.layers[layerIndex];
+        if (!layer) {
+            throw new Error(`Unknown layer index ${layerIndex}`);
+        }
+        layer.replaced = replaced;
+    }
+    
+    canCollapse(layerIndex) {
+        const layer = this.layers[layerIndex];
+        return layer.nodeCount > 1 || layer.replaced;
+    }
+    
+    isCollapsed(layerIndex) {
+        return this.layers[layerIndex].collapsed;
+    }
+    
+    isShown(layerIndex) {
+        // Drawn as a slab, fully or while folding or unfolding
+        const layer = this.layers[layerIndex];
+        return layer.collapsed || layer.amount > 0;
+    }
+    
+    maskEdges(edges = null) {
+        // The given edge indices (all edges for null) minus those into or
+        // out of a collapsed layer; null when nothing is collapsed
+        if (!this.layers.some(layer => layer.collapsed)) return edges;
+        
+        const { nodes } = this.neuralNetwork;
+        const indices = edges ? [...edges] : this.neuralNetwork.edges.map((edge, index) => index);
+        
+        return new Set(indices.filter(index => {
+            const { startIdx, endIdx } = this.neuralNetwork.edges[index].userData;
+            return !this.isCollapsed(nodes[startIdx].userData.layerIndex) &&
+                !this.isCollapsed(nodes[endIdx].userData.layerIndex);
+        }));
+    }
+    
+    update(camera, deltaTime) {
+        // deltaTime should be frame time, so folding finishes while paused
+        const step = deltaTime / TRANSITION_DURATION;
+        let changed = false;
+        let moving = false;
+        
+        this.layers.forEach((layer, layerIndex) => {
+            this.neuralNetwork.getLayerBounds(layerIndex, layer.bounds);
+            
+            const target = this.getTarget(layer, layerIndex, camera);
+            if (target !== layer.collapsed) {
+                layer.collapsed = target;
+                changed = true;
+            }
+            
+            const goal = target ? 1 : 0;
+            if (layer.amount !== goal) {
+                layer.amount = target ? Math.min(layer.amount + step, 1) : Math.max(layer.amount - step, 0);
+                moving = true;
+            }
+        });
+        
+        if (moving) {
+            this.neuralNetwork.setLayerCollapse(this.layers.some(layer => layer.amount > 0)
+                ? this.layers.map(layer => layer.amount)
+                : null);
+        }
+        
+        const key = this.layers.map((layer, layerIndex) => (this.isShown(layerIndex) ? 1 : 0)).join('');
+        if (key !== this.bundleKey) {
+            this.buildBundles();
+            this.bundleKey = key;
+        }
+        
+        this.updateSlabs();
+        this.updateBundles();
+        
+        if (changed) this.dispatchEvent({ type: 'change' });
+    }
+    
+    getTarget(layer, layerIndex, camera) {
+        if (!this.canCollapse(layerIndex)) return false;
+        if (layer.override !== null) return layer.override;
+        
+        const { lodUnits, lodDistance } = this.params;
+        if (!lodUnits || !lodDistance || layer.nodeCount < lodUnits) return false;
+        
+        const centre = layer.bounds.getCenter(_centre);
+        const distance = camera.position.distanceTo(this.neuralNetwork.group.localToWorld(centre));
+        
+        if (distance > lodDistance * (1 + LOD_HYSTERESIS)) return true;
+        if (distance < lodDistance * (1 - LOD_HYSTERESIS)) return false;
+        return layer.collapsed;
+    }
+    
+    updateSlabs() {
+        this.layers.forEach((layer, layerIndex) => {
+            const { slab, amount, bounds } = layer;
+            slab.visible = amount > 0 && !layer.replaced;
+            if (!slab.visible) return;
+            
+            // Follows layout transitions
+            bounds.getCenter(slab.position);
+            bounds.getSize(_size).addScalar(SLAB_PADDING * 2);
+            slab.scale.set(
+                Math.max(_size.x, SLAB_MIN_SIZE),
+                Math.max(_size.y, SLAB_MIN_SIZE),
+                Math.max(_size.z, SLAB_MIN_SIZE)
+            );
+            
+            slab.material.emissiveIntensity = this.getEmissive(layerIndex);
+            slab.material.opacity = amount * SLAB_OPACITY * (slab === this.hovered ? 1.4 : 1);
+        });
+    }
+    
+    getEmissive(layerIndex) {
+        // As bright as the layer's nodes would be on average
+        const { nodes } = this.neuralNetwork;
+        const indices = this.neuralNetwork.layerNodes[layerIndex];
+        const emissive = indices.reduce((sum, index) => sum + nodes[index].userData.baseEmissive, 0);
+        return emissive / Math.max(indices.length, 1);
+    }
+    
+    buildBundles() {
+        // One bundle per pair of ends, where an end is a node or, for a
+        // layer drawn as a slab, the whole layer
+        this.clearBundles();
+        
+        const { nodes, edges } = this.neuralNetwork;
+        const end = (nodeIndex) => {
+            const { layerIndex } = nodes[nodeIndex].userData;
+            return this.isShown(layerIndex) ? { layerIndex } : { nodeIndex };
+        };
+        const keyOf = (e) => (e.nodeIndex !== undefined ? `n${e.nodeIndex}` : `l${e.layerIndex}`);
+        const bundles = new Map();
+        
+        edges.forEach((edge, index) => {
+            const { startIdx, endIdx } = edge.userData;
+            const source = end(startIdx);
+            const target = end(endIdx);
+            // Edges between plain nodes, or inside one slab, have no bundle
+            if (source.nodeIndex !== undefined && target.nodeIndex !== undefined) return;
+            if (source.layerIndex !== undefined && source.layerIndex === target.layerIndex) return;
+            
+            const key = `${keyOf(source)}>${keyOf(target)}`;
+            if (!bundles.has(key)) bundles.set(key, { source, target, edgeIndices: [] });
+            bundles.get(key).edgeIndices.push(index);
+        });
+        
+        this.bundles = [...bundles.values()].map((bundle, index) => ({
+            userData: { index, bundle: true, ...bundle }
+        }));
+        if (this.bundles.length === 0) return;
+        
+        this.bundleMesh = new InstancedEdges(this.bundles.length);
+        this.bundleMesh.raycast = () => {};
+        this.bundles.forEach(({ userData }, index) => {
+            const count = userData.edgeIndices.length;
+            this.bundleMesh.setWidthAt(index, Math.min(BUNDLE_WIDTH * (1 + Math.log2(count)), MAX_BUNDLE_WIDTH));
+        });
+        this.neuralNetwork.group.add(this.bundleMesh);
+    }
+    
+    updateBundles() {
+        // Ends follow layout transitions; colour and opacity follow the
+        // edges' signals and the collapse of the layers at either end
+        if (!this.bundleMesh) return;
+        
+        const { nodes, edges, colors, hasActivations } = this.neuralNetwork;
+        const position = (end, target) => (end.nodeIndex !== undefined
+            ? target.copy(nodes[end.nodeIndex].userData.basePosition)
+            : this.layers[end.layerIndex].bounds.getCenter(target));
+        const amount = (end) => (end.nodeIndex !== undefined
+            ? this.layers[nodes[end.nodeIndex].userData.layerIndex].amount
+            : this.layers[end.layerIndex].amount);
+        
+        this.bundles.forEach(({ userData }, index) => {
+            const { source, target, edgeIndices } = userData;
+            this.bundleMesh.setEndsAt(index, position(source, _centre), position(target, _size));
+            
+            const signal = hasActivations
+                ? edgeIndices.reduce((sum, edgeIndex) => sum + edges[edgeIndex].userData.signal, 0) / edgeIndices.length
+                : 0;
+            const strength = Math.min(Math.abs(signal), 1);
+            this.bundleMesh.setColorAt(index, _color.copy(colors.edge)
+                .lerp(signal >= 0 ? colors.positive : colors.negative, strength));
+            this.bundleMesh.setOpacityAt(index, (0.4 + strength * 0.6) * Math.max(amount(source), amount(target)));
+        });
+    }
+    
+    clearBundles() {
+        if (this.bundleMesh) {
+            this.bundleMesh.dispose();
+            this.bundleMesh.removeFromParent();
+        }
+        this.bundleMesh = null;
+        this.bundles = [];
+        this.bundleKey = '';
+    }
+    
+    setHovered(object) {
+        // Slabs brighten under the pointer; anything else is ignored
+        this.hovered = object && object.userData.aggregate ? object : null;
+    }
+    
+    getInteractableObjects() {
+        // Slabs that are at least half there
+        return this.layers.filter(layer => layer.amount >= 0.5 && !layer.replaced).map(layer => layer.slab);
+    }
+    
+    describeLayer(layerIndex) {
+        // Aggregate statistics for the tooltip of a collapsed layer
+        const { topology, nodes, edges, incomingEdges, outgoingEdges, hasActivations } = this.neuralNetwork;
+        const layer = topology.layers[layerIndex];
+        const indices = this.neuralNetwork.layerNodes[layerIndex];
+        
+        const activations = hasActivations ? indices.map(index => nodes[index].userData.activation) : [];
+        const incoming = indices.flatMap(index => incomingEdges[index]);
+        const weights = incoming.map(edgeIndex => edges[edgeIndex].userData.weight).filter(w => typeof w === 'number');
+        const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+        
+        return {
+            index: layerIndex,
+            id: layer.id,
+            label: layer.label,
+            type: layer.type,
+            units: layer.units,
+            featureMap: layer.featureMap,
+            nodeCount: indices.length,
+            meanActivation: mean(activations),
+            maxActivation: activations.length ? Math.max(...activations.map(Math.abs)) : null,
+            meanWeight: mean(weights.map(Math.abs)),
+            incoming: incoming.length,
+            outgoing: indices.reduce((sum, index) => sum + outgoingEdges[index].length, 0)
+        };
+    }
+    
+    applyTheme(theme) {
+        this.layers.forEach(({ slab }) => {
+            slab.material.color.copy(theme.colors.node);
+            slab.material.emissive.copy(theme.colors.nodeEmissive);
+        });
+    }
+    
+    updateParams(params) {
+        // lodUnits and lodDistance are read every frame
+        this.params = params;
+    }
+    
+    dispose() {
+        this.clear();
+        this.slabGeometry.dispose();
+    }
+}
\ No newline at end of file
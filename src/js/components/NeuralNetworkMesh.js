@@ -1,14 +1,77 @@
 import * as THREE from 'three';
-import { MeshLineGeometry, MeshLineMaterial } from '@lume/three-meshline';
+import { EDGE_ARCH, edgeCurvePoint } from './EdgeCurve.js';
+import { InstancedNodes, NODE_RADIUS } from './InstancedNodes.js';
+import { InstancedEdges } from './InstancedEdges.js';
+import { NetworkTopology } from '../core/NetworkTopology.js';
+import { createLayout } from '../layouts/LayoutRegistry.js';
+import { getTheme } from '../themes/ThemeRegistry.js';
+
+const BASE_EMISSIVE = 0.5;
+const BASE_LINE_WIDTH = 0.05;
+
+// Share of their opacity left to nodes and edges outside the focus
+const DIM_FACTOR = 0.12;
+
+// Scratch objects for raycastNode() and raycastEdges()
+const _inverseMatrix = new THREE.Matrix4();
+const _localRay = new THREE.Ray();
+const _sphere = new THREE.Sphere();
+const _box = new THREE.Box3();
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _start = new THREE.Vector3();
+const _end = new THREE.Vector3();
+const _apex = new THREE.Vector3();
+const _onRay = new THREE.Vector3();
+const _onSegment = new THREE.Vector3();
+const _color = new THREE.Color();
 
 export class NeuralNetworkMesh {
-    constructor(scene, params) {
+    constructor(scene, params, topology = NetworkTopology.createDefault()) {
         this.scene = scene;
         this.params = params;
+        this.topology = topology;
+        this.layout = createLayout(params.layout || 'radial');
+        this.layoutTransition = null;
+        this.hasActivations = false;
+        this.layerReveal = null;
+        // Per-layer collapse into LayerAggregation's slabs (see setLayerCollapse)
+        this.layerCollapse = null;
+        this.layerCentres = [];
         this.group = new THREE.Group();
+        // Nodes are bare Object3Ds (transform, userData, halos as children)
+        // drawn by nodeMesh; edges are plain { userData } records drawn by
+        // edgeMesh
         this.nodes = [];
         this.edges = [];
-        this.pulsingNodes = new Set();
+        this.nodeMesh = null;
+        this.edgeMesh = null;
+        // Node -> { elapsed, startScale, baseEmissive } while pulsing
+        this.pulsingNodes = new Map();
+        
+        // Node indices in each layer, and edge indices into and out of each node
+        this.layerNodes = [];
+        this.incomingEdges = [];
+        this.outgoingEdges = [];
+        
+        // Node and edge indices left undimmed (see setFocus)
+        this.focus = null;
+        
+        // Last setEdgeStyle/setNodeActivity input, re-applied on theme changes
+        this.edgeStyle = null;
+        this.nodeActivity = null;
+        
+        // Per-edge colours in place of the theme's edge colour (see
+        // setEdgeColors)
+        this.edgeColors = null;
+        
+        // Light theme colours until applyTheme() hands over the live ones
+        const palette = getTheme('light');
+        this.colors = {};
+        Object.keys(palette).forEach(key => {
+            this.colors[key] = new THREE.Color(palette[key]);
+        });
         
         this.init();
         this.scene.add(this.group);
@@ -53,7 +116,7 @@ export class NeuralNetworkMesh {
         
         // Glass material for the frame
         this.frameMaterial = new THREE.MeshPhysicalMaterial({
-            color: 0x222222,
+            color: this.colors.frame,
             metalness: 0.1,
             roughness: this.params.glassRoughness,
             transmission: this.params.glassTransmission,
@@ -74,136 +137,240 @@ export class NeuralNetworkMesh {
         this.group.add(this.frame);
         
         // Add wireframe overlay
-        const wireframeMaterial = new THREE.LineBasicMaterial({
-            color: 0x444444,
+        this.wireframeMaterial = new THREE.LineBasicMaterial({
+            color: this.colors.wireframe,
             linewidth: 2,
             transparent: true,
             opacity: 0.5
         });
         
         const wireframeGeometry = new THREE.EdgesGeometry(geometry);
-        const wireframe = new THREE.LineSegments(wireframeGeometry, wireframeMaterial);
+        const wireframe = new THREE.LineSegments(wireframeGeometry, this.wireframeMaterial);
         wireframe.rotation.x = -Math.PI / 2;
         this.group.add(wireframe);
     }
     
     createInternalNodes() {
-        // Create node positions using a structured pattern
-        const nodePositions = [];
-        
-        // Center node
-        nodePositions.push(new THREE.Vector3(0, 0, 0));
-        
-        // Inner ring
-        for (let i = 0; i < 8; i++) {
-            const angle = (i / 8) * Math.PI * 2;
-            const radius = 3;
-            nodePositions.push(new THREE.Vector3(
-                Math.cos(angle) * radius,
-                0,
-                Math.sin(angle) * radius
-            ));
-        }
-        
-        // Outer ring
-        for (let i = 0; i < 16; i++) {
-            const angle = (i / 16) * Math.PI * 2;
-            const radius = 6;
-            const height = (Math.random() - 0.5) * 2;
-            nodePositions.push(new THREE.Vector3(
-                Math.cos(angle) * radius,
-                height,
-                Math.sin(angle) * radius
-            ));
-        }
-        
-        // Create node meshes
-        const nodeGeometry = new THREE.IcosahedronGeometry(0.3, 2);
-        const nodeMaterial = new THREE.MeshPhysicalMaterial({
-            color: 0xffaa44,
-            emissive: 0xff8800,
-            emissiveIntensity: 0.5,
-            metalness: 0.8,
-            roughness: 0.2,
-            clearcoat: 1,
-            clearcoatRoughness: 0
-        });
+        const nodePositions = this.layout.apply(this.topology);
+        this.nodeMesh = new InstancedNodes(nodePositions.length);
+        this.layerNodes = this.topology.layers.map(() => []);
         
         nodePositions.forEach((pos, index) => {
-            const node = new THREE.Mesh(nodeGeometry, nodeMaterial.clone());
+            const { id, label, layer } = this.topology.nodes[index];
+            const node = new THREE.Object3D();
             node.position.copy(pos);
-            node.castShadow = true;
-            node.userData = { index, basePosition: pos.clone() };
+            node.userData = {
+                index,
+                id,
+                label,
+                layer,
+                basePosition: pos.clone(),
+                layerIndex: this.topology.nodes[index].layerIndex,
+                baseEmissive: BASE_EMISSIVE,
+                activation: null,
+                strength: 0
+            };
+            node.raycast = (raycaster, intersects) => this.raycastNode(node, raycaster, intersects);
             
             this.nodes.push(node);
+            this.layerNodes[node.userData.layerIndex].push(index);
             this.group.add(node);
             
-            // Add point light for glow effect
-            const light = new THREE.PointLight(0xffaa44, 0.5, 3);
-            light.position.copy(pos);
-            this.group.add(light);
+            this.nodeMesh.setColorAt(index, this.colors.node);
+            this.nodeMesh.setEmissiveColorAt(index, this.colors.nodeEmissive);
+            this.nodeMesh.setEmissiveIntensityAt(index, BASE_EMISSIVE);
         });
+        
+        this.syncNodes();
+        this.group.add(this.nodeMesh);
     }
     
     createConnectingEdges() {
-        // Create connections between nodes
-        const connections = [];
+        this.incomingEdges = this.nodes.map(() => []);
+        this.outgoingEdges = this.nodes.map(() => []);
+        this.edgeMesh = new InstancedEdges(this.topology.edges.length);
+        this.edgeMesh.raycast = (raycaster, intersects) => this.raycastEdges(raycaster, intersects);
         
-        // Connect center to inner ring
-        for (let i = 1; i <= 8; i++) {
-            connections.push([0, i]);
-        }
+        this.topology.edges.forEach(({ sourceIndex, targetIndex, weight, label }, index) => {
+            const edge = {
+                userData: { index, startIdx: sourceIndex, endIdx: targetIndex, weight, label, signal: 0, opacity: 0.6 }
+            };
+            this.edges.push(edge);
+            
+            this.edgeMesh.setEndsAt(
+                index,
+                this.nodes[sourceIndex].userData.basePosition,
+                this.nodes[targetIndex].userData.basePosition
+            );
+            this.edgeMesh.setColorAt(index, this.getEdgeColor(index));
+            this.edgeMesh.setWidthAt(index, BASE_LINE_WIDTH);
+            this.edgeMesh.setOpacityAt(index, 0.6);
+            
+            this.outgoingEdges[sourceIndex].push(index);
+            this.incomingEdges[targetIndex].push(index);
+        });
         
-        // Connect inner ring
-        for (let i = 1; i <= 8; i++) {
-            const next = i === 8 ? 1 : i + 1;
-            connections.push([i, next]);
-        }
+        this.group.add(this.edgeMesh);
+    }
+    
+    raycastNode(node, raycaster, intersects) {
+        // Against the node's bounding sphere, which is close enough to the
+        // icosahedron for picking. Nodes folded into a slab don't count
+        if (this.getLayerCollapse(node.userData.layerIndex) >= 0.5) return;
         
-        // Connect inner to outer ring
-        for (let i = 1; i <= 8; i++) {
-            const outerStart = 9 + (i - 1) * 2;
-            connections.push([i, outerStart]);
-            connections.push([i, outerStart + 1]);
-        }
+        _sphere.center.setFromMatrixPosition(node.matrixWorld);
+        _sphere.radius = NODE_RADIUS * node.scale.x;
+        
+        const point = raycaster.ray.intersectSphere(_sphere, new THREE.Vector3());
+        if (!point) return;
+        
+        const distance = raycaster.ray.origin.distanceTo(point);
+        if (distance < raycaster.near || distance > raycaster.far) return;
+        
+        intersects.push({ distance, point, object: node });
+    }
+    
+    raycastEdges(raycaster, intersects) {
+        // The ribbons are widened in the vertex shader, so test the ray
+        // against each arch's two straight halves instead, within
+        // raycaster.params.Line.threshold. Hits name the edge record
+        const { matrixWorld } = this.edgeMesh;
+        _inverseMatrix.copy(matrixWorld).invert();
+        _localRay.copy(raycaster.ray).applyMatrix4(_inverseMatrix);
         
-        // Create edge meshes
-        connections.forEach(([startIdx, endIdx]) => {
-            const start = this.nodes[startIdx].position;
-            const end = this.nodes[endIdx].position;
+        // Most edges are nowhere near the ray: rule them out against a
+        // sphere around the whole arch first, straight from the instance
+        // arrays since this runs for every edge on every hovered frame
+        const starts = this.edgeMesh.getAttribute('instanceStart').array;
+        const ends = this.edgeMesh.getAttribute('instanceEnd').array;
+        const widths = this.edgeMesh.getAttribute('instanceWidth').array;
+        const { origin, direction } = _localRay;
+        
+        this.edges.forEach((edge, index) => {
+            if (this.getEdgeCollapse(edge) >= 0.5) return;
             
-            const points = [];
-            const segments = 20;
+            const i = index * 3;
+            const threshold = Math.max(raycaster.params.Line.threshold, widths[index] / 2);
+            const dx = ends[i] - starts[i];
+            const dy = ends[i + 1] - starts[i + 1];
+            const dz = ends[i + 2] - starts[i + 2];
+            const radius = Math.sqrt(dx * dx + dy * dy + dz * dz) / 2 + EDGE_ARCH / 2 + threshold;
             
-            for (let i = 0; i <= segments; i++) {
-                const t = i / segments;
-                const point = new THREE.Vector3().lerpVectors(start, end, t);
+            // Centre relative to the ray origin, and its distance along the ray
+            const cx = starts[i] + dx / 2 - origin.x;
+            const cy = starts[i + 1] + dy / 2 + EDGE_ARCH / 2 - origin.y;
+            const cz = starts[i + 2] + dz / 2 - origin.z;
+            const along = Math.max(cx * direction.x + cy * direction.y + cz * direction.z, 0);
+            if (cx * cx + cy * cy + cz * cz - along * along > radius * radius) return;
+            
+            const start = this.edgeMesh.getStartAt(index, _start);
+            const end = this.edgeMesh.getEndAt(index, _end);
+            const apex = edgeCurvePoint(start, end, 0.5, _apex);
+            let nearest = null;
+            [[start, apex], [apex, end]].forEach(([a, b]) => {
+                if (_localRay.distanceSqToSegment(a, b, _onRay, _onSegment) > threshold * threshold) return;
                 
-                // Add slight curve
-                const midPoint = 0.5 - Math.abs(t - 0.5);
-                point.y += midPoint * 0.5;
+                const point = _onSegment.clone().applyMatrix4(matrixWorld);
+                const distance = raycaster.ray.origin.distanceTo(point);
+                if (distance < raycaster.near || distance > raycaster.far) return;
                 
-                points.push(point);
-            }
-            
-            const geometry = new MeshLineGeometry();
-            geometry.setPoints(points);
-            
-            const material = new MeshLineMaterial({
-                color: 0x888888,
-                lineWidth: 0.05,
-                transparent: true,
-                opacity: 0.6,
-                dashArray: 0,
-                dashOffset: 0,
-                dashRatio: 0
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { distance, point, object: edge };
+                }
             });
             
-            const edge = new THREE.Mesh(geometry, material);
-            edge.userData = { startIdx, endIdx };
-            this.edges.push(edge);
-            this.group.add(edge);
+            if (nearest) intersects.push(nearest);
+        });
+    }
+    
+    updateEdgeGeometry() {
+        this.edges.forEach((edge, index) => {
+            this.edgeMesh.setEndsAt(
+                index,
+                this.nodes[edge.userData.startIdx].userData.basePosition,
+                this.nodes[edge.userData.endIdx].userData.basePosition
+            );
+        });
+    }
+    
+    setLayout(layout, duration = 1.5) {
+        this.layout = layout;
+        
+        const from = this.nodes.map(node => node.userData.basePosition.clone());
+        const to = layout.apply(this.topology);
+        
+        this.layoutTransition = { from, to, elapsed: 0, duration: Math.max(duration, 0) };
+        
+        if (duration <= 0) {
+            this.updateLayoutTransition(0);
+        }
+    }
+    
+    isTransitioning() {
+        return this.layoutTransition !== null;
+    }
+    
+    updateLayoutTransition(deltaTime) {
+        const transition = this.layoutTransition;
+        transition.elapsed += deltaTime;
+        
+        const progress = transition.duration > 0
+            ? Math.min(transition.elapsed / transition.duration, 1)
+            : 1;
+        
+        // Ease in-out cubic
+        const t = progress < 0.5
+            ? 4 * progress ** 3
+            : 1 - (-2 * progress + 2) ** 3 / 2;
+        
+        this.nodes.forEach((node, index) => {
+            const base = node.userData.basePosition;
+            base.lerpVectors(transition.from[index], transition.to[index], t);
+            node.position.x = base.x;
+            node.position.z = base.z;
+        });
+        
+        this.updateEdgeGeometry();
+        if (this.layerCollapse) this.updateLayerCentres();
+        
+        if (progress >= 1) {
+            this.layoutTransition = null;
+        }
+    }
+    
+    setTopology(topology) {
+        this.clearNetwork();
+        this.topology = topology;
+        this.createInternalNodes();
+        this.createConnectingEdges();
+    }
+    
+    clearNetwork() {
+        this.nodes.forEach(node => this.group.remove(node));
+        
+        [this.nodeMesh, this.edgeMesh].forEach(mesh => {
+            if (!mesh) return;
+            mesh.dispose();
+            this.group.remove(mesh);
         });
+        
+        this.nodes = [];
+        this.edges = [];
+        this.nodeMesh = null;
+        this.edgeMesh = null;
+        this.layerNodes = [];
+        this.layerCollapse = null;
+        this.layerCentres = [];
+        this.incomingEdges = [];
+        this.outgoingEdges = [];
+        this.pulsingNodes.clear();
+        this.focus = null;
+        this.layoutTransition = null;
+        this.hasActivations = false;
+        this.layerReveal = null;
+        this.edgeStyle = null;
+        this.nodeActivity = null;
+        this.edgeColors = null;
     }
     
     setupGlassMaterial() {
@@ -214,44 +381,360 @@ export class NeuralNetworkMesh {
         }
     }
     
-    pulseNode(node) {
-        if (!node.userData.index !== undefined) return;
+    resolveNodeValues(values) {
+        // Arrays are in topology node order, objects are keyed by node id
+        if (Array.isArray(values) || ArrayBuffer.isView(values)) {
+            return this.nodes.map((node, index) => Number(values[index]) || 0);
+        }
+        
+        return this.nodes.map(node => Number(values[node.userData.id]) || 0);
+    }
+    
+    resolveEdgeWeights(weights) {
+        // Arrays are in edge order, objects are keyed "source->target";
+        // edges without an explicit weight fall back to the topology's
+        return this.edges.map((edge, index) => {
+            const { startIdx, endIdx, weight } = edge.userData;
+            let value;
+            
+            if (Array.isArray(weights) || ArrayBuffer.isView(weights)) {
+                value = weights[index];
+            } else if (weights) {
+                value = weights[`${this.nodes[startIdx].userData.id}->${this.nodes[endIdx].userData.id}`];
+            }
+            
+            if (typeof value === 'number') return value;
+            return weight !== null ? weight : 1;
+        });
+    }
+    
+    setActivations(activations, weights = null) {
+        if (!activations) {
+            this.clearActivations();
+            return;
+        }
+        
+        const nodeValues = this.resolveNodeValues(activations);
+        const edgeWeights = this.resolveEdgeWeights(weights);
+        
+        const maxActivation = nodeValues.reduce((max, v) => Math.max(max, Math.abs(v)), 1e-6);
+        
+        this.nodes.forEach((node, index) => {
+            node.userData.activation = nodeValues[index];
+            node.userData.strength = Math.abs(nodeValues[index]) / maxActivation;
+        });
+        
+        // Signal carried by an edge: source activation times weight
+        const signals = this.edges.map((edge, index) => {
+            return nodeValues[edge.userData.startIdx] * edgeWeights[index];
+        });
+        const maxSignal = signals.reduce((max, v) => Math.max(max, Math.abs(v)), 1e-6);
+        
+        this.edges.forEach((edge, index) => {
+            edge.userData.signal = signals[index] / maxSignal;
+        });
+        
+        this.hasActivations = true;
+        this.applySignalDisplay();
+    }
+    
+    setLayerReveal(reveal) {
+        // Per-layer visibility in [0, 1], indexed like topology.layers. Used by
+        // forward-pass playback; null shows every layer.
+        this.layerReveal = reveal;
+        this.applySignalDisplay();
+    }
+    
+    getLayerReveal(layerIndex) {
+        return this.layerReveal ? this.layerReveal[layerIndex] ?? 1 : 1;
+    }
+    
+    setLayerCollapse(collapse) {
+        // Per-layer amount in [0, 1], indexed like topology.layers: a
+        // collapsing layer's nodes shrink into its centre and its edges fade,
+        // for LayerAggregation to draw in their place. Null expands every layer
+        this.layerCollapse = collapse;
+        this.updateLayerCentres();
+        
+        this.nodes.forEach(node => {
+            // Takes halos and other children along
+            node.visible = this.getLayerCollapse(node.userData.layerIndex) < 1;
+        });
+        this.edges.forEach(edge => this.setEdgeOpacity(edge, edge.userData.opacity));
+        this.syncNodes();
+    }
+    
+    getLayerCollapse(layerIndex) {
+        return this.layerCollapse ? this.layerCollapse[layerIndex] ?? 0 : 0;
+    }
+    
+    getEdgeCollapse(edge) {
+        // An edge goes with whichever of its layers is further collapsed
+        const { startIdx, endIdx } = edge.userData;
+        return Math.max(
+            this.getLayerCollapse(this.nodes[startIdx].userData.layerIndex),
+            this.getLayerCollapse(this.nodes[endIdx].userData.layerIndex)
+        );
+    }
+    
+    getLayerBounds(layerIndex, target = new THREE.Box3()) {
+        // Around the layer's nodes at rest (empty for an empty layer)
+        target.makeEmpty();
+        this.layerNodes[layerIndex].forEach(index => {
+            target.expandByPoint(this.nodes[index].userData.basePosition);
+        });
+        return target;
+    }
+    
+    updateLayerCentres() {
+        this.layerCentres = this.layerNodes.map((indices, layerIndex) => {
+            return this.getLayerBounds(layerIndex, _box).getCenter(new THREE.Vector3());
+        });
+    }
+    
+    applySignalDisplay() {
+        if (!this.hasActivations) return;
+        
+        this.nodes.forEach((node, index) => {
+            const strength = node.userData.strength * this.getLayerReveal(node.userData.layerIndex);
+            
+            node.userData.baseEmissive = 0.1 + strength * 1.9;
+            
+            if (!this.pulsingNodes.has(node)) {
+                this.nodeMesh.setEmissiveIntensityAt(index, node.userData.baseEmissive);
+            }
+        });
+        
+        // An edge lights up as the signal arrives at its target layer
+        this.edges.forEach((edge, index) => {
+            const { signal, endIdx } = edge.userData;
+            const reveal = this.getLayerReveal(this.nodes[endIdx].userData.layerIndex);
+            const strength = Math.abs(signal) * reveal;
+            
+            this.edgeMesh.setColorAt(index, _color.copy(this.getEdgeColor(index))
+                .lerp(signal >= 0 ? this.colors.positive : this.colors.negative, strength));
+            this.setEdgeOpacity(edge, 0.15 + strength * 0.85);
+        });
+    }
+    
+    clearActivations() {
+        this.hasActivations = false;
+        this.layerReveal = null;
+        
+        this.nodes.forEach((node, index) => {
+            node.userData.activation = null;
+            node.userData.strength = 0;
+            node.userData.baseEmissive = BASE_EMISSIVE;
+            
+            if (!this.pulsingNodes.has(node)) {
+                this.nodeMesh.setEmissiveIntensityAt(index, BASE_EMISSIVE);
+            }
+        });
+        
+        this.edges.forEach((edge, index) => {
+            edge.userData.signal = 0;
+            this.edgeMesh.setColorAt(index, this.getEdgeColor(index));
+            this.setEdgeOpacity(edge, 0.6);
+        });
+    }
+    
+    setEdgeOpacity(edge, opacity) {
+        // Styling goes through here so the focus dimming and layer collapse
+        // survive restyles
+        const { index } = edge.userData;
+        edge.userData.opacity = opacity;
+        this.edgeMesh.setOpacityAt(index, opacity *
+            (this.isEdgeFocused(index) ? 1 : DIM_FACTOR) * (1 - this.getEdgeCollapse(edge)));
+    }
+    
+    setFocus(focus) {
+        // { nodes, edges }: Sets of node and edge indices to keep at full
+        // strength while everything else fades back; null shows everything
+        this.focus = focus;
+        
+        this.nodeMesh.setTransparent(focus !== null);
+        this.nodes.forEach((node, index) => {
+            this.nodeMesh.setOpacityAt(index, this.isNodeFocused(index) ? 1 : DIM_FACTOR);
+        });
+        
+        this.edges.forEach(edge => this.setEdgeOpacity(edge, edge.userData.opacity));
+    }
+    
+    isNodeFocused(index) {
+        return !this.focus || this.focus.nodes.has(index);
+    }
+    
+    isEdgeFocused(index) {
+        return !this.focus || this.focus.edges.has(index);
+    }
+    
+    setEdgeStyle(weights) {
+        // Normalized signed weights in [-1, 1]: line width and opacity follow
+        // the magnitude, colour follows the sign
+        this.edgeStyle = weights;
+        
+        this.edges.forEach((edge, index) => {
+            const weight = weights[index] || 0;
+            const strength = Math.min(Math.abs(weight), 1);
+            
+            this.edgeMesh.setWidthAt(index, 0.01 + strength * 0.09);
+            this.edgeMesh.setColorAt(index, _color.copy(this.getEdgeColor(index))
+                .lerp(weight >= 0 ? this.colors.positive : this.colors.negative, strength));
+            this.setEdgeOpacity(edge, 0.25 + strength * 0.75);
+        });
+    }
+    
+    setEdgeColors(colors) {
+        // One THREE.Color (or null for the theme's) per edge, e.g. to tell
+        // attention heads apart; signal and weight styling blend from these.
+        // null goes back to the theme colour everywhere
+        this.edgeColors = colors;
+        
+        this.edges.forEach((edge, index) => {
+            this.edgeMesh.setColorAt(index, this.getEdgeColor(index));
+        });
+        
+        if (this.edgeStyle) this.setEdgeStyle(this.edgeStyle);
+        this.applySignalDisplay();
+    }
+    
+    getEdgeColor(index) {
+        return (this.edgeColors && this.edgeColors[index]) || this.colors.edge;
+    }
+    
+    setEdgeWidths(widths) {
+        // Ribbon width per edge in world units; null goes back to the default
+        this.edges.forEach((edge, index) => {
+            this.edgeMesh.setWidthAt(index, widths ? widths[index] : BASE_LINE_WIDTH);
+        });
+    }
+    
+    setNodeActivity(values) {
+        // Activity in [0, 1] per node, shown as emissive colour and intensity
+        this.nodeActivity = values;
+        
+        this.nodes.forEach((node, index) => {
+            const activity = THREE.MathUtils.clamp(values[index] || 0, 0, 1);
+            
+            this.nodeMesh.setEmissiveColorAt(index, _color.copy(this.colors.nodeIdle)
+                .lerp(this.colors.nodeActive, activity));
+            node.userData.baseEmissive = 0.2 + activity * 1.3;
+            
+            if (!this.pulsingNodes.has(node)) {
+                this.nodeMesh.setEmissiveIntensityAt(index, node.userData.baseEmissive);
+            }
+        });
+    }
+    
+    resetStyle() {
+        // Undo setEdgeStyle/setNodeActivity and any activation display
+        this.edgeStyle = null;
+        this.nodeActivity = null;
+        this.setEdgeWidths(null);
+        
+        this.nodes.forEach((node, index) => {
+            this.nodeMesh.setEmissiveColorAt(index, this.colors.nodeEmissive);
+        });
         
-        this.pulsingNodes.add(node);
+        this.clearActivations();
+    }
+    
+    applyTheme(theme) {
+        // The theme's colours are live, so later styling picks them up too
+        this.colors = theme.colors;
+        
+        this.frameMaterial.color.copy(this.colors.frame);
+        this.wireframeMaterial.color.copy(this.colors.wireframe);
+        
+        this.nodes.forEach((node, index) => {
+            this.nodeMesh.setColorAt(index, this.colors.node);
+            this.nodeMesh.setEmissiveColorAt(index, this.colors.nodeEmissive);
+        });
+        
+        this.edges.forEach((edge, index) => {
+            this.edgeMesh.setColorAt(index, this.getEdgeColor(index));
+        });
+        
+        // Re-apply whatever styling the edges and nodes currently show
+        if (this.nodeActivity) this.setNodeActivity(this.nodeActivity);
+        if (this.edgeStyle) this.setEdgeStyle(this.edgeStyle);
+        this.applySignalDisplay();
+    }
+    
+    setParameters(weights, biases = null) {
+        // Write new edge weights (edge order) and node biases (node order)
+        // back into the topology, e.g. while a trainer is updating them
+        this.edges.forEach((edge, index) => {
+            edge.userData.weight = weights[index];
+            this.topology.edges[index].weight = weights[index];
+        });
+        
+        if (biases) {
+            this.topology.nodes.forEach((node, index) => {
+                node.bias = biases[index];
+            });
+        }
+    }
+    
+    getEdgeSignals() {
+        // Normalized signed signal per edge, in [-1, 1]
+        return Float32Array.from(this.edges, edge => edge.userData.signal);
+    }
+    
+    getNodeById(id) {
+        const index = this.topology.getNodeIndex(id);
+        return index === -1 ? null : this.nodes[index];
+    }
+    
+    pulseNode(node) {
+        if (node.userData.index === undefined) return;
         
-        // Animate node pulse
-        const startScale = node.scale.x;
-        const targetScale = startScale * 1.5;
-        const duration = 500;
-        const startTime = Date.now();
+        // Click feedback, so updatePulses() runs on frame time and pulses
+        // finish while the scene is paused; pulsing again restarts from the
+        // resting scale
+        const pulse = this.pulsingNodes.get(node);
+        this.pulsingNodes.set(node, {
+            elapsed: 0,
+            startScale: pulse ? pulse.startScale : node.scale.x,
+            baseEmissive: node.userData.baseEmissive
+        });
+    }
+    
+    updatePulses(deltaTime) {
+        // Half a second: scale up by half and back, glowing brighter
+        const duration = 0.5;
         
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+        this.pulsingNodes.forEach((pulse, node) => {
+            pulse.elapsed += deltaTime;
+            const progress = Math.min(pulse.elapsed / duration, 1);
+            const { startScale, baseEmissive } = pulse;
+            const { index } = node.userData;
+            const targetScale = startScale * 1.5;
             
             if (progress < 0.5) {
                 const t = progress * 2;
                 const scale = startScale + (targetScale - startScale) * t;
                 node.scale.setScalar(scale);
-                node.material.emissiveIntensity = 0.5 + t * 0.5;
+                this.nodeMesh.setEmissiveIntensityAt(index, baseEmissive + t * 0.5);
             } else {
                 const t = (progress - 0.5) * 2;
                 const scale = targetScale - (targetScale - startScale) * t;
                 node.scale.setScalar(scale);
-                node.material.emissiveIntensity = 1 - t * 0.5;
+                this.nodeMesh.setEmissiveIntensityAt(index, baseEmissive + 0.5 - t * 0.5);
             }
+            this.syncNode(node);
             
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
+            if (progress >= 1) {
                 this.pulsingNodes.delete(node);
             }
-        };
-        
-        animate();
+        });
     }
     
     update(elapsedTime, deltaTime) {
+        if (this.layoutTransition) {
+            this.updateLayoutTransition(deltaTime);
+        }
+        
         // Animate nodes
         this.nodes.forEach((node, index) => {
             if (!this.pulsingNodes.has(node)) {
@@ -264,20 +747,85 @@ export class NeuralNetworkMesh {
                 node.rotation.y += deltaTime * 0.5;
             }
         });
-        
-        // Animate edges with energy flow
-        this.edges.forEach((edge, index) => {
-            const offset = index * 0.2;
-            const dashOffset = (elapsedTime * this.params.particleSpeed + offset) % 1;
-            edge.material.dashOffset = -dashOffset;
-        });
+        this.syncNodes();
         
         // Rotate entire structure slowly
         this.group.rotation.y += deltaTime * this.params.rotationSpeed * 0.1;
     }
     
-    getInteractableObjects() {
-        return this.nodes;
+    syncNodes() {
+        this.nodes.forEach(node => this.syncNode(node));
+    }
+    
+    syncNode(node) {
+        // Copies the node's transform to its instance; nodes of collapsing
+        // layers are drawn shrunk towards the layer's centre
+        const { index, layerIndex } = node.userData;
+        const collapse = this.getLayerCollapse(layerIndex);
+        
+        if (collapse === 0) {
+            this.nodeMesh.syncMatrixAt(index, node);
+            return;
+        }
+        
+        _position.copy(node.position).lerp(this.layerCentres[layerIndex], collapse);
+        _scale.copy(node.scale).multiplyScalar(1 - collapse);
+        this.nodeMesh.setMatrixAt(index, _matrix.compose(_position, node.quaternion, _scale));
+    }
+    
+    getInteractableObjects({ edges = false } = {}) {
+        // Nodes raycast against their sphere, and edgeMesh against every
+        // edge's arch (see raycastEdges); hits are node objects and edge records
+        return edges ? [...this.nodes, this.edgeMesh] : this.nodes;
+    }
+    
+    describeNode(node) {
+        // Plain summary for tooltips and the detail panel
+        const { index, id, label, layer, layerIndex, activation } = node.userData;
+        const connection = (edgeIndex, otherIndex) => ({
+            edgeIndex,
+            id: this.nodes[otherIndex].userData.id,
+            label: this.nodes[otherIndex].userData.label,
+            weight: this.edges[edgeIndex].userData.weight
+        });
+        
+        const incoming = this.incomingEdges[index].map(edgeIndex => {
+            return connection(edgeIndex, this.edges[edgeIndex].userData.startIdx);
+        });
+        const outgoing = this.outgoingEdges[index].map(edgeIndex => {
+            return connection(edgeIndex, this.edges[edgeIndex].userData.endIdx);
+        });
+        
+        return {
+            index,
+            id,
+            label,
+            layer,
+            layerLabel: this.topology.layers[layerIndex].label,
+            summary: this.topology.nodes[index].summary,
+            activation,
+            bias: this.topology.nodes[index].bias,
+            degree: incoming.length + outgoing.length,
+            incoming,
+            outgoing
+        };
+    }
+    
+    describeEdge(edge) {
+        const { index, startIdx, endIdx, weight, label, signal } = edge.userData;
+        const end = (nodeIndex) => ({
+            id: this.nodes[nodeIndex].userData.id,
+            label: this.nodes[nodeIndex].userData.label
+        });
+        
+        return {
+            index,
+            label,
+            source: end(startIdx),
+            target: end(endIdx),
+            weight,
+            signal: this.hasActivations ? signal : null
+        };
     }
     
     getNodePositions() {
@@ -285,12 +833,25 @@ export class NeuralNetworkMesh {
     }
     
     getEdgeData() {
+        // Live ends of the drawn edges: the nodes' base positions, which
+        // follow layout transitions but not the bobbing in update()
         return this.edges.map(edge => ({
-            start: this.nodes[edge.userData.startIdx].position,
-            end: this.nodes[edge.userData.endIdx].position
+            start: this.nodes[edge.userData.startIdx].userData.basePosition,
+            end: this.nodes[edge.userData.endIdx].userData.basePosition,
+            weight: edge.userData.weight
         }));
     }
     
+    updateParams(params) {
+        this.params = params;
+        
+        // Glass frame; speed and rotation params are read every frame
+        this.frameMaterial.roughness = params.glassRoughness;
+        this.frameMaterial.transmission = params.glassTransmission;
+        this.frameMaterial.thickness = params.glassThickness;
+        this.frameMaterial.ior = params.glassIOR;
+    }
+    
     dispose() {
         this.group.traverse((child) => {
             if (child.geometry) child.geometry.dispose();
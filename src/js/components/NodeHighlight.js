@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+import { InstancedEdges } from './InstancedEdges.js';
+
+// Halo radius relative to the node's (0.3)
+const HALO_RADIUS = 0.48;
+
+// Connections (or path edges) drawn for the selection; a wide layer can
+// have thousands
+const MAX_SELECTED_EDGES = 256;
+
+// Widths (world units) and opacities of the highlighted edges
+const HOVER_EDGE = { width: 0.12, opacity: 0.9 };
+const SELECT_EDGE = { width: 0.09, opacity: 0.7 };
+
+/**
+ * Hover and selection highlights on NeuralNetworkMesh: a halo around the
+ * hovered and the selected node, and brighter, wider copies of the hovered
+ * edge and of the selected node's connections, in the theme's accent
+ * colour. Halos are children of their node, so they bob and pulse with it.
+ * With a path target (setPath) the target gets a halo too and the path's
+ * edges are drawn instead of the selected node's connections.
+ */
+export class NodeHighlight {
+    constructor(neuralNetwork) {
+        this.neuralNetwork = neuralNetwork;
+        this.hovered = null;
+        this.selected = null;
+        this.pathTarget = null;
+        this.pathEdges = null;
+        // Edge indices, one per overlay instance
+        this.overlays = [];
+        this.color = new THREE.Color(0xff8844);
+        
+        const haloGeometry = new THREE.IcosahedronGeometry(HALO_RADIUS, 2);
+        const haloMaterial = (opacity) => new THREE.MeshBasicMaterial({
+            color: this.color,
+            transparent: true,
+            opacity,
+            side: THREE.BackSide,
+            depthWrite: false
+        });
+        
+        this.hoverHalo = new THREE.Mesh(haloGeometry, haloMaterial(0.25));
+        this.selectHalo = new THREE.Mesh(haloGeometry, haloMaterial(0.5));
+        this.targetHalo = new THREE.Mesh(haloGeometry, this.selectHalo.material);
+        
+        // Keep raycasts on the nodes themselves
+        this.hoverHalo.raycast = () => {};
+        this.selectHalo.raycast = () => {};
+        this.targetHalo.raycast = () => {};
+        
+        // The hovered edge and the selection's, drawn over the network's
+        // own edges the same way
+        this.edgeOverlay = new InstancedEdges(MAX_SELECTED_EDGES + 1);
+        this.edgeOverlay.geometry.instanceCount = 0;
+        this.edgeOverlay.renderOrder = 1;
+        this.edgeOverlay.raycast = () => {};
+    }
+    
+    setHovered(object) {
+        // A node, an edge, a LayerAggregation slab or null
+        if (object === this.hovered) return;
+        this.hovered = object;
+        this.refresh();
+    }
+    
+    setSelected(node) {
+        if (node === this.selected) return;
+        this.selected = node;
+        this.refresh();
+    }
+    
+    setPath(target, edgeIndices) {
+        // Second node of a path from the selected one and the path's edge
+        // indices, or null for none
+        this.pathTarget = target;
+        this.pathEdges = target ? [...edgeIndices] : null;
+        this.refresh();
+    }
+    
+    isNode(object) {
+        return this.neuralNetwork.nodes.includes(object);
+    }
+    
+    refresh() {
+        this.hoverHalo.removeFromParent();
+        this.selectHalo.removeFromParent();
+        this.targetHalo.removeFromParent();
+        this.clearOverlays();
+        
+        if (this.selected) {
+            this.selected.add(this.selectHalo);
+            this.pathTarget?.add(this.targetHalo);
+            
+            const { index } = this.selected.userData;
+            const connected = this.pathEdges || [
+                ...this.neuralNetwork.incomingEdges[index],
+                ...this.neuralNetwork.outgoingEdges[index]
+            ];
+            connected.slice(0, MAX_SELECTED_EDGES).forEach(edgeIndex => {
+                this.addOverlay(edgeIndex, SELECT_EDGE);
+            });
+        }
+        
+        if (this.hovered && this.hovered !== this.selected && this.hovered !== this.pathTarget) {
+            if (this.isNode(this.hovered)) {
+                this.hovered.add(this.hoverHalo);
+            } else if (!this.hovered.userData.aggregate) {
+                // Collapsed-layer slabs highlight themselves
+                this.addOverlay(this.hovered.userData.index, HOVER_EDGE);
+            }
+        }
+        
+        this.edgeOverlay.geometry.instanceCount = this.overlays.length;
+        if (this.overlays.length) this.neuralNetwork.group.add(this.edgeOverlay);
+    }
+    
+    addOverlay(edgeIndex, { width, opacity }) {
+        const index = this.overlays.length;
+        this.overlays.push(edgeIndex);
+        
+        this.edgeOverlay.setColorAt(index, this.color);
+        this.edgeOverlay.setWidthAt(index, width);
+        this.edgeOverlay.setOpacityAt(index, opacity);
+        this.updateOverlay(index);
+    }
+    
+    updateOverlay(index) {
+        const { nodes, edges } = this.neuralNetwork;
+        const { startIdx, endIdx } = edges[this.overlays[index]].userData;
+        
+        this.edgeOverlay.setEndsAt(
+            index,
+            nodes[startIdx].userData.basePosition,
+            nodes[endIdx].userData.basePosition
+        );
+    }
+    
+    clearOverlays() {
+        this.overlays = [];
+        this.edgeOverlay.geometry.instanceCount = 0;
+        this.edgeOverlay.removeFromParent();
+    }
+    
+    update() {
+        // Edges only move between layouts
+        if (this.neuralNetwork.isTransitioning()) {
+            this.overlays.forEach((edgeIndex, index) => this.updateOverlay(index));
+        }
+    }
+    
+    applyTheme(theme) {
+        const { accent } = theme.colors;
+        
+        this.color.copy(accent);
+        this.hoverHalo.material.color.copy(accent);
+        this.selectHalo.material.color.copy(accent);
+        this.overlays.forEach((edgeIndex, index) => this.edgeOverlay.setColorAt(index, accent));
+    }
+    
+    dispose() {
+        this.clearOverlays();
+        this.hoverHalo.removeFromParent();
+        this.selectHalo.removeFromParent();
+        this.targetHalo.removeFromParent();
+        this.hoverHalo.geometry.dispose();
+        this.hoverHalo.material.dispose();
+        this.selectHalo.material.dispose();
+        this.edgeOverlay.dispose();
+    }
+}
\ No newline at end of file
@@ -1,13 +1,52 @@
 import * as THREE from 'three';
+import { GPUParticleSimulation } from './GPUParticleSimulation.js';
+import { ParticleSimulation, buildCdf } from './ParticleSimulation.js';
+import { WorkerParticleSimulation } from './WorkerParticleSimulation.js';
+import { random } from '../utils/Random.js';
 
+// Glow sprite and particle colours until a theme is applied
+const DEFAULT_GLOW = [0xffc864, 0xff8800, 0xff4400];
+
+/**
+ * Particles streaming along the network's edges. With a WebGL2 renderer the
+ * simulation runs on the GPU (GPUParticleSimulation); otherwise, or with
+ * `simulation: 'worker'`, a ParticleSimulation steps in a Web Worker, and
+ * with `simulation: 'cpu'` on the main thread. `mode` tells which.
+ */
 export class ParticleFlow {
-    constructor(scene, neuralNetwork, params) {
+    constructor(scene, neuralNetwork, params, { renderer = null, simulation = 'auto' } = {}) {
         this.scene = scene;
         this.neuralNetwork = neuralNetwork;
         this.params = params;
+        this.renderer = renderer;
+        this.simulation = simulation;
+        this.mode = null;
+        this.gpu = null;
+        this.simulator = null;
         this.particleSystem = null;
+        this.edgeSignals = null;
+        this.edgeCdf = null;
+        this.gradientSignals = null;
+        this.gradientCdf = null;
+        // Per-edge 0/1 restricting where particles spawn (see setEdgeMask)
+        this.edgeMask = null;
+        this.gradientShare = 0.5;
+        this.tempHSL = {};
+        this.baseColor = new THREE.Color().setHSL(0.08, 0.8, 0.5);
+        this.signalHues = { positive: 0.08, negative: 0.58 };
+        this.burstCursor = 0;
         this.time = 0;
         
+        // Size and speed the current buffers were built with; params may
+        // already hold newer values until updateParams() runs
+        this.particleCount = 0;
+        this.particleSpeed = params.particleSpeed;
+        
+        // Share of params.particleCount actually drawn (see setCountScale)
+        this.countScale = 1;
+        // Scales point sprites, e.g. for exports far above screen size
+        this.pixelRatio = 1;
+        
         this.init();
     }
     
@@ -18,10 +57,21 @@ export class ParticleFlow {
     
     createParticleTexture() {
         const size = 64;
-        const canvas = document.createElement('canvas');
-        canvas.width = size;
-        canvas.height = size;
-        const ctx = canvas.getContext('2d');
+        this.textureCanvas = document.createElement('canvas');
+        this.textureCanvas.width = size;
+        this.textureCanvas.height = size;
+        
+        this.particleTexture = new THREE.CanvasTexture(this.textureCanvas);
+        this.drawParticleTexture(...DEFAULT_GLOW.map(hex => new THREE.Color(hex)));
+    }
+    
+    drawParticleTexture(core, mid, rim) {
+        const size = this.textureCanvas.width;
+        const ctx = this.textureCanvas.getContext('2d');
+        const style = (color, alpha) => {
+            const { r, g, b } = color.clone().convertLinearToSRGB();
+            return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha})`;
+        };
         
         // Create glowing particle
         const gradient = ctx.createRadialGradient(
@@ -29,71 +79,99 @@ export class ParticleFlow {
             size / 2, size / 2, size / 2
         );
         
-        gradient.addColorStop(0, 'rgba(255, 200, 100, 1)');
-        gradient.addColorStop(0.2, 'rgba(255, 170, 68, 0.8)');
-        gradient.addColorStop(0.4, 'rgba(255, 136, 0, 0.6)');
-        gradient.addColorStop(0.7, 'rgba(255, 100, 0, 0.3)');
-        gradient.addColorStop(1, 'rgba(255, 68, 0, 0)');
+        gradient.addColorStop(0, style(core, 1));
+        gradient.addColorStop(0.2, style(core.clone().lerp(mid, 0.5), 0.8));
+        gradient.addColorStop(0.4, style(mid, 0.6));
+        gradient.addColorStop(0.7, style(mid.clone().lerp(rim, 0.5), 0.3));
+        gradient.addColorStop(1, style(rim, 0));
         
+        ctx.clearRect(0, 0, size, size);
         ctx.fillStyle = gradient;
         ctx.fillRect(0, 0, size, size);
         
-        this.particleTexture = new THREE.CanvasTexture(canvas);
         this.particleTexture.needsUpdate = true;
     }
     
-    createParticleSystem() {
-        const geometry = new THREE.BufferGeometry();
-        const count = this.params.particleCount;
+    applyTheme(theme) {
+        const { colors } = theme;
         
-        // Attributes
-        const positions = new Float32Array(count * 3);
-        const velocities = new Float32Array(count * 3);
-        const colors = new Float32Array(count * 3);
-        const sizes = new Float32Array(count);
-        const lifetimes = new Float32Array(count);
-        const ages = new Float32Array(count);
+        this.drawParticleTexture(colors.particleCore, colors.particleMid, colors.particleRim);
+        this.baseColor.copy(colors.particle);
+        
+        // Signal particles keep their own lightness, only the hue is themed
+        this.signalHues.positive = colors.positive.getHSL(this.tempHSL, THREE.SRGBColorSpace).h;
+        this.signalHues.negative = colors.negative.getHSL(this.tempHSL, THREE.SRGBColorSpace).h;
+        this.updateColors();
+        
+        // Particles in flight pick up the new colours as they respawn
+    }
+    
+    updateColors() {
+        const colors = {
+            positiveHue: this.signalHues.positive,
+            negativeHue: this.signalHues.negative
+        };
+        
+        if (this.gpu) {
+            this.gpu.setColors({ ...colors, baseColor: this.baseColor });
+        } else {
+            this.simulator?.setColors({ ...colors, baseHSL: this.baseColor.getHSL({}) });
+        }
+    }
+    
+    createParticleSystem() {
+        const count = this.getTargetCount();
         
         // Get edge data from neural network
         const edges = this.neuralNetwork.getEdgeData();
         
-        // Initialize particles along edges
+        // Nothing to flow along (e.g. a topology without edges)
+        if (edges.length === 0) return;
+        
+        // Store references
+        this.particleData = {
+            edges,
+            // Flat copy of the edge ends for the GPU simulation
+            positions: new Float32Array(edges.length * 6)
+        };
+        this.particleCount = count;
+        this.particleSpeed = this.params.particleSpeed;
+        this.burstCursor = 0;
+        
+        if ((this.simulation === 'auto' || this.simulation === 'gpu') &&
+            GPUParticleSimulation.isSupported(this.renderer) && this.createGPUParticleSystem()) {
+            this.mode = 'gpu';
+            return;
+        }
+        
+        if (this.simulation !== 'cpu' && typeof Worker !== 'undefined') {
+            this.mode = 'worker';
+            this.simulator = new WorkerParticleSimulation(count, edges.length, {
+                onError: () => {
+                    // e.g. module workers unsupported; redo the particles here
+                    this.simulation = 'cpu';
+                    this.rebuild();
+                }
+            });
+        } else {
+            this.mode = 'cpu';
+            this.simulator = new ParticleSimulation(count, edges.length);
+        }
+        
+        this.writeEdges(this.simulator.edges);
+        this.updateColors();
+        this.simulator.setSignals(this.getSignals());
+        this.simulator.seed(this.particleSpeed);
+        
+        // Sizes never change, so they stay out of the simulation
+        const sizes = new Float32Array(count);
         for (let i = 0; i < count; i++) {
-            // Select random edge
-            const edge = edges[Math.floor(Math.random() * edges.length)];
-            const t = Math.random();
-            
-            // Position along edge
-            positions[i * 3] = edge.start.x + (edge.end.x - edge.start.x) * t;
-            positions[i * 3 + 1] = edge.start.y + (edge.end.y - edge.start.y) * t;
-            positions[i * 3 + 2] = edge.start.z + (edge.end.z - edge.start.z) * t;
-            
-            // Velocity direction along edge
-            const direction = new THREE.Vector3()
-                .subVectors(edge.end, edge.start)
-                .normalize();
-            
-            velocities[i * 3] = direction.x * this.params.particleSpeed;
-            velocities[i * 3 + 1] = direction.y * this.params.particleSpeed;
-            velocities[i * 3 + 2] = direction.z * this.params.particleSpeed;
-            
-            // Golden/amber color with variation
-            const hue = 0.08 + Math.random() * 0.05; // Orange to yellow
-            const saturation = 0.8 + Math.random() * 0.2;
-            const lightness = 0.5 + Math.random() * 0.2;
-            const color = new THREE.Color().setHSL(hue, saturation, lightness);
-            
-            colors[i * 3] = color.r;
-            colors[i * 3 + 1] = color.g;
-            colors[i * 3 + 2] = color.b;
-            
-            sizes[i] = 20 + Math.random() * 40;
-            lifetimes[i] = 2 + Math.random() * 3;
-            ages[i] = Math.random() * lifetimes[i];
+            sizes[i] = 20 + random() * 40;
         }
         
+        const { positions, colors, lifetimes, ages } = this.simulator;
+        const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
         geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
         geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
         geometry.setAttribute('lifetime', new THREE.BufferAttribute(lifetimes, 1));
@@ -104,10 +182,9 @@ export class ParticleFlow {
             uniforms: {
                 uTime: { value: 0 },
                 uTexture: { value: this.particleTexture },
-                uPixelRatio: { value: this.scene.renderer?.getPixelRatio() || 1 }
+                uPixelRatio: { value: this.pixelRatio }
             },
             vertexShader: `
-                attribute vec3 velocity;
                 attribute float size;
                 attribute float lifetime;
                 attribute float age;
@@ -131,7 +208,7 @@ export class ParticleFlow {
                     
                     // Size attenuation
                     gl_PointSize = size * uPixelRatio * (300.0 / -mvPosition.z);
-                    gl_PointSize = clamp(gl_PointSize, 2.0, 100.0);
+                    gl_PointSize = clamp(gl_PointSize, 2.0 * uPixelRatio, 100.0 * uPixelRatio);
                 }
             `,
             fragmentShader: `
@@ -157,18 +234,124 @@ export class ParticleFlow {
         });
         
         this.particleSystem = new THREE.Points(geometry, material);
-        this.scene.add(this.particleSystem);
+        this.particleSystem.visible = !this.isMaskEmpty();
+        this.neuralNetwork.group.add(this.particleSystem);
+    }
+    
+    createGPUParticleSystem() {
+        let gpu = null;
         
-        // Store references
-        this.particleData = {
-            edges,
-            edgeIndices: new Uint16Array(count)
-        };
+        try {
+            gpu = new GPUParticleSimulation(this.renderer, {
+                count: this.particleCount,
+                edgeCount: this.particleData.edges.length,
+                particleTexture: this.particleTexture,
+                pixelRatio: this.pixelRatio
+            });
+            
+            // Seed on the CPU, then hand the state over
+            const initial = new ParticleSimulation(this.particleCount, this.particleData.edges.length);
+            this.writeEdges(initial.edges);
+            initial.setSignals(this.getSignals());
+            initial.seed(this.particleSpeed);
+            gpu.setInitialState(initial);
+            gpu.init();
+        } catch (error) {
+            console.warn('Falling back to CPU particles:', error);
+            gpu?.dispose();
+            this.simulation = 'worker';
+            return false;
+        }
         
-        // Assign edge indices to particles
-        for (let i = 0; i < count; i++) {
-            this.particleData.edgeIndices[i] = Math.floor(Math.random() * edges.length);
+        this.gpu = gpu;
+        this.updateColors();
+        this.particleSystem = gpu.points;
+        this.particleSystem.visible = !this.isMaskEmpty();
+        this.neuralNetwork.group.add(this.particleSystem);
+        return true;
+    }
+    
+    writeEdges(target) {
+        // Flatten the live edge ends to [sx, sy, sz, tx, ty, tz] per edge
+        this.particleData.edges.forEach((edge, i) => {
+            edge.start.toArray(target, i * 6);
+            edge.end.toArray(target, i * 6 + 3);
+        });
+    }
+    
+    rebuild() {
+        // Re-seed particles after the network topology has changed
+        this.disposeParticleSystem();
+        
+        // Signals only make sense for the edge set they were computed on
+        const edgeCount = this.neuralNetwork.edges.length;
+        if (this.edgeSignals && this.edgeSignals.length !== edgeCount) {
+            this.setEdgeSignals(null);
+        }
+        if (this.gradientSignals && this.gradientSignals.length !== edgeCount) {
+            this.setGradientSignals(null);
+        }
+        if (this.edgeMask && this.edgeMask.length !== edgeCount) {
+            this.setEdgeMask(null);
+        }
+        
+        this.createParticleSystem();
+    }
+    
+    setEdgeSignals(signals) {
+        // Normalized per-edge signal in [-1, 1] (see NeuralNetworkMesh.getEdgeSignals);
+        // null restores the uniform, constant-speed flow
+        this.edgeSignals = signals;
+        this.updateCdfs();
+    }
+    
+    setGradientSignals(gradients) {
+        // Normalized per-edge gradient in [-1, 1]. While set, `gradientShare`
+        // of the particles run backwards along the edges, denser and faster
+        // where the gradient is larger; null stops the backward flow
+        this.gradientSignals = gradients;
+        this.updateCdfs();
+    }
+    
+    setEdgeMask(edgeIndices) {
+        // Restrict new particles to these edges (e.g. a highlighted path);
+        // null lets them use every edge again. Particles already on other
+        // edges finish their trip first.
+        if (edgeIndices) {
+            this.edgeMask = new Uint8Array(this.neuralNetwork.edges.length);
+            edgeIndices.forEach(edgeIndex => {
+                if (edgeIndex < this.edgeMask.length) this.edgeMask[edgeIndex] = 1;
+            });
+        } else {
+            this.edgeMask = null;
         }
+        
+        this.updateCdfs();
+        
+        // No edge left to flow along
+        if (this.particleSystem) this.particleSystem.visible = !this.isMaskEmpty();
+    }
+    
+    isMaskEmpty() {
+        return this.edgeMask !== null && !this.edgeMask.includes(1);
+    }
+    
+    updateCdfs() {
+        const { edgeSignals, gradientSignals, edgeMask } = this;
+        const edgeCount = this.neuralNetwork.edges.length;
+        
+        this.edgeCdf = edgeSignals || edgeMask ? buildCdf(edgeSignals, edgeMask, edgeCount) : null;
+        this.gradientCdf = gradientSignals ? buildCdf(gradientSignals, edgeMask) : null;
+        this.simulator?.setSignals(this.getSignals());
+    }
+    
+    getSignals() {
+        return {
+            edgeSignals: this.edgeSignals,
+            edgeCdf: this.edgeCdf,
+            gradientSignals: this.gradientSignals,
+            gradientCdf: this.gradientCdf
+        };
     }
     
     updateMousePosition(mouse) {
@@ -176,44 +359,38 @@ export class ParticleFlow {
         this.mousePosition = mouse;
     }
     
-    triggerBurst(position) {
-        // Create burst of particles at position
-        const positions = this.particleSystem.geometry.attributes.position;
-        const velocities = this.particleSystem.geometry.attributes.velocity;
-        const ages = this.particleSystem.geometry.attributes.age;
-        const lifetimes = this.particleSystem.geometry.attributes.lifetime;
-        
-        // Find 50 random particles to reset
-        const burstCount = 50;
-        const indices = [];
-        
-        for (let i = 0; i < burstCount; i++) {
-            indices.push(Math.floor(Math.random() * this.params.particleCount));
+    triggerBurst(worldPosition) {
+        if (!this.particleSystem) return;
+        
+        // Particles live in the network's (slowly rotating) group
+        const position = this.neuralNetwork.group.worldToLocal(worldPosition.clone());
+        
+        if (this.gpu) {
+            this.gpu.burst(this.burstCursor, 50, position);
+            this.burstCursor = (this.burstCursor + 50) % this.particleCount;
+            return;
         }
         
-        indices.forEach(i => {
-            // Reset position to burst point
-            positions.array[i * 3] = position.x;
-            positions.array[i * 3 + 1] = position.y;
-            positions.array[i * 3 + 2] = position.z;
-            
-            // Random burst velocity
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 0.5 + Math.random() * 1;
-            
-            velocities.array[i * 3] = Math.cos(angle) * speed;
-            velocities.array[i * 3 + 1] = Math.random() * speed;
-            velocities.array[i * 3 + 2] = Math.sin(angle) * speed;
-            
-            // Reset age
-            ages.array[i] = 0;
-            lifetimes.array[i] = 1 + Math.random() * 2;
-        });
+        this.simulator.burst(position);
+    }
+    
+    emitAlongEdges(edgeIndices, { perEdge = 6, travelTime = 1 } = {}) {
+        // Send a wave of particles from source to target of each edge so
+        // they arrive after `travelTime` seconds
+        if (!this.particleSystem) return;
+        
+        const valid = edgeIndices.filter(edgeIndex =>
+            this.particleData.edges[edgeIndex] && (!this.edgeMask || this.edgeMask[edgeIndex])
+        );
+        if (valid.length === 0) return;
+        
+        if (this.gpu) {
+            this.gpu.emit(this.burstCursor, valid, perEdge, travelTime);
+            this.burstCursor = (this.burstCursor + valid.length * perEdge) % this.particleCount;
+            return;
+        }
         
-        positions.needsUpdate = true;
-        velocities.needsUpdate = true;
-        ages.needsUpdate = true;
-        lifetimes.needsUpdate = true;
+        this.simulator.emit(valid, perEdge, travelTime);
     }
     
     update(elapsedTime, deltaTime) {
@@ -221,69 +398,112 @@ export class ParticleFlow {
         
         this.time = elapsedTime;
         
+        if (this.gpu) {
+            this.updateGPU(deltaTime);
+            return;
+        }
+        
         // Update uniforms
         this.particleSystem.material.uniforms.uTime.value = elapsedTime;
         
-        // Update particles
-        const positions = this.particleSystem.geometry.attributes.position;
-        const velocities = this.particleSystem.geometry.attributes.velocity;
-        const ages = this.particleSystem.geometry.attributes.age;
-        const lifetimes = this.particleSystem.geometry.attributes.lifetime;
+        // Edges move between layouts, so they are refreshed every frame
+        this.writeEdges(this.simulator.edges);
+        const fresh = this.simulator.step(deltaTime, {
+            speed: this.params.particleSpeed,
+            gradientShare: this.gradientShare
+        });
         
-        const edges = this.particleData.edges;
-        const edgeIndices = this.particleData.edgeIndices;
+        // The worker hands over a frame only every so often
+        if (this.mode === 'cpu' || fresh) {
+            const { attributes } = this.particleSystem.geometry;
+            attributes.position.needsUpdate = true;
+            attributes.color.needsUpdate = true;
+            attributes.age.needsUpdate = true;
+            attributes.lifetime.needsUpdate = true;
+        }
+    }
+    
+    updateGPU(deltaTime) {
+        // Edges move between layouts, so the edge texture is refreshed
+        // every frame
+        this.writeEdges(this.particleData.positions);
+        this.gpu.writeEdges(this.particleData.positions, {
+            edgeSignals: this.edgeSignals,
+            gradientSignals: this.gradientSignals,
+            edgeCdf: this.edgeCdf,
+            gradientCdf: this.gradientCdf
+        });
         
-        for (let i = 0; i < this.params.particleCount; i++) {
-            // Update age
-            ages.array[i] += deltaTime;
-            
-            // Check if particle should respawn
-            if (ages.array[i] > lifetimes.array[i]) {
-                // Reset particle
-                ages.array[i] = 0;
-                
-                // Pick new edge
-                const edgeIndex = Math.floor(Math.random() * edges.length);
-                edgeIndices[i] = edgeIndex;
-                const edge = edges[edgeIndex];
-                
-                // Reset position to start of edge
-                positions.array[i * 3] = edge.start.x;
-                positions.array[i * 3 + 1] = edge.start.y;
-                positions.array[i * 3 + 2] = edge.start.z;
-                
-                // Reset velocity along edge
-                const direction = new THREE.Vector3()
-                    .subVectors(edge.end, edge.start)
-                    .normalize();
-                
-                velocities.array[i * 3] = direction.x * this.params.particleSpeed;
-                velocities.array[i * 3 + 1] = direction.y * this.params.particleSpeed;
-                velocities.array[i * 3 + 2] = direction.z * this.params.particleSpeed;
+        this.gpu.step(deltaTime, {
+            speed: this.params.particleSpeed,
+            gradientShare: this.gradientShare
+        });
+    }
+    
+    disposeParticleSystem() {
+        if (!this.particleSystem) return;
+        
+        this.neuralNetwork.group.remove(this.particleSystem);
+        
+        if (this.gpu) {
+            this.gpu.dispose();
+            this.gpu = null;
+        } else {
+            if (this.mode === 'worker') this.simulator.dispose();
+            this.simulator = null;
+            this.particleSystem.geometry.dispose();
+            this.particleSystem.material.dispose();
+        }
+        
+        this.particleSystem = null;
+        this.particleData = null;
+        this.particleCount = 0;
+    }
+    
+    updateParams(params) {
+        this.params = params;
+        
+        // New particle count needs new buffers
+        if (this.getTargetCount() !== this.particleCount) {
+            this.rebuild();
+            return;
+        }
+        
+        // Rescale particles already in flight to the new speed. Stopped ones
+        // have nothing to scale, so they restart from the new speed
+        if (params.particleSpeed !== this.particleSpeed && this.particleSystem) {
+            const simulation = this.gpu || this.simulator;
+            if (this.particleSpeed > 0) {
+                simulation.scaleVelocities(params.particleSpeed / this.particleSpeed);
             } else {
-                // Update position
-                positions.array[i * 3] += velocities.array[i * 3] * deltaTime;
-                positions.array[i * 3 + 1] += velocities.array[i * 3 + 1] * deltaTime;
-                positions.array[i * 3 + 2] += velocities.array[i * 3 + 2] * deltaTime;
-                
-                // Add slight turbulence
-                const turbulence = 0.1;
-                positions.array[i * 3] += (Math.random() - 0.5) * turbulence * deltaTime;
-                positions.array[i * 3 + 1] += (Math.random() - 0.5) * turbulence * deltaTime;
-                positions.array[i * 3 + 2] += (Math.random() - 0.5) * turbulence * deltaTime;
+                simulation.restartTrips(params.particleSpeed);
             }
+            this.particleSpeed = params.particleSpeed;
         }
+    }
+    
+    getTargetCount() {
+        return Math.max(1, Math.round(this.params.particleCount * this.countScale));
+    }
+    
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio;
         
-        positions.needsUpdate = true;
-        ages.needsUpdate = true;
+        if (this.gpu) {
+            this.gpu.renderUniforms.uPixelRatio.value = ratio;
+        } else if (this.particleSystem) {
+            this.particleSystem.material.uniforms.uPixelRatio.value = ratio;
+        }
+    }
+    
+    setCountScale(scale) {
+        // Quality setting; a new count rebuilds the particles
+        this.countScale = scale;
+        this.updateParams(this.params);
     }
     
     dispose() {
-        if (this.particleSystem) {
-            this.particleSystem.geometry.dispose();
-            this.particleSystem.material.dispose();
-            this.particleTexture.dispose();
-            this.scene.remove(this.particleSystem);
-        }
+        this.disposeParticleSystem();
+        this.particleTexture.dispose();
     }
 }
\ No newline at end of file
@@ -0,0 +1,349 @@
+import { Color } from 'three';
+import { CURVE_STRIDE, measureEdgeCurve } from './EdgeCurve.js';
+import { random } from '../utils/Random.js';
+
+// Edge index of particles flying free after a burst
+export const FREE_PARTICLE = 0xffffffff;
+
+// Cap on a particle's trip so very slow ones still respawn
+const MAX_LIFETIME = 10;
+
+/**
+ * ParticleFlow's CPU simulation over plain typed arrays, so the same code
+ * runs on the main thread and in particle.worker.js. Edges are a flat
+ * Float32Array of [sx, sy, sz, tx, ty, tz] per edge that the owner refreshes
+ * from the live node positions; positions, colors, ages and lifetimes are
+ * what the point shader draws.
+ *
+ * Particles on an edge are placed by `progress`, the fraction of the edge's
+ * arc length they have covered (from the target end when `backward`), so
+ * they stay on the drawn curve (see EdgeCurve.js) however the nodes move.
+ */
+export class ParticleSimulation {
+    constructor(count, edgeCount, buffers = ParticleSimulation.createBuffers(count, edgeCount)) {
+        this.count = count;
+        this.edgeCount = edgeCount;
+        Object.assign(this, buffers);
+        
+        // Apex and half lengths of each edge, refreshed every step
+        this.curves = new Float32Array(edgeCount * CURVE_STRIDE);
+        
+        this.edgeSignals = null;
+        this.edgeCdf = null;
+        this.gradientSignals = null;
+        this.gradientCdf = null;
+        this.speed = 0.5;
+        this.gradientShare = 0.5;
+        this.burstCursor = 0;
+        this.baseHSL = { h: 0.08, s: 0.8, l: 0.5 };
+        this.signalHues = { positive: 0.08, negative: 0.58 };
+        this.color = new Color();
+    }
+    
+    static createBuffers(count, edgeCount, { shared = false } = {}) {
+        // Shared buffers let a worker write where the main thread reads
+        const Buffer = shared ? SharedArrayBuffer : ArrayBuffer;
+        const floats = (length) => new Float32Array(new Buffer(length * 4));
+        
+        return {
+            edges: floats(edgeCount * 6),
+            positions: floats(count * 3),
+            colors: floats(count * 3),
+            lifetimes: floats(count),
+            ages: floats(count),
+            // Edge each particle travels along (or FREE_PARTICLE), whether
+            // it runs backwards (target to source) carrying a gradient, how
+            // far along it is and its speed along the curve
+            edgeIndices: new Uint32Array(new Buffer(count * 4)),
+            backward: new Uint8Array(new Buffer(count)),
+            progress: floats(count),
+            speeds: floats(count),
+            // Free particles only
+            velocities: floats(count * 3)
+        };
+    }
+    
+    seed(speed) {
+        // Spread particles along random edges at random points of their trip
+        this.speed = speed;
+        this.updateCurves();
+        
+        for (let i = 0; i < this.count; i++) {
+            const edge = this.pickEdge(this.edgeCdf);
+            
+            this.startTrip(i, edge, false, speed);
+            this.progress[i] = random();
+            this.ages[i] = this.progress[i] * this.lifetimes[i];
+            this.placeOnEdge(i);
+            this.setColor(i, edge, false);
+        }
+    }
+    
+    setSignals({ edgeSignals = null, edgeCdf = null, gradientSignals = null, gradientCdf = null }) {
+        // See ParticleFlow.setEdgeSignals / setGradientSignals
+        this.edgeSignals = edgeSignals;
+        this.edgeCdf = edgeCdf;
+        this.gradientSignals = gradientSignals;
+        this.gradientCdf = gradientCdf;
+    }
+    
+    setColors({ baseHSL, positiveHue, negativeHue }) {
+        // Particles pick these up as they respawn
+        this.baseHSL = baseHSL;
+        this.signalHues = { positive: positiveHue, negative: negativeHue };
+    }
+    
+    updateCurves() {
+        for (let edge = 0; edge < this.edgeCount; edge++) {
+            measureEdgeCurve(this.edges, edge, this.curves);
+        }
+    }
+    
+    getCurveLength(edge) {
+        const c = edge * CURVE_STRIDE;
+        return this.curves[c + 3] + this.curves[c + 4];
+    }
+    
+    pickEdge(cdf) {
+        if (!cdf) {
+            return Math.floor(random() * this.edgeCount);
+        }
+        
+        const target = random() * cdf[this.edgeCount - 1];
+        let low = 0;
+        let high = this.edgeCount - 1;
+        
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            // <= skips edges of zero weight (masked out)
+            if (cdf[mid] <= target) low = mid + 1;
+            else high = mid;
+        }
+        
+        return low;
+    }
+    
+    getEdgeSpeed(edge, backward = false) {
+        const signals = backward ? this.gradientSignals : this.edgeSignals;
+        if (!signals) return this.speed;
+        return this.speed * (0.4 + Math.abs(signals[edge]) * 1.6);
+    }
+    
+    startTrip(i, edge, backward, speed) {
+        // From the start of the edge; the trip lasts as long as the curve takes
+        this.edgeIndices[i] = edge;
+        this.backward[i] = backward ? 1 : 0;
+        this.progress[i] = 0;
+        this.speeds[i] = speed;
+        this.ages[i] = 0;
+        this.lifetimes[i] = Math.min(this.getCurveLength(edge) / speed, MAX_LIFETIME);
+    }
+    
+    placeOnEdge(i) {
+        // Position at `progress` of the edge's arc length; the two halves
+        // are straight, so this is exact
+        const edge = this.edgeIndices[i];
+        const e = edge * 6;
+        const c = edge * CURVE_STRIDE;
+        const { edges, curves } = this;
+        
+        const first = curves[c + 3];
+        const t = this.backward[i] === 1 ? 1 - this.progress[i] : this.progress[i];
+        const distance = t * (first + curves[c + 4]);
+        
+        // Lerp from (a, ai) to (b, bi) by f
+        let a = edges, ai = e, b = curves, bi = c, f;
+        if (distance <= first) {
+            f = first > 0 ? distance / first : 0;
+        } else {
+            a = curves;
+            ai = c;
+            b = edges;
+            bi = e + 3;
+            f = (distance - first) / curves[c + 4];
+        }
+        
+        this.positions[i * 3] = a[ai] + (b[bi] - a[ai]) * f;
+        this.positions[i * 3 + 1] = a[ai + 1] + (b[bi + 1] - a[ai + 1]) * f;
+        this.positions[i * 3 + 2] = a[ai + 2] + (b[bi + 2] - a[ai + 2]) * f;
+    }
+    
+    setColor(i, edge, backward = false) {
+        const color = this.color;
+        
+        if (backward && this.gradientSignals) {
+            // Magenta for positive gradients, green for negative
+            const gradient = this.gradientSignals[edge];
+            const hue = gradient >= 0 ? 0.85 : 0.35;
+            color.setHSL(hue, 0.9, 0.3 + Math.abs(gradient) * 0.4);
+        } else if (this.edgeSignals) {
+            // Warm for positive signal, cool for negative, brighter when stronger
+            const signal = this.edgeSignals[edge];
+            const hue = signal >= 0 ? this.signalHues.positive : this.signalHues.negative;
+            color.setHSL(hue, 0.9, 0.25 + Math.abs(signal) * 0.45);
+        } else {
+            // Base colour with a little variation in hue, saturation and lightness
+            const { h, s, l } = this.baseHSL;
+            color.setHSL(h + random() * 0.05, s + random() * 0.2, l + random() * 0.2);
+        }
+        
+        this.colors[i * 3] = color.r;
+        this.colors[i * 3 + 1] = color.g;
+        this.colors[i * 3 + 2] = color.b;
+    }
+    
+    respawn(i) {
+        // Pick new edge; gradient particles start at the target end
+        const backward = this.gradientSignals !== null && random() < this.gradientShare;
+        const edge = this.pickEdge(backward ? this.gradientCdf : this.edgeCdf);
+        
+        this.startTrip(i, edge, backward, this.getEdgeSpeed(edge, backward));
+        this.setColor(i, edge, backward);
+    }
+    
+    step(deltaTime, { speed, gradientShare }) {
+        this.speed = speed;
+        this.gradientShare = gradientShare;
+        
+        // Edges move with layout transitions, so measure them every step
+        this.updateCurves();
+        
+        const { positions, velocities, ages, lifetimes, progress } = this;
+        
+        for (let i = 0; i < this.count; i++) {
+            const edge = this.edgeIndices[i];
+            ages[i] += deltaTime;
+            
+            if (edge === FREE_PARTICLE) {
+                if (ages[i] > lifetimes[i]) {
+                    this.respawn(i);
+                    this.placeOnEdge(i);
+                    continue;
+                }
+                
+                positions[i * 3] += velocities[i * 3] * deltaTime;
+                positions[i * 3 + 1] += velocities[i * 3 + 1] * deltaTime;
+                positions[i * 3 + 2] += velocities[i * 3 + 2] * deltaTime;
+                continue;
+            }
+            
+            const length = this.getCurveLength(edge);
+            progress[i] += length > 0 ? this.speeds[i] * deltaTime / length : 1;
+            
+            // Respawn on arrival, or when a stalled trip runs out of time
+            if (progress[i] >= 1 || ages[i] > lifetimes[i]) {
+                this.respawn(i);
+            }
+            
+            this.placeOnEdge(i);
+        }
+    }
+    
+    burst(position, burstCount = 50) {
+        // Fling random particles out of `position`, off their edges
+        for (let n = 0; n < burstCount; n++) {
+            const i = Math.floor(random() * this.count);
+            const angle = random() * Math.PI * 2;
+            const speed = 0.5 + random() * 1;
+            
+            this.edgeIndices[i] = FREE_PARTICLE;
+            
+            this.positions[i * 3] = position.x;
+            this.positions[i * 3 + 1] = position.y;
+            this.positions[i * 3 + 2] = position.z;
+            
+            this.velocities[i * 3] = Math.cos(angle) * speed;
+            this.velocities[i * 3 + 1] = random() * speed;
+            this.velocities[i * 3 + 2] = Math.sin(angle) * speed;
+            
+            this.ages[i] = 0;
+            this.lifetimes[i] = 1 + random() * 2;
+        }
+    }
+    
+    emit(edgeIndices, perEdge, travelTime) {
+        // Send a wave of particles from source to target of each edge so
+        // they arrive after `travelTime` seconds
+        this.updateCurves();
+        
+        edgeIndices.forEach(edge => {
+            if (edge >= this.edgeCount) return;
+            
+            const speed = this.getCurveLength(edge) / travelTime;
+            
+            for (let k = 0; k < perEdge; k++) {
+                // Recycle particles round-robin so bursts don't overwrite each other
+                const i = this.burstCursor;
+                this.burstCursor = (this.burstCursor + 1) % this.count;
+                
+                // Stagger the wave slightly along the edge
+                const lead = (k / perEdge) * 0.15;
+                
+                this.startTrip(i, edge, false, speed);
+                this.progress[i] = lead;
+                this.lifetimes[i] = travelTime * (1 - lead);
+                this.placeOnEdge(i);
+                this.setColor(i, edge);
+            }
+        });
+    }
+    
+    scaleVelocities(ratio) {
+        // Rescale particles already in flight to a new speed; trips on an
+        // edge stretch or shrink with it so they still fade out on arrival
+        for (let i = 0; i < this.count; i++) {
+            if (this.edgeIndices[i] === FREE_PARTICLE) {
+                this.velocities[i * 3] *= ratio;
+                this.velocities[i * 3 + 1] *= ratio;
+                this.velocities[i * 3 + 2] *= ratio;
+                continue;
+            }
+            
+            this.speeds[i] *= ratio;
+            if (ratio > 0) {
+                this.ages[i] /= ratio;
+                this.lifetimes[i] = Math.min(this.lifetimes[i] / ratio, MAX_LIFETIME);
+            }
+        }
+    }
+    
+    restartTrips(speed) {
+        // For a speed rising from 0, where there is nothing to scale: trips
+        // on an edge take up the new speed where they stand, and free
+        // particles rejoin the edges
+        this.speed = speed;
+        this.updateCurves();
+        
+        for (let i = 0; i < this.count; i++) {
+            const edge = this.edgeIndices[i];
+            
+            if (edge === FREE_PARTICLE) {
+                this.respawn(i);
+                this.placeOnEdge(i);
+                continue;
+            }
+            
+            const backward = this.backward[i] === 1;
+            const progress = this.progress[i];
+            this.startTrip(i, edge, backward, this.getEdgeSpeed(edge, backward));
+            this.progress[i] = progress;
+            this.ages[i] = progress * this.lifetimes[i];
+        }
+    }
+}
+
+export function buildCdf(signals, mask = null, length = signals.length) {
+    // Cumulative distribution so stronger edges get more particles; edges
+    // the mask zeroes out get none. Without signals edges weigh the same.
+    const cdf = new Float32Array(length);
+    let total = 0;
+    
+    for (let i = 0; i < length; i++) {
+        if (!mask || mask[i]) {
+            total += signals ? 0.01 + Math.abs(signals[i]) : 1;
+        }
+        cdf[i] = total;
+    }
+    
+    return cdf;
+}
\ No newline at end of file
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { random } from '../utils/Random.js';
+
+// cloudDensity 1 shows this many sprites; the default 0.8 shows 30
+const CLOUDS_AT_FULL_DENSITY = 38;
 
 export class VolumetricClouds {
     constructor(scene, params) {
@@ -7,6 +11,9 @@ export class VolumetricClouds {
         this.clouds = [];
         this.cloudGroup = new THREE.Group();
         
+        // Quality setting scaling cloudDensity (see setDensityScale)
+        this.densityScale = 1;
+        
         this.init();
         this.scene.add(this.cloudGroup);
     }
@@ -23,15 +30,16 @@ export class VolumetricClouds {
         canvas.height = size;
         const ctx = canvas.getContext('2d');
         
-        // Create gradient for cloud texture
+        // Grey mask for the cloud texture; the sprites are tinted with the
+        // theme's cloud colour
         const gradient = ctx.createRadialGradient(
             size / 2, size / 2, 0,
             size / 2, size / 2, size / 2
         );
         
-        gradient.addColorStop(0, 'rgba(20, 20, 20, 0.8)');
-        gradient.addColorStop(0.4, 'rgba(40, 40, 40, 0.5)');
-        gradient.addColorStop(0.7, 'rgba(60, 60, 60, 0.2)');
+        gradient.addColorStop(0, 'rgba(85, 85, 85, 0.8)');
+        gradient.addColorStop(0.4, 'rgba(170, 170, 170, 0.5)');
+        gradient.addColorStop(0.7, 'rgba(255, 255, 255, 0.2)');
         gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
         
         ctx.fillStyle = gradient;
@@ -42,7 +50,7 @@ export class VolumetricClouds {
         const data = imageData.data;
         
         for (let i = 0; i < data.length; i += 4) {
-            const noise = Math.random() * 30;
+            const noise = random() * 128;
             data[i] = Math.max(0, data[i] - noise);
             data[i + 1] = Math.max(0, data[i + 1] - noise);
             data[i + 2] = Math.max(0, data[i + 2] - noise);
@@ -55,13 +63,13 @@ export class VolumetricClouds {
     }
     
     createCloudSprites() {
-        const cloudCount = 30;
+        const cloudCount = CLOUDS_AT_FULL_DENSITY;
         
         for (let i = 0; i < cloudCount; i++) {
             const spriteMaterial = new THREE.SpriteMaterial({
                 map: this.cloudTexture,
-                color: 0x222222,
-                opacity: this.params.cloudOpacity * (0.3 + Math.random() * 0.7),
+                color: 0x0c0c0c,
+                opacity: this.params.cloudOpacity * (0.3 + random() * 0.7),
                 transparent: true,
                 blending: THREE.NormalBlending,
                 depthWrite: false,
@@ -72,9 +80,9 @@ export class VolumetricClouds {
             const sprite = new THREE.Sprite(spriteMaterial);
             
             // Position in center area
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * 3;
-            const height = (Math.random() - 0.5) * 2;
+            const angle = random() * Math.PI * 2;
+            const radius = random() * 3;
+            const height = (random() - 0.5) * 2;
             
             sprite.position.set(
                 Math.cos(angle) * radius,
@@ -83,19 +91,21 @@ export class VolumetricClouds {
             );
             
             // Random scale
-            const scale = 3 + Math.random() * 4;
+            const scale = 3 + random() * 4;
             sprite.scale.set(scale, scale, 1);
             
             // Store animation data
             sprite.userData = {
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.02,
-                    (Math.random() - 0.5) * 0.01,
-                    (Math.random() - 0.5) * 0.02
+                    (random() - 0.5) * 0.02,
+                    (random() - 0.5) * 0.01,
+                    (random() - 0.5) * 0.02
                 ),
-                rotationSpeed: (Math.random() - 0.5) * 0.001,
+                rotationSpeed: (random() - 0.5) * 0.001,
                 baseScale: scale,
-                phaseOffset: Math.random() * Math.PI * 2
+                phaseOffset: random() * Math.PI * 2,
+                // Creation order, which cloudDensity cuts off at
+                densityRank: i
             };
             
             this.clouds.push(sprite);
@@ -104,6 +114,32 @@ export class VolumetricClouds {
         
         // Sort by depth for proper rendering
         this.sortCloudsByDepth();
+        this.applyDensity();
+    }
+    
+    applyDensity() {
+        const visibleCount = Math.round(CLOUDS_AT_FULL_DENSITY * this.params.cloudDensity * this.densityScale);
+        
+        this.clouds.forEach(cloud => {
+            cloud.visible = cloud.userData.densityRank < visibleCount;
+        });
+    }
+    
+    setDensityScale(scale) {
+        this.densityScale = scale;
+        this.applyDensity();
+    }
+    
+    updateParams(params) {
+        // Opacity is read every frame in update()
+        this.params = params;
+        this.applyDensity();
+    }
+    
+    applyTheme(theme) {
+        this.clouds.forEach(cloud => {
+            cloud.material.color.copy(theme.colors.cloud);
+        });
     }
     
     sortCloudsByDepth() {
@@ -155,7 +191,7 @@ export class VolumetricClouds {
             const opacityMultiplier = 1 - (centerDistance / maxRadius) * 0.5;
             cloud.material.opacity = this.params.cloudOpacity * 
                 opacityMultiplier * 
-                (0.3 + Math.random() * 0.7);
+                (0.3 + random() * 0.7);
         });
         
         // Periodically sort by depth
@@ -0,0 +1,113 @@
+import { ParticleSimulation } from './ParticleSimulation.js';
+
+const FRAME_ARRAYS = ['positions', 'colors', 'ages', 'lifetimes'];
+
+/**
+ * Main-thread side of particle.worker.js, with the same surface as
+ * ParticleSimulation. When the page is cross-origin isolated the worker
+ * writes straight into SharedArrayBuffer-backed arrays; otherwise each step
+ * comes back as transferred arrays that are copied into `positions`,
+ * `colors`, `ages` and `lifetimes` and handed back for reuse.
+ */
+export class WorkerParticleSimulation {
+    constructor(count, edgeCount, { onError = null } = {}) {
+        this.count = count;
+        this.edgeCount = edgeCount;
+        this.shared = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+        
+        this.buffers = ParticleSimulation.createBuffers(count, edgeCount, { shared: this.shared });
+        Object.assign(this, this.buffers);
+        
+        // One step in flight at a time; frames rendered meanwhile add up
+        this.busy = false;
+        this.pendingDelta = 0;
+        this.frameReady = false;
+        this.spareFrame = null;
+        
+        this.worker = new Worker(new URL('./particle.worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this.onMessage(e.data);
+        this.worker.onerror = (e) => {
+            console.error('Particle worker failed:', e.message);
+            onError?.(e);
+        };
+    }
+    
+    seed(speed) {
+        // `edges` must hold the current edge positions by now
+        this.worker.postMessage({
+            type: 'init',
+            count: this.count,
+            edgeCount: this.edgeCount,
+            buffers: this.shared ? this.buffers : undefined,
+            edges: this.shared ? undefined : this.edges,
+            speed
+        });
+    }
+    
+    onMessage(data) {
+        if (data.type !== 'frame') return;
+        
+        if (data.frame) {
+            FRAME_ARRAYS.forEach(name => this[name].set(data.frame[name]));
+            this.spareFrame = data.frame;
+        }
+        
+        this.busy = false;
+        this.frameReady = true;
+    }
+    
+    step(deltaTime, { speed, gradientShare }) {
+        // Returns true when a new frame has arrived since the last call
+        this.pendingDelta += deltaTime;
+        
+        if (!this.busy) {
+            const frame = this.spareFrame;
+            this.spareFrame = null;
+            
+            this.worker.postMessage({
+                type: 'step',
+                deltaTime: this.pendingDelta,
+                edges: this.shared ? undefined : this.edges,
+                speed,
+                gradientShare,
+                frame
+            }, frame ? FRAME_ARRAYS.map(name => frame[name].buffer) : []);
+            
+            this.busy = true;
+            this.pendingDelta = 0;
+        }
+        
+        const ready = this.frameReady;
+        this.frameReady = false;
+        return ready;
+    }
+    
+    setSignals(signals) {
+        this.worker.postMessage({ type: 'signals', ...signals });
+    }
+    
+    setColors(colors) {
+        this.worker.postMessage({ type: 'colors', ...colors });
+    }
+    
+    burst(position) {
+        const { x, y, z } = position;
+        this.worker.postMessage({ type: 'burst', position: { x, y, z } });
+    }
+    
+    emit(edgeIndices, perEdge, travelTime) {
+        this.worker.postMessage({ type: 'emit', edgeIndices, perEdge, travelTime });
+    }
+    
+    scaleVelocities(ratio) {
+        this.worker.postMessage({ type: 'scaleVelocities', ratio });
+    }
+    
+    restartTrips(speed) {
+        this.worker.postMessage({ type: 'restartTrips', speed });
+    }
+    
+    dispose() {
+        this.worker.terminate();
+    }
+}
\ No newline at end of file
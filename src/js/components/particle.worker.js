@@ -0,0 +1,83 @@
+import { ParticleSimulation } from './ParticleSimulation.js';
+
+// Runs ParticleSimulation off the main thread. Messages in:
+//   { type: 'init', count, edgeCount, buffers?, speed } - buffers are
+//     SharedArrayBuffer-backed when the page is cross-origin isolated
+//   { type: 'step', deltaTime, edges, speed, gradientShare, frame? }
+//   { type: 'signals', edgeSignals, edgeCdf, gradientSignals, gradientCdf }
+//   { type: 'colors', baseHSL, positiveHue, negativeHue }
+//   { type: 'burst', position } / { type: 'emit', edgeIndices, perEdge, travelTime }
+//   { type: 'scaleVelocities', ratio } / { type: 'restartTrips', speed }
+// Messages out: { type: 'frame', frame? } after every step. Without shared
+// buffers `frame` carries transferable copies of the drawn arrays, which
+// the main thread hands back with its next step.
+
+const FRAME_ARRAYS = ['positions', 'colors', 'ages', 'lifetimes'];
+
+let simulation = null;
+let shared = false;
+// Kept from before init, which may arrive after them
+let signals = null;
+let colors = null;
+let spareFrame = null;
+
+function takeFrame() {
+    // Reuse the arrays the main thread sent back, if they still fit
+    const frame = spareFrame;
+    spareFrame = null;
+    
+    if (frame && frame.positions.length === simulation.positions.length) return frame;
+    return Object.fromEntries(FRAME_ARRAYS.map(name => [name, new Float32Array(simulation[name].length)]));
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            shared = Boolean(data.buffers);
+            simulation = new ParticleSimulation(data.count, data.edgeCount, data.buffers);
+            if (data.edges) simulation.edges.set(data.edges);
+            if (signals) simulation.setSignals(signals);
+            if (colors) simulation.setColors(colors);
+            simulation.seed(data.speed);
+            break;
+        case 'step': {
+            if (!simulation) return;
+            
+            if (data.frame) spareFrame = data.frame;
+            if (data.edges) simulation.edges.set(data.edges);
+            simulation.step(data.deltaTime, data);
+            
+            if (shared) {
+                self.postMessage({ type: 'frame' });
+                return;
+            }
+            
+            const frame = takeFrame();
+            FRAME_ARRAYS.forEach(name => frame[name].set(simulation[name]));
+            self.postMessage({ type: 'frame', frame }, FRAME_ARRAYS.map(name => frame[name].buffer));
+            break;
+        }
+        case 'signals':
+            signals = data;
+            simulation?.setSignals(data);
+            break;
+        case 'colors':
+            colors = data;
+            simulation?.setColors(data);
+            break;
+        case 'burst':
+            simulation?.burst(data.position);
+            break;
+        case 'emit':
+            simulation?.emit(data.edgeIndices, data.perEdge, data.travelTime);
+            break;
+        case 'scaleVelocities':
+            simulation?.scaleVelocities(data.ratio);
+            break;
+        case 'restartTrips':
+            simulation?.restartTrips(data.speed);
+            break;
+        default:
+            console.warn(`Unknown particle worker message "${data.type}"`);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,353 @@
+import * as THREE from 'three';
+
+/**
+ * Declarative description of a network: ordered layers of nodes plus a
+ * directed edge list. This is the single source of truth NeuralNetworkMesh
+ * builds its nodes and edges from.
+ *
+ * Document format:
+ * {
+ *   "name": "XOR MLP",
+ *   "layers": [
+ *     { "id": "input", "label": "Input", "nodes": [{ "id": "x0", "label": "x0" }, "x1"] },
+ *     { "id": "hidden", "units": 4 }
+ *   ],
+ *   "edges": [
+ *     { "source": "x0", "target": "hidden_0", "weight": 0.42, "label": "w00" }
+ *   ]
+ * }
+ *
+ * Nodes can be given as objects, bare id strings, or generated with `units`
+ * (ids become `<layerId>_<i>`). A node may carry an optional `position`
+ * ([x, y, z]) to override the computed layout.
+ *
+ * When a layer lists fewer nodes than it really has (large imported layers
+ * are summarized), `units` keeps the true count and the stand-in node for
+ * the hidden remainder is flagged with `"summary": true`. Layer `type` and
+ * `meta` carry importer details such as activation or kernel size.
+ *
+ * Layers whose output is an image (inputs, conv and pooling layers) may
+ * carry a `featureMap`: { "height", "width", "channels" } and, for conv and
+ * pooling layers, the `window` that produced it ({ "kernel", "strides",
+ * "pads" }, each a [rows, columns] pair). FeatureMapVolumes draws these
+ * layers as volumes.
+ *
+ * To make a topology runnable by MLPRuntime, give layers an `activation`
+ * ("linear", "relu", "sigmoid", "tanh" or "softmax") and nodes a `bias`.
+ */
+export class NetworkTopology {
+    constructor({ name = 'Untitled network', layers = [], edges = [] } = {}) {
+        this.name = name;
+        this.layers = [];
+        this.nodes = [];
+        this.edges = [];
+        this.nodeIndex = new Map();
+        
+        // Edge indices per node, built on first use (see getAdjacency)
+        this.adjacency = null;
+        
+        layers.forEach((layer, layerIndex) => this.addLayer(layer, layerIndex));
+        edges.forEach((edge) => this.addEdge(edge));
+    }
+    
+    static fromJSON(json) {
+        const doc = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        if (!doc || !Array.isArray(doc.layers)) {
+            throw new Error('Invalid topology: "layers" must be an array');
+        }
+        if (doc.edges !== undefined && !Array.isArray(doc.edges)) {
+            throw new Error('Invalid topology: "edges" must be an array');
+        }
+        
+        return new NetworkTopology(doc);
+    }
+    
+    static createDefault() {
+        // The original octagon: a centre node, an 8-node inner ring and a
+        // 16-node outer ring
+        const edges = [];
+        
+        for (let i = 0; i < 8; i++) {
+            edges.push({ source: 'core_0', target: `inner_${i}` });
+        }
+        
+        for (let i = 0; i < 8; i++) {
+            edges.push({ source: `inner_${i}`, target: `inner_${(i + 1) % 8}` });
+        }
+        
+        for (let i = 0; i < 8; i++) {
+            edges.push({ source: `inner_${i}`, target: `outer_${i * 2}` });
+            edges.push({ source: `inner_${i}`, target: `outer_${i * 2 + 1}` });
+        }
+        
+        return new NetworkTopology({
+            name: 'Octagon',
+            layers: [
+                { id: 'core', units: 1 },
+                { id: 'inner', units: 8 },
+                { id: 'outer', units: 16 }
+            ],
+            edges
+        });
+    }
+    
+    addLayer(layer, layerIndex) {
+        if (!layer || layer.id === undefined) {
+            throw new Error(`Invalid topology: layer ${layerIndex} has no id`);
+        }
+        
+        const nodeSpecs = Array.isArray(layer.nodes)
+            ? layer.nodes
+            : Array.from({ length: layer.units || 0 }, (_, i) => `${layer.id}_${i}`);
+        
+        const entry = {
+            id: String(layer.id),
+            label: layer.label || String(layer.id),
+            type: layer.type || null,
+            units: layer.units || nodeSpecs.length,
+            activation: layer.activation || null,
+            meta: layer.meta || null,
+            featureMap: layer.featureMap || null,
+            nodeIds: []
+        };
+        
+        nodeSpecs.forEach((spec) => {
+            const node = typeof spec === 'object' ? spec : { id: spec };
+            const id = String(node.id);
+            
+            if (this.nodeIndex.has(id)) {
+                throw new Error(`Invalid topology: duplicate node id "${id}"`);
+            }
+            
+            this.nodeIndex.set(id, this.nodes.length);
+            this.nodes.push({
+                id,
+                label: node.label || id,
+                layer: entry.id,
+                layerIndex,
+                summary: Boolean(node.summary),
+                bias: typeof node.bias === 'number' ? node.bias : null,
+                position: Array.isArray(node.position)
+                    ? new THREE.Vector3().fromArray(node.position)
+                    : null
+            });
+            entry.nodeIds.push(id);
+        });
+        
+        this.layers.push(entry);
+        this.adjacency = null;
+    }
+    
+    addEdge({ source, target, weight = null, label = null }) {
+        const sourceIndex = this.nodeIndex.get(String(source));
+        const targetIndex = this.nodeIndex.get(String(target));
+        
+        if (sourceIndex === undefined || targetIndex === undefined) {
+            throw new Error(`Invalid topology: edge ${source} -> ${target} references an unknown node`);
+        }
+        
+        this.edges.push({
+            source: String(source),
+            target: String(target),
+            sourceIndex,
+            targetIndex,
+            weight: typeof weight === 'number' ? weight : null,
+            label
+        });
+        this.adjacency = null;
+    }
+    
+    getNodeIndex(id) {
+        const index = this.nodeIndex.get(String(id));
+        return index === undefined ? -1 : index;
+    }
+    
+    getAdjacency() {
+        // { outgoing, incoming }: edge indices leaving and entering each node
+        if (!this.adjacency) {
+            const outgoing = this.nodes.map(() => []);
+            const incoming = this.nodes.map(() => []);
+            
+            this.edges.forEach(({ sourceIndex, targetIndex }, index) => {
+                outgoing[sourceIndex].push(index);
+                incoming[targetIndex].push(index);
+            });
+            
+            this.adjacency = { outgoing, incoming };
+        }
+        
+        return this.adjacency;
+    }
+    
+    getNeighbourhood(index, hops = 1) {
+        // Nodes within `hops` edges of node `index`, ignoring direction, and
+        // the edges that lead to them
+        const { outgoing, incoming } = this.getAdjacency();
+        const nodes = new Set([index]);
+        const edges = new Set();
+        let frontier = [index];
+        
+        for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+            const next = [];
+            
+            frontier.forEach(node => {
+                outgoing[node].forEach(edge => {
+                    edges.add(edge);
+                    const target = this.edges[edge].targetIndex;
+                    if (!nodes.has(target)) {
+                        nodes.add(target);
+                        next.push(target);
+                    }
+                });
+                incoming[node].forEach(edge => {
+                    edges.add(edge);
+                    const source = this.edges[edge].sourceIndex;
+                    if (!nodes.has(source)) {
+                        nodes.add(source);
+                        next.push(source);
+                    }
+                });
+            });
+            
+            frontier = next;
+        }
+        
+        return { nodes, edges };
+    }
+    
+    findPaths(fromIndex, toIndex) {
+        // Every edge on a directed path from one node to the other, in
+        // whichever direction has one: in a feed-forward network that is
+        // all the routes an input takes to an output. Nodes with no directed
+        // path between them (e.g. in the same layer) fall back to the
+        // shortest paths ignoring direction. Returns { nodes, edges,
+        // direction } with direction 'forward', 'backward' or 'undirected',
+        // or null when the two aren't connected at all.
+        if (fromIndex === toIndex) {
+            return { nodes: new Set([fromIndex]), edges: new Set(), direction: 'forward' };
+        }
+        
+        const { outgoing, incoming } = this.getAdjacency();
+        
+        const directed = (source, target, direction) => {
+            // Edges whose source is reachable from `source` and whose target
+            // reaches `target`
+            const downstream = this.getReachable(source, outgoing, 'targetIndex');
+            if (!downstream.has(target)) return null;
+            
+            const upstream = this.getReachable(target, incoming, 'sourceIndex');
+            const nodes = new Set();
+            const edges = new Set();
+            
+            this.edges.forEach(({ sourceIndex, targetIndex }, index) => {
+                if (downstream.has(sourceIndex) && upstream.has(targetIndex)) {
+                    edges.add(index);
+                    nodes.add(sourceIndex);
+                    nodes.add(targetIndex);
+                }
+            });
+            
+            return { nodes, edges, direction };
+        };
+        
+        const path = directed(fromIndex, toIndex, 'forward') || directed(toIndex, fromIndex, 'backward');
+        if (path) return path;
+        
+        // An edge lies on a shortest undirected path when its two ends are
+        // one step apart in distance from both nodes
+        const fromDistances = this.getDistances(fromIndex);
+        const length = fromDistances[toIndex];
+        if (length === Infinity) return null;
+        
+        const toDistances = this.getDistances(toIndex);
+        const nodes = new Set();
+        const edges = new Set();
+        
+        this.edges.forEach(({ sourceIndex, targetIndex }, index) => {
+            const forward = fromDistances[sourceIndex] + 1 + toDistances[targetIndex] === length;
+            const backward = fromDistances[targetIndex] + 1 + toDistances[sourceIndex] === length;
+            
+            if (forward || backward) {
+                edges.add(index);
+                nodes.add(sourceIndex);
+                nodes.add(targetIndex);
+            }
+        });
+        
+        return { nodes, edges, direction: 'undirected' };
+    }
+    
+    getReachable(index, adjacency, end) {
+        // Nodes reachable from `index` following `adjacency` (outgoing or
+        // incoming) to each edge's `end` ('targetIndex' or 'sourceIndex')
+        const reached = new Set([index]);
+        const stack = [index];
+        
+        while (stack.length > 0) {
+            adjacency[stack.pop()].forEach(edge => {
+                const next = this.edges[edge][end];
+                if (!reached.has(next)) {
+                    reached.add(next);
+                    stack.push(next);
+                }
+            });
+        }
+        
+        return reached;
+    }
+    
+    getDistances(index) {
+        // Breadth-first hop counts from `index`, ignoring edge direction
+        const { outgoing, incoming } = this.getAdjacency();
+        const distances = new Array(this.nodes.length).fill(Infinity);
+        const queue = [index];
+        distances[index] = 0;
+        
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            const visit = (next) => {
+                if (distances[next] === Infinity) {
+                    distances[next] = distances[node] + 1;
+                    queue.push(next);
+                }
+            };
+            
+            outgoing[node].forEach(edge => visit(this.edges[edge].targetIndex));
+            incoming[node].forEach(edge => visit(this.edges[edge].sourceIndex));
+        }
+        
+        return distances;
+    }
+    
+    toJSON() {
+        return {
+            name: this.name,
+            layers: this.layers.map((layer) => ({
+                id: layer.id,
+                label: layer.label,
+                ...(layer.type ? { type: layer.type } : {}),
+                ...(layer.units !== layer.nodeIds.length ? { units: layer.units } : {}),
+                ...(layer.activation ? { activation: layer.activation } : {}),
+                ...(layer.meta ? { meta: layer.meta } : {}),
+                ...(layer.featureMap ? { featureMap: layer.featureMap } : {}),
+                nodes: layer.nodeIds.map((id) => {
+                    const node = this.nodes[this.nodeIndex.get(id)];
+                    return {
+                        id: node.id,
+                        label: node.label,
+                        ...(node.summary ? { summary: true } : {}),
+                        ...(node.bias !== null ? { bias: node.bias } : {}),
+                        ...(node.position ? { position: node.position.toArray() } : {})
+                    };
+                })
+            })),
+            edges: this.edges.map(({ source, target, weight, label }) => ({
+                source,
+                target,
+                ...(weight !== null ? { weight } : {}),
+                ...(label !== null ? { label } : {})
+            }))
+        };
+    }
+}
\ No newline at end of file
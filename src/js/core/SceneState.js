@@ -0,0 +1,87 @@
+/**
+ * Serialized look of the scene: params, camera, topology and theme.
+ * NeuralNetworkVisualization captures and applies it (getSceneState /
+ * setSceneState); this class validates the document and converts it to and
+ * from a compressed, URL-safe string for share links.
+ *
+ * Document format:
+ * {
+ *   "format": "neural-network-viz/scene",
+ *   "version": 1,
+ *   "params": { "bloomStrength": 1.5, "theme": "dark", ... },
+ *   "camera": { "position": [0, 0, 30], "target": [0, 0, 0] },
+ *   "topology": { "name": "...", "layers": [...], "edges": [...] },
+ *   "theme": { "name": "brand", "palette": { "background": "#0b0e14", ... } }
+ * }
+ *
+ * `theme` is only present when params.theme names a custom palette.
+ */
+export class SceneState {
+    static isSceneState(doc) {
+        return Boolean(doc) && doc.format === SceneState.FORMAT;
+    }
+    
+    static validate(json) {
+        const doc = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        if (!SceneState.isSceneState(doc)) {
+            throw new Error(`Invalid scene state: "format" must be "${SceneState.FORMAT}"`);
+        }
+        if (doc.version > SceneState.VERSION) {
+            throw new Error(`Scene state version ${doc.version} is newer than this viewer supports (${SceneState.VERSION})`);
+        }
+        if (doc.params !== undefined && (typeof doc.params !== 'object' || doc.params === null)) {
+            throw new Error('Invalid scene state: "params" must be an object');
+        }
+        
+        const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        if (doc.camera && (!isVector(doc.camera.position) || !isVector(doc.camera.target))) {
+            throw new Error('Invalid scene state: camera position and target must be [x, y, z]');
+        }
+        
+        if (doc.theme && (typeof doc.theme.name !== 'string' || typeof doc.theme.palette !== 'object')) {
+            throw new Error('Invalid scene state: "theme" needs a name and a palette');
+        }
+        
+        return doc;
+    }
+    
+    /**
+     * Deflates the JSON and encodes it as base64url, ready for a URL hash.
+     */
+    static async encode(doc) {
+        const bytes = new TextEncoder().encode(JSON.stringify(doc));
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+        
+        let binary = '';
+        for (let i = 0; i < compressed.length; i++) {
+            binary += String.fromCharCode(compressed[i]);
+        }
+        
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    static async decode(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return SceneState.validate(await new Response(stream).text());
+    }
+    
+    static async toHash(doc) {
+        return `#${SceneState.HASH_KEY}=${await SceneState.encode(doc)}`;
+    }
+    
+    static fromHash(hash) {
+        // Resolves to null when the hash holds no scene
+        const match = new RegExp(`^#?${SceneState.HASH_KEY}=([A-Za-z0-9_-]+)`).exec(hash || '');
+        return match ? SceneState.decode(match[1]) : Promise.resolve(null);
+    }
+}
+
+SceneState.FORMAT = 'neural-network-viz/scene';
+SceneState.VERSION = 1;
+SceneState.HASH_KEY = 'scene';
\ No newline at end of file
@@ -0,0 +1,142 @@
+import { PROTOCOL_VERSION, createMessage, isProtocolMessage } from './protocol.js';
+
+/**
+ * The viz's side of the iframe embedding API. Only messages from
+ * `allowedOrigins` are handled, and events are only posted to them, so the
+ * embedding page has to opt in, e.g. `?embedOrigin=https://docs.example.com`
+ * (comma-separate several). See EmbedHost for the host-side helper.
+ */
+export class EmbedBridge {
+    constructor(app, { allowedOrigins = [], target = window.parent, fpsInterval = 1 } = {}) {
+        this.app = app;
+        this.target = target;
+        this.allowedOrigins = new Set(allowedOrigins);
+        this.fpsInterval = fpsInterval;
+        this.frames = 0;
+        this.frameTime = 0;
+        
+        this.onMessage = (e) => this.handleMessage(e);
+        window.addEventListener('message', this.onMessage);
+        
+        this.onNodeClicked = (e) => this.emit('nodeClicked', e.detail);
+        window.addEventListener('nodeClicked', this.onNodeClicked);
+    }
+    
+    static fromQuery(app, query) {
+        // Active only inside a frame and with at least one allowed origin
+        const origins = (query.get('embedOrigin') || '')
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean);
+        
+        if (window.parent === window || origins.length === 0) return null;
+        
+        return new EmbedBridge(app, { allowedOrigins: origins });
+    }
+    
+    emitReady() {
+        // Sent once on startup and again for every 'hello'
+        this.emit('ready', {
+            version: PROTOCOL_VERSION,
+            params: { ...this.app.params },
+            topology: this.app.neuralNetwork.topology.name
+        });
+    }
+    
+    emit(type, payload = {}, id = undefined) {
+        const message = createMessage(type, payload, id);
+        
+        // postMessage drops the message unless the parent's origin matches
+        this.allowedOrigins.forEach(origin => {
+            this.target.postMessage(message, origin);
+        });
+    }
+    
+    async handleMessage(event) {
+        if (event.source !== this.target || !this.allowedOrigins.has(event.origin)) return;
+        if (!isProtocolMessage(event.data)) return;
+        
+        const { type, id, version, payload = {} } = event.data;
+        
+        const respond = (ok, body) => {
+            if (id === undefined) return;
+            event.source.postMessage(
+                createMessage('response', ok ? { ok, result: body } : { ok, error: body }, id),
+                event.origin
+            );
+        };
+        
+        if (version !== PROTOCOL_VERSION) {
+            respond(false, `Unsupported protocol version ${version} (expected ${PROTOCOL_VERSION})`);
+            return;
+        }
+        
+        try {
+            respond(true, await this.handleRequest(type, payload));
+        } catch (error) {
+            console.error(`Embed request "${type}" failed:`, error);
+            respond(false, error.message);
+        }
+    }
+    
+    async handleRequest(type, payload) {
+        const app = this.app;
+        
+        switch (type) {
+            case 'hello':
+                this.emitReady();
+                return null;
+            case 'setParams': {
+                // Unknown keys and values of the wrong type are dropped and
+                // reported back; numbers are clamped to the panel's ranges
+                const params = payload.params || {};
+                const changes = app.sanitizeParams(params);
+                const ignored = Object.keys(params).filter(key => !(key in changes));
+                
+                app.updateParams(changes);
+                return { params: { ...app.params }, ignored };
+            }
+            case 'loadTopology': {
+                const topology = await app.loadTopology(payload.topology);
+                return { name: topology.name, nodes: topology.nodes.length, edges: topology.edges.length };
+            }
+            case 'pulseNodes':
+                return { pulsed: app.pulseNodes(payload.ids || []) };
+            case 'setTheme': {
+                // A palette registers (or updates) a custom theme first
+                const { name, palette, base, duration } = payload;
+                if (palette) app.registerTheme(name, palette, base);
+                app.setTheme(name, duration);
+                return { theme: name };
+            }
+            case 'setCamera':
+                app.setCamera(payload, payload.duration);
+                return null;
+            case 'pause':
+                app.pause();
+                return null;
+            case 'resume':
+                app.resume();
+                return null;
+            default:
+                throw new Error(`Unknown request "${type}"`);
+        }
+    }
+    
+    update(deltaTime) {
+        // Reports frames per second every `fpsInterval` seconds
+        this.frames++;
+        this.frameTime += deltaTime;
+        
+        if (this.frameTime >= this.fpsInterval) {
+            this.emit('fps', { fps: Math.round(this.frames / this.frameTime) });
+            this.frames = 0;
+            this.frameTime = 0;
+        }
+    }
+    
+    dispose() {
+        window.removeEventListener('message', this.onMessage);
+        window.removeEventListener('nodeClicked', this.onNodeClicked);
+    }
+}
\ No newline at end of file
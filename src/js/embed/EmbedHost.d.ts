@@ -0,0 +1,82 @@
+// Types for the iframe embedding API (see EmbedHost.js and EmbedBridge.js)
+
+export type Vector3Tuple = [number, number, number];
+
+export interface VizParams {
+    exposure: number;
+    bloomStrength: number;
+    bloomThreshold: number;
+    bloomRadius: number;
+    particleCount: number;
+    particleSpeed: number;
+    cloudDensity: number;
+    cloudOpacity: number;
+    rotationSpeed: number;
+    glassRoughness: number;
+    glassTransmission: number;
+    glassThickness: number;
+    glassIOR: number;
+    layout: string;
+    theme: string;
+    /** Hops around the selected node left undimmed; 0 turns the dimming off */
+    focusHops: number;
+    /** Layers with at least this many nodes collapse into a slab when far away; 0 never */
+    lodUnits: number;
+    /** Camera distance beyond which those layers collapse */
+    lodDistance: number;
+    /** Draw conv and pooling layers with a known feature map as volumes */
+    featureMaps: boolean;
+    /** Show activation slices in the volumes (see setFeatureMaps) */
+    featureMapSlices: boolean;
+    /** 'auto' adapts to the frame rate; 'low', 'medium', 'high' or 'ultra' holds that tier */
+    quality: string;
+}
+
+/** Theme colours as hex numbers or CSS strings; see ThemeRegistry.js for every key */
+export type ThemePalette = Record<string, number | string>;
+
+export interface TopologyDocument {
+    name?: string;
+    layers: Array<{
+        id: string;
+        label?: string;
+        type?: string;
+        units?: number;
+        activation?: string;
+        meta?: Record<string, unknown>;
+        nodes?: Array<string | { id: string; label?: string; bias?: number; summary?: boolean; position?: Vector3Tuple }>;
+    }>;
+    edges?: Array<{ source: string; target: string; weight?: number; label?: string }>;
+}
+
+export interface CameraState {
+    position?: Vector3Tuple;
+    target?: Vector3Tuple;
+    /** Seconds; 0 jumps straight there */
+    duration?: number;
+}
+
+export interface VizEvents {
+    ready: { version: number; params: VizParams; topology: string };
+    nodeClicked: { id: string; label: string; layer: string };
+    fps: { fps: number };
+}
+
+export declare class EmbedHost {
+    constructor(iframe: HTMLIFrameElement, options: { origin: string; timeout?: number });
+
+    readonly ready: Promise<VizEvents['ready']>;
+
+    on<K extends keyof VizEvents>(type: K, handler: (payload: VizEvents[K]) => void): this;
+    off<K extends keyof VizEvents>(type: K, handler: (payload: VizEvents[K]) => void): this;
+
+    setParams(params: Partial<VizParams>): Promise<{ params: VizParams; ignored: string[] }>;
+    loadTopology(topology: TopologyDocument | string): Promise<{ name: string; nodes: number; edges: number }>;
+    pulseNodes(ids: string[]): Promise<{ pulsed: string[] }>;
+    setTheme(name: string, options?: { palette?: ThemePalette; base?: string; duration?: number }): Promise<{ theme: string }>;
+    setCamera(camera: CameraState): Promise<null>;
+    pause(): Promise<null>;
+    resume(): Promise<null>;
+
+    dispose(): void;
+}
\ No newline at end of file
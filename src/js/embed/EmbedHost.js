@@ -0,0 +1,135 @@
+import { PROTOCOL_VERSION, createMessage, isProtocolMessage } from './protocol.js';
+
+/**
+ * Host-side helper for pages that embed the viz in an iframe. It has no
+ * dependencies besides protocol.js, so docs sites can ship both files as is.
+ * Types live in EmbedHost.d.ts.
+ *
+ *   const viz = new EmbedHost(iframe, { origin: 'https://viz.example.com' });
+ *   await viz.ready;
+ *   viz.on('nodeClicked', ({ id }) => console.log(id));
+ *   await viz.pulseNodes(['hidden_0']);
+ *
+ * The iframe URL has to allow this page, e.g.
+ * `https://viz.example.com/?embedOrigin=https://docs.example.com`.
+ */
+export class EmbedHost {
+    constructor(iframe, { origin, timeout = 10000 } = {}) {
+        if (!origin) {
+            throw new Error('EmbedHost needs the origin the viz is served from');
+        }
+        
+        this.iframe = iframe;
+        this.origin = origin;
+        this.timeout = timeout;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.listeners = new Map();
+        
+        this.ready = new Promise(resolve => {
+            const onReady = (payload) => {
+                this.off('ready', onReady);
+                resolve(payload);
+            };
+            this.on('ready', onReady);
+        });
+        
+        this.onMessage = (e) => this.handleMessage(e);
+        window.addEventListener('message', this.onMessage);
+        
+        // The viz sends 'ready' once when it starts, which this page may
+        // have missed; 'hello' asks for it again, now and on every reload
+        this.sayHello = () => {
+            this.iframe.contentWindow?.postMessage(createMessage('hello'), this.origin);
+        };
+        this.iframe.addEventListener('load', this.sayHello);
+        this.sayHello();
+    }
+    
+    on(type, handler) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(handler);
+        return this;
+    }
+    
+    off(type, handler) {
+        this.listeners.get(type)?.delete(handler);
+        return this;
+    }
+    
+    handleMessage(event) {
+        if (event.origin !== this.origin || event.source !== this.iframe.contentWindow) return;
+        if (!isProtocolMessage(event.data) || event.data.version !== PROTOCOL_VERSION) return;
+        
+        const { type, id, payload } = event.data;
+        
+        if (type === 'response') {
+            const request = this.pending.get(id);
+            if (!request) return;
+            
+            this.pending.delete(id);
+            clearTimeout(request.timer);
+            
+            if (payload.ok) request.resolve(payload.result);
+            else request.reject(new Error(payload.error));
+            return;
+        }
+        
+        this.listeners.get(type)?.forEach(handler => handler(payload));
+    }
+    
+    request(type, payload = {}) {
+        const id = this.nextId++;
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Embed request "${type}" timed out`));
+            }, this.timeout);
+            
+            this.pending.set(id, { resolve, reject, timer });
+            this.iframe.contentWindow.postMessage(createMessage(type, payload, id), this.origin);
+        });
+    }
+    
+    setParams(params) {
+        return this.request('setParams', { params });
+    }
+    
+    loadTopology(topology) {
+        // Topology document or a URL the viz can fetch
+        return this.request('loadTopology', { topology });
+    }
+    
+    pulseNodes(ids) {
+        return this.request('pulseNodes', { ids });
+    }
+    
+    setTheme(name, { palette, base, duration } = {}) {
+        // Built-in theme name, or a custom name together with its palette
+        return this.request('setTheme', { name, palette, base, duration });
+    }
+    
+    setCamera({ position, target, duration } = {}) {
+        return this.request('setCamera', { position, target, duration });
+    }
+    
+    pause() {
+        return this.request('pause');
+    }
+    
+    resume() {
+        return this.request('resume');
+    }
+    
+    dispose() {
+        window.removeEventListener('message', this.onMessage);
+        this.iframe.removeEventListener('load', this.sayHello);
+        this.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new Error('EmbedHost disposed'));
+        });
+        this.pending.clear();
+        this.listeners.clear();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,46 @@
+// Wire format shared by EmbedBridge (inside the iframe) and EmbedHost (the
+// embedding page). Every message is an envelope:
+//   { source: 'neural-network-viz', version: 1, type, id?, payload }
+// Requests from the host carry an `id`; the viz answers each one with a
+// 'response' message { id, ok, result?, error? }.
+
+export const PROTOCOL_SOURCE = 'neural-network-viz';
+
+// Bumped on breaking changes; messages from another major version are refused
+export const PROTOCOL_VERSION = 1;
+
+// Host -> viz. 'hello' asks the viz to (re)send 'ready', for hosts that
+// start listening after the viz has loaded
+export const REQUESTS = [
+    'hello',
+    'setParams',
+    'loadTopology',
+    'pulseNodes',
+    'setCamera',
+    'setTheme',
+    'pause',
+    'resume'
+];
+
+// Viz -> host
+export const EVENTS = [
+    'ready',
+    'nodeClicked',
+    'fps',
+    'response'
+];
+
+export function createMessage(type, payload = {}, id = undefined) {
+    return {
+        source: PROTOCOL_SOURCE,
+        version: PROTOCOL_VERSION,
+        type,
+        ...(id !== undefined ? { id } : {}),
+        payload
+    };
+}
+
+export function isProtocolMessage(data) {
+    return Boolean(data) && typeof data === 'object' &&
+        data.source === PROTOCOL_SOURCE && typeof data.type === 'string';
+}
\ No newline at end of file
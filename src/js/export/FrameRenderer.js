@@ -0,0 +1,238 @@
+import { WebMWriter } from './WebMWriter.js';
+
+// VideoEncoder configs to try, best first, with their WebM codec ids
+const VIDEO_CODECS = [
+    { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+    { codec: 'vp8', codecId: 'V_VP8' }
+];
+
+/**
+ * Fixed-timestep stand-in for THREE.Clock: every getDelta() is one frame,
+ * however long the frame really took.
+ */
+export class FixedClock {
+    constructor(fps = 60) {
+        this.step = 1 / fps;
+        this.elapsedTime = 0;
+    }
+    
+    getDelta() {
+        this.elapsedTime += this.step;
+        return this.step;
+    }
+}
+
+/**
+ * Offline stills and clips from a NeuralNetworkVisualization started in
+ * deterministic mode (?render, see main.js): the random generator is
+ * seeded before the scene is built, the clock is a FixedClock and frames
+ * only advance when this says so. The same seed, inputs and frame number
+ * therefore give the same picture.
+ *
+ * Time only runs forward; to go back, reload with the same seed. Images
+ * and clips can be far larger than the window: PNGs are rendered in tiles
+ * (optionally supersampled) and stitched on a 2D canvas, video is encoded
+ * with WebCodecs into WebM, or recorded with MediaRecorder where WebCodecs
+ * is missing.
+ */
+export class FrameRenderer {
+    constructor(app, { fps = 60 } = {}) {
+        this.app = app;
+        this.fps = fps;
+        this.frame = 0;
+    }
+    
+    get time() {
+        return this.frame / this.fps;
+    }
+    
+    step(frames = 1) {
+        // Advances the scene without drawing it
+        for (let i = 0; i < frames; i++) {
+            this.app.updateFrame(this.app.clock.getDelta());
+            this.frame++;
+        }
+    }
+    
+    stepTo(time) {
+        const target = Math.round(time * this.fps);
+        if (target < this.frame) {
+            throw new Error(`Frame ${target} has already passed (now at ${this.frame}); reload with the same seed to go back`);
+        }
+        this.step(target - this.frame);
+    }
+    
+    async capturePNG({ width, height, supersample = 1, tileSize = 4096, margin = 64 } = {}) {
+        // The current frame as a PNG Blob of width x height (the canvas
+        // size by default), rendered supersample times larger and scaled
+        // down. Renders above tileSize pixels are split into tiles that
+        // overlap by `margin` output pixels, so bloom mostly carries
+        // across the seams
+        const canvas = this.app.renderer.domElement;
+        width = Math.round(width || canvas.width);
+        height = Math.round(height || canvas.height);
+        
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        
+        const fullWidth = width * supersample;
+        const fullHeight = height * supersample;
+        const fits = fullWidth <= tileSize && fullHeight <= tileSize;
+        const overlap = fits ? 0 : margin;
+        const tile = fits ? Math.max(width, height) : Math.floor(tileSize / supersample) - 2 * overlap;
+        
+        if (tile <= 0) {
+            throw new Error(`tileSize ${tileSize} leaves no room for a ${margin}px margin at ${supersample}x supersampling`);
+        }
+        
+        try {
+            for (let y = 0; y < height; y += tile) {
+                for (let x = 0; x < width; x += tile) {
+                    const w = Math.min(tile, width - x);
+                    const h = Math.min(tile, height - y);
+                    
+                    this.renderRegion(fullWidth, fullHeight, {
+                        x: (x - overlap) * supersample,
+                        y: (y - overlap) * supersample,
+                        width: (w + 2 * overlap) * supersample,
+                        height: (h + 2 * overlap) * supersample
+                    });
+                    
+                    // Read back right away, before the drawing buffer is cleared
+                    const inset = overlap * supersample;
+                    context.drawImage(canvas, inset, inset, w * supersample, h * supersample, x, y, w, h);
+                }
+            }
+        } finally {
+            this.app.restoreRenderSize();
+        }
+        
+        return new Promise((resolve, reject) => {
+            output.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        });
+    }
+    
+    renderRegion(fullWidth, fullHeight, region) {
+        // Draws `region` of a fullWidth x fullHeight frame to the canvas
+        const { camera } = this.app;
+        
+        this.app.setRenderSize(region.width, region.height, fullHeight);
+        camera.aspect = fullWidth / fullHeight;
+        camera.setViewOffset(fullWidth, fullHeight, region.x, region.y, region.width, region.height);
+        this.app.renderFrame();
+    }
+    
+    async recordVideo({ duration, width = 1920, height = 1080, bitrate = 8e6, keyFrameInterval = 2 } = {}) {
+        // A WebM Blob of `duration` seconds from the current frame on,
+        // at the renderer's fps. Codecs want even sizes
+        width = Math.round(width / 2) * 2;
+        height = Math.round(height / 2) * 2;
+        const frames = Math.round(duration * this.fps);
+        
+        try {
+            if (typeof VideoEncoder !== 'undefined') {
+                return await this.encodeVideo({ frames, width, height, bitrate, keyFrameInterval });
+            }
+            return await this.recordStream({ frames, width, height, bitrate });
+        } finally {
+            this.app.restoreRenderSize();
+        }
+    }
+    
+    renderVideoFrame(width, height) {
+        this.renderRegion(width, height, { x: 0, y: 0, width, height });
+    }
+    
+    async encodeVideo({ frames, width, height, bitrate, keyFrameInterval }) {
+        // WebCodecs: exact timestamps however slow each frame renders
+        const { codec, codecId } = await this.pickCodec({ width, height, bitrate });
+        const writer = new WebMWriter({ width, height, codec: codecId, frameRate: this.fps });
+        const frameDuration = 1e6 / this.fps;
+        let failure = null;
+        
+        const encoder = new VideoEncoder({
+            output: (chunk) => writer.addChunk(chunk),
+            error: (error) => { failure = error; }
+        });
+        encoder.configure({ codec, width, height, bitrate, framerate: this.fps });
+        
+        for (let i = 0; i < frames; i++) {
+            this.renderVideoFrame(width, height);
+            
+            const frame = new VideoFrame(this.app.renderer.domElement, {
+                timestamp: Math.round(i * frameDuration),
+                duration: Math.round(frameDuration)
+            });
+            encoder.encode(frame, { keyFrame: i % Math.max(1, Math.round(keyFrameInterval * this.fps)) === 0 });
+            frame.close();
+            this.step();
+            
+            // Let the encoder catch up rather than queue every frame
+            while (encoder.encodeQueueSize > 4 && !failure) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            if (failure) throw failure;
+        }
+        
+        await encoder.flush();
+        encoder.close();
+        if (failure) throw failure;
+        
+        return writer.finish();
+    }
+    
+    async pickCodec({ width, height, bitrate }) {
+        for (const candidate of VIDEO_CODECS) {
+            const { supported } = await VideoEncoder.isConfigSupported({
+                codec: candidate.codec,
+                width,
+                height,
+                bitrate,
+                framerate: this.fps
+            });
+            if (supported) return candidate;
+        }
+        throw new Error(`No WebM video codec supports ${width}x${height}`);
+    }
+    
+    async recordStream({ frames, width, height, bitrate }) {
+        // MediaRecorder stamps frames with wall-clock time, so the recorder
+        // only runs for one frame's duration after each frame is drawn.
+        // Timing is close but not exact
+        const stream = this.app.renderer.domElement.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, { mimeType: 'video/webm', videoBitsPerSecond: bitrate });
+        const chunks = [];
+        recorder.ondataavailable = (e) => chunks.push(e.data);
+        
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start();
+        recorder.pause();
+        
+        for (let i = 0; i < frames; i++) {
+            this.renderVideoFrame(width, height);
+            recorder.resume();
+            track.requestFrame();
+            await new Promise(resolve => setTimeout(resolve, 1000 / this.fps));
+            recorder.pause();
+            this.step();
+        }
+        
+        recorder.stop();
+        await stopped;
+        track.stop();
+        
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+    
+    download(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
\ No newline at end of file
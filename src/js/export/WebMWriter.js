@@ -0,0 +1,174 @@
+// Matroska element ids (the leading bits of each id encode its length)
+const EBML = 0x1a45dfa3;
+const EBML_VERSION = 0x4286;
+const EBML_READ_VERSION = 0x42f7;
+const EBML_MAX_ID_LENGTH = 0x42f2;
+const EBML_MAX_SIZE_LENGTH = 0x42f3;
+const DOC_TYPE = 0x4282;
+const DOC_TYPE_VERSION = 0x4287;
+const DOC_TYPE_READ_VERSION = 0x4285;
+const SEGMENT = 0x18538067;
+const INFO = 0x1549a966;
+const TIMECODE_SCALE = 0x2ad7b1;
+const MUXING_APP = 0x4d80;
+const WRITING_APP = 0x5741;
+const DURATION = 0x4489;
+const TRACKS = 0x1654ae6b;
+const TRACK_ENTRY = 0xae;
+const TRACK_NUMBER = 0xd7;
+const TRACK_UID = 0x73c5;
+const FLAG_LACING = 0x9c;
+const CODEC_ID = 0x86;
+const TRACK_TYPE = 0x83;
+const DEFAULT_DURATION = 0x23e383;
+const VIDEO = 0xe0;
+const PIXEL_WIDTH = 0xb0;
+const PIXEL_HEIGHT = 0xba;
+const CLUSTER = 0x1f43b675;
+const TIMECODE = 0xe7;
+const SIMPLE_BLOCK = 0xa3;
+
+// SimpleBlock timecodes are signed 16-bit offsets from their cluster's
+const MAX_CLUSTER_SPAN = 30000;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Minimal WebM muxer for a single video track of WebCodecs output, for
+ * FrameRenderer's video export. Timecodes are in milliseconds; a cluster
+ * starts at every keyframe (or every 30 s), and there are no cues, so
+ * players seek by scanning, which is fine for short clips.
+ *
+ *   const writer = new WebMWriter({ width, height, codec: 'V_VP9', frameRate: 30 });
+ *   encoder = new VideoEncoder({ output: (chunk) => writer.addChunk(chunk), ... });
+ *   ...
+ *   const blob = writer.finish();
+ */
+export class WebMWriter {
+    constructor({ width, height, codec = 'V_VP9', frameRate = 30 }) {
+        this.width = width;
+        this.height = height;
+        this.codec = codec;
+        this.frameRate = frameRate;
+        
+        this.clusters = [];
+        this.cluster = null;
+        this.duration = 0;
+    }
+    
+    addChunk(chunk) {
+        // An EncodedVideoChunk; its timestamp is in microseconds
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+    }
+    
+    addFrame(data, timeMs, keyFrame) {
+        const time = Math.round(timeMs);
+        
+        if (!this.cluster || keyFrame || time - this.cluster.time > MAX_CLUSTER_SPAN) {
+            this.cluster = { time, blocks: [] };
+            this.clusters.push(this.cluster);
+        }
+        
+        // Track 1, timecode relative to the cluster, keyframe flag, frame
+        const offset = time - this.cluster.time;
+        const header = new Uint8Array([0x81, (offset >> 8) & 0xff, offset & 0xff, keyFrame ? 0x80 : 0]);
+        this.cluster.blocks.push(element(SIMPLE_BLOCK, [header, data]));
+        
+        this.duration = Math.max(this.duration, time + 1000 / this.frameRate);
+    }
+    
+    finish() {
+        const header = element(EBML, [
+            uint(EBML_VERSION, 1),
+            uint(EBML_READ_VERSION, 1),
+            uint(EBML_MAX_ID_LENGTH, 4),
+            uint(EBML_MAX_SIZE_LENGTH, 8),
+            string(DOC_TYPE, 'webm'),
+            uint(DOC_TYPE_VERSION, 2),
+            uint(DOC_TYPE_READ_VERSION, 2)
+        ]);
+        
+        const info = element(INFO, [
+            uint(TIMECODE_SCALE, 1000000),
+            string(MUXING_APP, 'WebMWriter'),
+            string(WRITING_APP, 'neural-network-visualization'),
+            float(DURATION, this.duration)
+        ]);
+        
+        const tracks = element(TRACKS, [
+            element(TRACK_ENTRY, [
+                uint(TRACK_NUMBER, 1),
+                uint(TRACK_UID, 1),
+                uint(FLAG_LACING, 0),
+                string(CODEC_ID, this.codec),
+                uint(TRACK_TYPE, 1),
+                uint(DEFAULT_DURATION, Math.round(1e9 / this.frameRate)),
+                element(VIDEO, [
+                    uint(PIXEL_WIDTH, this.width),
+                    uint(PIXEL_HEIGHT, this.height)
+                ])
+            ])
+        ]);
+        
+        const clusters = this.clusters.map(({ time, blocks }) => element(CLUSTER, [uint(TIMECODE, time), ...blocks]));
+        const segment = element(SEGMENT, [info, tracks, ...clusters]);
+        
+        return new Blob([...header.parts, ...segment.parts], { type: 'video/webm' });
+    }
+}
+
+// Elements are { parts } so large payloads are never copied; Blob
+// joins the parts at the end
+
+function element(id, children) {
+    const parts = children.flatMap(child => (child instanceof Uint8Array ? [child] : child.parts));
+    const payloadSize = parts.reduce((sum, part) => sum + part.length, 0);
+    return { parts: [concat(idBytes(id), sizeBytes(payloadSize)), ...parts] };
+}
+
+function uint(id, value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    
+    return element(id, [new Uint8Array(bytes)]);
+}
+
+function float(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, [bytes]);
+}
+
+function string(id, text) {
+    return element(id, [textEncoder.encode(text)]);
+}
+
+function idBytes(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value % 256);
+    }
+    return new Uint8Array(bytes);
+}
+
+function sizeBytes(size) {
+    // Always the 8-byte form: a 0x01 marker and 7 bytes of size
+    const bytes = new Uint8Array(8);
+    bytes[0] = 0x01;
+    for (let i = 7, value = size; i > 0; i--, value = Math.floor(value / 256)) {
+        bytes[i] = value % 256;
+    }
+    return bytes;
+}
+
+function concat(a, b) {
+    const out = new Uint8Array(a.length + b.length);
+    out.set(a);
+    out.set(b, a.length);
+    return out;
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+import { LayerGraph } from './LayerGraph.js';
+
+// Layers whose output width comes from their own config
+const UNIT_KEYS = ['units', 'filters', 'output_dim'];
+
+// Layers that keep a 1:1 unit mapping with their input
+const ELEMENTWISE_LAYERS = new Set([
+    'Activation', 'ReLU', 'LeakyReLU', 'PReLU', 'ELU', 'Softmax',
+    'Dropout', 'SpatialDropout1D', 'SpatialDropout2D', 'GaussianNoise', 'GaussianDropout',
+    'BatchNormalization', 'LayerNormalization',
+    'MaxPooling1D', 'MaxPooling2D', 'MaxPooling3D',
+    'AveragePooling1D', 'AveragePooling2D', 'AveragePooling3D',
+    'GlobalMaxPooling1D', 'GlobalMaxPooling2D', 'GlobalAveragePooling1D', 'GlobalAveragePooling2D',
+    'ZeroPadding1D', 'ZeroPadding2D', 'Cropping1D', 'Cropping2D', 'UpSampling1D', 'UpSampling2D',
+    'Add', 'Subtract', 'Multiply', 'Average', 'Maximum', 'Minimum'
+]);
+
+// Config entries worth keeping for the layer description
+const META_KEYS = [
+    'activation', 'kernel_size', 'strides', 'padding', 'pool_size',
+    'rate', 'use_bias', 'return_sequences', 'input_dim', 'output_dim', 'axis'
+];
+
+function getInputShape(config) {
+    return config.batch_input_shape || config.batch_shape || null;
+}
+
+function getSpatialShape(shape) {
+    // [batch, height, width, channels] (channels last) -> [height, width]
+    return shape && shape.length === 4 ? shape.slice(1, 3) : null;
+}
+
+function getLayerUnits(className, config, inputUnits) {
+    if (className === 'InputLayer') {
+        const shape = getInputShape(config);
+        return shape ? shape[shape.length - 1] : null;
+    }
+    
+    if (className === 'Bidirectional' && config.layer) {
+        const inner = config.layer.config || {};
+        return config.merge_mode === 'concat' || !config.merge_mode
+            ? inner.units * 2
+            : inner.units;
+    }
+    
+    if (className === 'DepthwiseConv2D') {
+        return inputUnits * (config.depth_multiplier || 1);
+    }
+    
+    if (className === 'Concatenate') {
+        return null;
+    }
+    
+    const key = UNIT_KEYS.find(k => typeof config[k] === 'number');
+    return key ? config[key] : null;
+}
+
+function getLayerMeta(config) {
+    const meta = {};
+    
+    META_KEYS.forEach(key => {
+        if (config[key] !== undefined && config[key] !== null) meta[key] = config[key];
+    });
+    
+    return Object.keys(meta).length > 0 ? meta : null;
+}
+
+function getInboundLayerNames(inboundNodes) {
+    // Keras 2: [[["dense_1", 0, 0, {}], ...]]
+    // Keras 3: [{ args: [{ config: { keras_history: ["dense_1", 0, 0] } }] }]
+    const names = [];
+    
+    const visit = (value) => {
+        if (Array.isArray(value)) {
+            if (typeof value[0] === 'string' && typeof value[1] === 'number') {
+                names.push(value[0]);
+            } else {
+                value.forEach(visit);
+            }
+        } else if (value && typeof value === 'object') {
+            if (value.config && Array.isArray(value.config.keras_history)) {
+                names.push(value.config.keras_history[0]);
+            } else {
+                Object.values(value).forEach(visit);
+            }
+        }
+    };
+    
+    visit(inboundNodes || []);
+    return names;
+}
+
+/**
+ * Parses a Keras model config (model.to_json(), or the modelTopology of a
+ * TensorFlow.js layers model) into a LayerGraph. Sequential and functional
+ * models are supported; nested models are shown as a single layer.
+ */
+export function parseKerasModel(json) {
+    const doc = typeof json === 'string' ? JSON.parse(json) : json;
+    const model = doc.model_config || doc;
+    
+    if (!model || !model.class_name || !model.config) {
+        throw new Error('Invalid Keras model: expected "class_name" and "config"');
+    }
+    
+    const config = model.config;
+    const layerSpecs = Array.isArray(config) ? config : config.layers;
+    
+    if (!Array.isArray(layerSpecs)) {
+        throw new Error(`Unsupported Keras model class "${model.class_name}"`);
+    }
+    
+    const graph = new LayerGraph(config.name || model.class_name);
+    const sequential = model.class_name === 'Sequential';
+    let previous = null;
+    
+    layerSpecs.forEach((spec, index) => {
+        const className = spec.class_name;
+        const layerConfig = spec.config || {};
+        const name = spec.name || layerConfig.name || `${className.toLowerCase()}_${index}`;
+        
+        let inputs;
+        
+        if (sequential) {
+            // Sequential models may declare their input on the first layer
+            const inputShape = getInputShape(layerConfig);
+            if (!previous && className !== 'InputLayer' && inputShape) {
+                previous = `${name}_input`;
+                graph.addLayer({
+                    name: previous,
+                    type: 'InputLayer',
+                    units: inputShape[inputShape.length - 1],
+                    meta: { shape: inputShape },
+                    shape: getSpatialShape(inputShape)
+                });
+            }
+            inputs = previous ? [previous] : [];
+        } else {
+            inputs = getInboundLayerNames(spec.inbound_nodes);
+        }
+        
+        const inputUnits = Math.max(0, ...inputs.map(input => {
+            const layer = graph.getLayer(input);
+            return layer && layer.units ? layer.units : 0;
+        }));
+        
+        let units = getLayerUnits(className, layerConfig, inputUnits);
+        if (className === 'Concatenate') {
+            units = inputs.reduce((sum, input) => sum + (graph.getLayer(input)?.units || 0), 0) || null;
+        }
+        // Flatten is sized from the feature map above it once the graph
+        // is complete (LayerGraph.resolveUnits)
+        if (units === null && className !== 'Flatten') {
+            units = inputUnits || null;
+        }
+        
+        graph.addLayer({
+            name,
+            type: className,
+            units,
+            inputs,
+            connection: ELEMENTWISE_LAYERS.has(className) ? LayerGraph.ELEMENTWISE : LayerGraph.DENSE,
+            meta: getLayerMeta(layerConfig),
+            shape: className === 'InputLayer' ? getSpatialShape(getInputShape(layerConfig)) : null
+        });
+        
+        previous = name;
+    });
+    
+    return graph;
+}
\ No newline at end of file
@@ -0,0 +1,272 @@
+import { NetworkTopology } from '../core/NetworkTopology.js';
+
+// Layers that map each input unit to exactly one output unit
+const ELEMENTWISE = 'elementwise';
+const DENSE = 'dense';
+
+// Layers that slide a window over a feature map, and those that reduce it
+// to a vector
+const SLIDING_LAYER = /conv|pool/i;
+const GLOBAL_LAYER = /global/i;
+// Layers that unroll a feature map into height × width × channels units
+const FLATTEN_LAYER = /^flatten$/i;
+
+function toPair(value) {
+    // A number, an [h, w] pair or TF.js's NHWC [1, h, w, 1]
+    if (typeof value === 'number') return [value, value];
+    if (!Array.isArray(value) || value.length === 0) return null;
+    if (value.length === 4) return [value[1], value[2]];
+    return [value[0], value[value.length > 1 ? 1 : 0]];
+}
+
+function getWindow(meta) {
+    // Kernel, strides and padding of a conv or pooling layer, from
+    // whichever keys its importer kept: Keras kernel_size, pool_size and
+    // padding, ONNX kernel_shape and pads, TF.js ksize and padding
+    if (!meta) return null;
+    
+    const kernel = toPair(meta.kernel_size ?? meta.pool_size ?? meta.kernel_shape ?? meta.ksize);
+    if (!kernel) return null;
+    
+    // Keras pooling strides default to the pool size
+    const strides = toPair(meta.strides) || (meta.pool_size !== undefined ? kernel : [1, 1]);
+    const padding = typeof meta.padding === 'string' ? meta.padding.toLowerCase() : 'valid';
+    
+    return { kernel, strides, padding, pads: Array.isArray(meta.pads) ? meta.pads : null };
+}
+
+function slideWindow(size, window, axis) {
+    // Output size along one axis (0 rows, 1 columns) and the padding before
+    // the first row or column
+    const kernel = window.kernel[axis];
+    const stride = window.strides[axis];
+    let before = 0;
+    let after = 0;
+    
+    if (window.pads) {
+        // ONNX: [top, left, bottom, right]
+        before = window.pads[axis] || 0;
+        after = window.pads[axis + 2] || 0;
+    } else if (window.padding === 'same') {
+        const total = Math.max((Math.ceil(size / stride) - 1) * stride + kernel - size, 0);
+        before = Math.floor(total / 2);
+        after = total - before;
+    }
+    
+    return {
+        size: Math.max(Math.floor((size + before + after - kernel) / stride) + 1, 1),
+        pad: before
+    };
+}
+
+/**
+ * Format-neutral layer graph the model importers produce. Each layer knows
+ * its real unit count and upstream layers; toTopology() turns it into the
+ * node/edge structure NeuralNetworkMesh renders, summarizing big layers.
+ */
+export class LayerGraph {
+    constructor(name = 'Imported model') {
+        this.name = name;
+        this.layers = [];
+        this.layerIndex = new Map();
+    }
+    
+    /**
+     * @param {Object} layer
+     * @param {string} layer.name - Unique layer name
+     * @param {string} layer.type - Layer class or op type (Dense, Conv2D, Gemm...)
+     * @param {number|null} layer.units - Output units; null inherits from the inputs
+     * @param {string[]} layer.inputs - Names of upstream layers
+     * @param {string} layer.connection - 'dense' or 'elementwise'
+     * @param {Object} layer.meta - Extra details shown alongside the layer
+     * @param {number[]} layer.shape - [height, width] of an image-like input,
+     *   from which conv layers downstream get their feature-map sizes
+     */
+    addLayer({ name, type, units = null, inputs = [], connection = DENSE, meta = null, shape = null }) {
+        if (this.layerIndex.has(name)) {
+            throw new Error(`Duplicate layer name "${name}"`);
+        }
+        
+        this.layerIndex.set(name, this.layers.length);
+        const spatial = Array.isArray(shape) && shape.length === 2 && shape.every(dim => dim > 0);
+        this.layers.push({ name, type, units, inputs, connection, meta, shape: spatial ? shape : null });
+    }
+    
+    hasLayer(name) {
+        return this.layerIndex.has(name);
+    }
+    
+    getLayer(name) {
+        const index = this.layerIndex.get(name);
+        return index === undefined ? null : this.layers[index];
+    }
+    
+    sortLayers() {
+        // Kahn's algorithm, stable with respect to declaration order. Inputs
+        // that don't name a known layer (constants, weights) are dropped.
+        const pending = new Map();
+        const consumers = new Map();
+        
+        this.layers.forEach(layer => {
+            layer.inputs = [...new Set(layer.inputs)].filter(input => this.layerIndex.has(input));
+            pending.set(layer.name, layer.inputs.length);
+            layer.inputs.forEach(input => {
+                if (!consumers.has(input)) consumers.set(input, []);
+                consumers.get(input).push(layer.name);
+            });
+        });
+        
+        const ready = this.layers.filter(layer => layer.inputs.length === 0);
+        const sorted = [];
+        
+        while (ready.length > 0) {
+            const layer = ready.shift();
+            sorted.push(layer);
+            
+            (consumers.get(layer.name) || []).forEach(name => {
+                const remaining = pending.get(name) - 1;
+                pending.set(name, remaining);
+                if (remaining === 0) ready.push(this.getLayer(name));
+            });
+        }
+        
+        if (sorted.length !== this.layers.length) {
+            throw new Error('Model graph contains a cycle');
+        }
+        
+        return sorted;
+    }
+    
+    resolveShapes(sorted) {
+        // Units and feature maps layer by layer, since a Flatten's units
+        // come from the feature map above it
+        sorted.forEach(layer => {
+            this.resolveUnits(layer);
+            this.resolveFeatureMap(layer);
+        });
+    }
+    
+    resolveUnits(layer) {
+        if (layer.units !== null && layer.units > 0) return;
+        
+        const upstream = layer.inputs.map(input => this.getLayer(input));
+        const featureMap = upstream.map(input => input.featureMap).find(Boolean);
+        
+        if (FLATTEN_LAYER.test(layer.type) && featureMap) {
+            layer.units = featureMap.height * featureMap.width * featureMap.channels;
+        } else {
+            layer.units = upstream.length > 0 ? Math.max(...upstream.map(input => input.units)) : 1;
+        }
+    }
+    
+    resolveFeatureMap(layer) {
+        // { height, width, channels, window? } for every layer whose output
+        // is still an image: inputs with a shape, conv and pooling layers
+        // on top of those and elementwise layers in between. `window` maps
+        // an output position back onto the upstream map
+        layer.featureMap = null;
+        
+        if (layer.inputs.length === 0) {
+            if (layer.shape) {
+                const [height, width] = layer.shape;
+                layer.featureMap = { height, width, channels: layer.units };
+            }
+            return;
+        }
+        
+        const upstream = layer.inputs.map(input => this.getLayer(input).featureMap).find(Boolean);
+        if (!upstream || GLOBAL_LAYER.test(layer.type)) return;
+        
+        const window = SLIDING_LAYER.test(layer.type) ? getWindow(layer.meta) : null;
+        if (window) {
+            const rows = slideWindow(upstream.height, window, 0);
+            const columns = slideWindow(upstream.width, window, 1);
+            layer.featureMap = {
+                height: rows.size,
+                width: columns.size,
+                channels: layer.units,
+                window: { kernel: window.kernel, strides: window.strides, pads: [rows.pad, columns.pad] }
+            };
+        } else if (layer.connection === ELEMENTWISE) {
+            layer.featureMap = { height: upstream.height, width: upstream.width, channels: layer.units };
+        }
+    }
+    
+    toTopology({ maxNodesPerLayer = 16, maxEdgesPerLink = 64 } = {}) {
+        const sorted = this.sortLayers();
+        this.resolveShapes(sorted);
+        
+        const visible = new Map();
+        
+        const layers = sorted.map(layer => {
+            const nodes = [];
+            const summarized = layer.units > maxNodesPerLayer;
+            const shown = summarized ? maxNodesPerLayer - 1 : layer.units;
+            
+            for (let i = 0; i < shown; i++) {
+                nodes.push({ id: `${layer.name}#${i}`, label: `${layer.name} [${i}]` });
+            }
+            
+            if (summarized) {
+                nodes.push({
+                    id: `${layer.name}#more`,
+                    label: `${layer.name} (+${layer.units - shown} more)`,
+                    summary: true
+                });
+            }
+            
+            visible.set(layer.name, nodes.map(node => node.id));
+            
+            return {
+                id: layer.name,
+                label: `${layer.name} · ${layer.type} (${layer.units})`,
+                type: layer.type,
+                units: layer.units,
+                meta: layer.meta,
+                ...(layer.featureMap ? { featureMap: layer.featureMap } : {}),
+                nodes
+            };
+        });
+        
+        const edges = [];
+        
+        sorted.forEach(layer => {
+            const targets = visible.get(layer.name);
+            
+            layer.inputs.forEach(input => {
+                const sources = visible.get(input);
+                
+                if (layer.connection === ELEMENTWISE) {
+                    targets.forEach((target, i) => {
+                        edges.push({ source: sources[Math.min(i, sources.length - 1)], target });
+                    });
+                    return;
+                }
+                
+                // Full fan-in while it stays readable, otherwise each target
+                // samples evenly spaced sources to stay within the budget
+                const fanIn = Math.max(1, Math.min(
+                    sources.length,
+                    Math.floor(maxEdgesPerLink / targets.length)
+                ));
+                const stride = sources.length / fanIn;
+                
+                targets.forEach((target, t) => {
+                    const picked = new Set();
+                    const offset = fanIn < sources.length ? t % Math.ceil(stride) : 0;
+                    
+                    for (let k = 0; k < fanIn; k++) {
+                        picked.add(Math.min(sources.length - 1, Math.floor(k * stride) + offset));
+                    }
+                    
+                    picked.forEach(s => edges.push({ source: sources[s], target }));
+                });
+            });
+        });
+        
+        return new NetworkTopology({ name: this.name, layers, edges });
+    }
+}
+
+LayerGraph.DENSE = DENSE;
+LayerGraph.ELEMENTWISE = ELEMENTWISE;
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { parseKerasModel } from './KerasImporter.js';
+import { parseTFJSModel } from './TFJSImporter.js';
+import { parseONNXModel } from './ONNXImporter.js';
+
+const PARSERS = {
+    keras: parseKerasModel,
+    tfjs: parseTFJSModel,
+    onnx: parseONNXModel
+};
+
+/**
+ * Entry point for trained-model imports. Detects the format, parses it into
+ * a LayerGraph and returns the NetworkTopology NeuralNetworkMesh renders.
+ */
+export class ModelImporter {
+    static detectFormat(data) {
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            return 'onnx';
+        }
+        
+        if (data && typeof data === 'object') {
+            if (data.modelTopology) return 'tfjs';
+            if (data.class_name || data.model_config) return 'keras';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * @param {Object|ArrayBuffer|Uint8Array} data - Parsed JSON (Keras config
+     *   or TF.js model.json) or raw ONNX bytes
+     * @param {Object} options
+     * @param {string} options.format - Force 'keras', 'tfjs' or 'onnx'
+     * @param {number} options.maxNodesPerLayer - Larger layers are summarized
+     * @param {number} options.maxEdgesPerLink - Edge budget between two layers
+     */
+    static import(data, { format = ModelImporter.detectFormat(data), ...options } = {}) {
+        const parse = PARSERS[format];
+        
+        if (!parse) {
+            throw new Error('Unrecognized model format (expected ONNX, Keras JSON or TensorFlow.js model.json)');
+        }
+        
+        return parse(data).toTopology(options);
+    }
+}
\ No newline at end of file
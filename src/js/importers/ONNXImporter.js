@@ -0,0 +1,311 @@
+import { ProtobufReader } from './ProtobufReader.js';
+import { LayerGraph } from './LayerGraph.js';
+
+// Ops that only reshape, cast or route tensors; they are folded away so
+// their consumers connect straight to the real producer
+const PASSTHROUGH_OPS = new Set([
+    'Constant', 'ConstantOfShape', 'Identity', 'Cast', 'Shape', 'Gather',
+    'Unsqueeze', 'Squeeze', 'Reshape', 'Transpose', 'Flatten', 'Dropout'
+]);
+
+// Ops that keep a 1:1 unit mapping with their input
+const ELEMENTWISE_OPS = new Set([
+    'Relu', 'LeakyRelu', 'PRelu', 'Elu', 'Selu', 'Sigmoid', 'Tanh', 'Softmax', 'LogSoftmax',
+    'HardSigmoid', 'Gelu', 'Clip', 'BatchNormalization', 'LayerNormalization',
+    'InstanceNormalization', 'MaxPool', 'AveragePool', 'GlobalAveragePool', 'GlobalMaxPool',
+    'Add', 'Sub', 'Mul', 'Div', 'Pad', 'Resize', 'Upsample'
+]);
+
+// AttributeProto field numbers, by value kind
+const ATTRIBUTE_FLOAT = 2;
+const ATTRIBUTE_INT = 3;
+const ATTRIBUTE_STRING = 4;
+const ATTRIBUTE_FLOATS = 7;
+const ATTRIBUTE_INTS = 8;
+
+function decodeDimension(reader) {
+    let value = null;
+    
+    reader.readFields((field) => {
+        if (field === 1) value = reader.varint();
+        else if (field === 2) value = reader.string();
+        else return false;
+    });
+    
+    return value;
+}
+
+function decodeShape(reader) {
+    const dims = [];
+    
+    reader.readFields((field) => {
+        if (field !== 1) return false;
+        dims.push(decodeDimension(reader.message()));
+    });
+    
+    return dims;
+}
+
+function decodeValueInfo(reader) {
+    const info = { name: '', shape: null };
+    
+    // ValueInfoProto.type -> TypeProto.tensor_type -> Tensor.shape
+    reader.readFields((field) => {
+        if (field === 1) {
+            info.name = reader.string();
+        } else if (field === 2) {
+            const type = reader.message();
+            type.readFields((typeField) => {
+                if (typeField !== 1) return false;
+                const tensor = type.message();
+                tensor.readFields((tensorField) => {
+                    if (tensorField !== 2) return false;
+                    info.shape = decodeShape(tensor.message());
+                });
+            });
+        } else {
+            return false;
+        }
+    });
+    
+    return info;
+}
+
+function decodeTensorInfo(reader) {
+    // Only the metadata; raw tensor payloads are skipped
+    const tensor = { name: '', dims: [], dataType: 0 };
+    
+    reader.readFields((field, wireType) => {
+        if (field === 1) reader.repeatedVarint(wireType, tensor.dims);
+        else if (field === 2) tensor.dataType = reader.varint();
+        else if (field === 8) tensor.name = reader.string();
+        else return false;
+    });
+    
+    return tensor;
+}
+
+function decodeAttribute(reader) {
+    let name = '';
+    let value = null;
+    const list = [];
+    
+    reader.readFields((field, wireType) => {
+        switch (field) {
+            case 1:
+                name = reader.string();
+                break;
+            case ATTRIBUTE_FLOAT:
+                value = reader.float();
+                break;
+            case ATTRIBUTE_INT:
+                value = reader.varint();
+                break;
+            case ATTRIBUTE_STRING:
+                value = reader.string();
+                break;
+            case ATTRIBUTE_FLOATS:
+                value = reader.repeatedFloat(wireType, list);
+                break;
+            case ATTRIBUTE_INTS:
+                value = reader.repeatedVarint(wireType, list);
+                break;
+            default:
+                return false;
+        }
+    });
+    
+    return { name, value };
+}
+
+function decodeNode(reader) {
+    const node = { name: '', opType: '', inputs: [], outputs: [], attributes: {} };
+    
+    reader.readFields((field) => {
+        switch (field) {
+            case 1:
+                node.inputs.push(reader.string());
+                break;
+            case 2:
+                node.outputs.push(reader.string());
+                break;
+            case 3:
+                node.name = reader.string();
+                break;
+            case 4:
+                node.opType = reader.string();
+                break;
+            case 5: {
+                const { name, value } = decodeAttribute(reader.message());
+                node.attributes[name] = value;
+                break;
+            }
+            default:
+                return false;
+        }
+    });
+    
+    return node;
+}
+
+function decodeGraph(reader) {
+    const graph = { name: '', nodes: [], initializers: new Map(), inputs: [], outputs: [] };
+    
+    reader.readFields((field) => {
+        switch (field) {
+            case 1:
+                graph.nodes.push(decodeNode(reader.message()));
+                break;
+            case 2:
+                graph.name = reader.string();
+                break;
+            case 5: {
+                const tensor = decodeTensorInfo(reader.message());
+                graph.initializers.set(tensor.name, tensor);
+                break;
+            }
+            case 11:
+                graph.inputs.push(decodeValueInfo(reader.message()));
+                break;
+            case 12:
+                graph.outputs.push(decodeValueInfo(reader.message()));
+                break;
+            default:
+                return false;
+        }
+    });
+    
+    return graph;
+}
+
+/**
+ * Decodes the parts of an ONNX ModelProto needed to rebuild the layer
+ * structure: graph nodes, initializer shapes and graph inputs/outputs.
+ */
+export function decodeONNXModel(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const reader = new ProtobufReader(bytes);
+    const model = { irVersion: 0, producerName: '', graph: null };
+    
+    reader.readFields((field) => {
+        if (field === 1) model.irVersion = reader.varint();
+        else if (field === 2) model.producerName = reader.string();
+        else if (field === 7) model.graph = decodeGraph(reader.message());
+        else return false;
+    });
+    
+    if (!model.graph) {
+        throw new Error('Invalid ONNX model: no graph found');
+    }
+    
+    return model;
+}
+
+function getNodeUnits(node, initializers) {
+    const weight = initializers.get(node.inputs[1]);
+    
+    switch (node.opType) {
+        case 'Gemm':
+            // B is [K, N], or [N, K] when transB is set
+            if (!weight) return null;
+            return node.attributes.transB ? weight.dims[0] : weight.dims[weight.dims.length - 1];
+        case 'MatMul':
+            return weight ? weight.dims[weight.dims.length - 1] : null;
+        case 'Conv':
+            // W is [M, C/group, kH, kW]
+            return weight ? weight.dims[0] : null;
+        case 'ConvTranspose':
+            // W is [C, M/group, kH, kW]
+            return weight ? weight.dims[1] * (node.attributes.group || 1) : null;
+        case 'LSTM':
+        case 'GRU':
+        case 'RNN':
+            return node.attributes.hidden_size || null;
+        default:
+            return null;
+    }
+}
+
+function getNodeMeta(node, initializers) {
+    const meta = {};
+    
+    ['kernel_shape', 'strides', 'pads', 'group', 'axis', 'hidden_size'].forEach(key => {
+        if (node.attributes[key] !== undefined) meta[key] = node.attributes[key];
+    });
+    
+    const weight = initializers.get(node.inputs[1]);
+    if (weight && weight.dims.length > 0) meta.weightShape = weight.dims;
+    
+    return Object.keys(meta).length > 0 ? meta : null;
+}
+
+function getFirstConsumer(nodes, tensor) {
+    // First node reading `tensor`, looking through shape-only ops. Not
+    // through Transpose, which changes which axis holds the channels
+    const node = nodes.find(candidate => candidate.inputs.includes(tensor));
+    if (node && node.opType !== 'Transpose' && PASSTHROUGH_OPS.has(node.opType)) {
+        return getFirstConsumer(nodes, node.outputs[0]);
+    }
+    return node || null;
+}
+
+/**
+ * Parses an ONNX model (the raw .onnx bytes) into a LayerGraph. Each
+ * compute node becomes a layer; shape-only ops are folded into their
+ * producers and initializers (weights) never show up as layers.
+ */
+export function parseONNXModel(buffer) {
+    const { graph: onnx, producerName } = decodeONNXModel(buffer);
+    const graph = new LayerGraph(onnx.name || producerName || 'ONNX model');
+    
+    // Tensor name -> names of the layers that produce it
+    const producers = new Map();
+    const resolve = (tensor) => producers.get(tensor) || [];
+    
+    onnx.inputs
+        .filter(input => !onnx.initializers.has(input.name))
+        .forEach(input => {
+            // Channels for NCHW images and for inputs a Conv reads
+            // channels-first (NCW, NCDHW); the last dim otherwise, which is
+            // the hidden size of a [batch, seq, hidden] sequence
+            const shape = input.shape || [];
+            const consumer = getFirstConsumer(onnx.nodes, input.name);
+            const channelsFirst = shape.length === 4 || (shape.length >= 3 && consumer !== null && /^Conv/.test(consumer.opType));
+            const dim = channelsFirst ? shape[1] : shape[shape.length - 1];
+            
+            graph.addLayer({
+                name: input.name,
+                type: 'Input',
+                units: typeof dim === 'number' && dim > 0 ? dim : null,
+                meta: shape.length > 0 ? { shape } : null,
+                // NCHW
+                shape: shape.length === 4 ? shape.slice(2) : null
+            });
+            producers.set(input.name, [input.name]);
+        });
+    
+    onnx.nodes.forEach((node, index) => {
+        const inputs = [...new Set(node.inputs.flatMap(resolve))];
+        
+        if (PASSTHROUGH_OPS.has(node.opType)) {
+            node.outputs.forEach(output => producers.set(output, inputs));
+            return;
+        }
+        
+        let name = node.name || `${node.opType}_${index}`;
+        if (graph.hasLayer(name)) name = `${name}_${index}`;
+        
+        graph.addLayer({
+            name,
+            type: node.opType,
+            units: getNodeUnits(node, onnx.initializers),
+            inputs,
+            connection: ELEMENTWISE_OPS.has(node.opType) ? LayerGraph.ELEMENTWISE : LayerGraph.DENSE,
+            meta: getNodeMeta(node, onnx.initializers)
+        });
+        
+        node.outputs.forEach(output => producers.set(output, [name]));
+    });
+    
+    return graph;
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Protobuf wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+const FIXED32 = 5;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Minimal protobuf wire-format reader, enough to walk schemas like ONNX's
+ * without generated code. 64-bit integers are returned as Numbers, which is
+ * exact for every dimension and attribute value seen in practice.
+ */
+export class ProtobufReader {
+    constructor(bytes, start = 0, end = bytes.length) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pos = start;
+        this.end = end;
+    }
+    
+    eof() {
+        return this.pos >= this.end;
+    }
+    
+    varint() {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        
+        do {
+            if (this.pos >= this.end) {
+                throw new Error('Truncated protobuf varint');
+            }
+            byte = this.bytes[this.pos++];
+            value += (byte & 0x7f) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80);
+        
+        // Negative int64 values are encoded as 10-byte two's complement
+        return value >= 2 ** 63 ? value - 2 ** 64 : value;
+    }
+    
+    tag() {
+        const key = this.varint();
+        return { field: Math.floor(key / 8), wireType: key & 7 };
+    }
+    
+    float() {
+        const value = this.view.getFloat32(this.pos, true);
+        this.pos += 4;
+        return value;
+    }
+    
+    double() {
+        const value = this.view.getFloat64(this.pos, true);
+        this.pos += 8;
+        return value;
+    }
+    
+    bytesField() {
+        const length = this.varint();
+        const start = this.pos;
+        this.pos += length;
+        
+        if (this.pos > this.end) {
+            throw new Error('Truncated protobuf message');
+        }
+        
+        return this.bytes.subarray(start, this.pos);
+    }
+    
+    string() {
+        return textDecoder.decode(this.bytesField());
+    }
+    
+    message() {
+        const length = this.varint();
+        const reader = new ProtobufReader(this.bytes, this.pos, this.pos + length);
+        this.pos += length;
+        return reader;
+    }
+    
+    // Repeated scalars may arrive packed (one length-delimited run) or as
+    // individual fields; both append to `target`
+    repeatedVarint(wireType, target) {
+        if (wireType === LENGTH_DELIMITED) {
+            const reader = this.message();
+            while (!reader.eof()) target.push(reader.varint());
+        } else {
+            target.push(this.varint());
+        }
+        return target;
+    }
+    
+    repeatedFloat(wireType, target) {
+        if (wireType === LENGTH_DELIMITED) {
+            const reader = this.message();
+            while (!reader.eof()) target.push(reader.float());
+        } else {
+            target.push(this.float());
+        }
+        return target;
+    }
+    
+    skip(wireType) {
+        switch (wireType) {
+            case VARINT:
+                this.varint();
+                break;
+            case FIXED64:
+                this.pos += 8;
+                break;
+            case LENGTH_DELIMITED: {
+                const length = this.varint();
+                this.pos += length;
+                break;
+            }
+            case FIXED32:
+                this.pos += 4;
+                break;
+            default:
+                throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+    
+    /**
+     * Calls handler(field, wireType) for every field; the handler reads the
+     * value or returns false to have it skipped.
+     */
+    readFields(handler) {
+        while (!this.eof()) {
+            const { field, wireType } = this.tag();
+            if (handler(field, wireType) === false) {
+                this.skip(wireType);
+            }
+        }
+        return this;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,130 @@
+import { LayerGraph } from './LayerGraph.js';
+import { parseKerasModel } from './KerasImporter.js';
+
+// Graph-model ops that only route or reshape tensors
+const PASSTHROUGH_OPS = new Set([
+    'Const', 'Identity', 'NoOp', 'Reshape', 'Squeeze', 'ExpandDims',
+    'Shape', 'Cast', 'StopGradient', 'Transpose'
+]);
+
+const ELEMENTWISE_OPS = new Set([
+    'Relu', 'Relu6', 'Elu', 'Selu', 'LeakyRelu', 'Sigmoid', 'Tanh', 'Softmax', 'LogSoftmax',
+    'BiasAdd', 'Add', 'AddV2', 'Sub', 'Mul', 'RealDiv', 'Maximum', 'Minimum',
+    'FusedBatchNorm', 'FusedBatchNormV3', 'MaxPool', 'AvgPool', 'Mean', 'Pad'
+]);
+
+function stripTensorName(input) {
+    // "^control_dep" and "node:1" both refer to the node "node"
+    return input.replace(/^\^/, '').replace(/:\d+$/, '');
+}
+
+function getWeightShapes(manifest) {
+    const shapes = new Map();
+    
+    (manifest || []).forEach(group => {
+        (group.weights || []).forEach(weight => shapes.set(weight.name, weight.shape));
+    });
+    
+    return shapes;
+}
+
+function getGraphNodeUnits(node, weightShapes) {
+    const kernel = weightShapes.get(stripTensorName(node.input?.[1] || ''));
+    
+    switch (node.op) {
+        case 'Placeholder': {
+            const dims = node.attr?.shape?.shape?.dim || [];
+            const last = dims.length > 0 ? Number(dims[dims.length - 1].size) : NaN;
+            return last > 0 ? last : null;
+        }
+        case 'MatMul':
+        case '_FusedMatMul':
+            return kernel ? kernel[kernel.length - 1] : null;
+        case 'Conv2D':
+        case '_FusedConv2D':
+            // Filter is [kH, kW, in, out]
+            return kernel ? kernel[3] : null;
+        case 'DepthwiseConv2dNative':
+        case 'FusedDepthwiseConv2dNative':
+            return kernel ? kernel[2] * kernel[3] : null;
+        default:
+            return null;
+    }
+}
+
+function getPlaceholderShape(node) {
+    // NHWC image inputs -> [height, width]
+    const dims = (node.attr?.shape?.shape?.dim || []).map(dim => Number(dim.size));
+    return dims.length === 4 ? dims.slice(1, 3) : null;
+}
+
+/**
+ * Parses a TensorFlow.js graph model (format "graph-model"), whose topology
+ * is a TensorFlow GraphDef. Kernel sizes come from the weights manifest.
+ */
+function parseGraphModel(doc) {
+    const nodes = doc.modelTopology.node || [];
+    const weightShapes = getWeightShapes(doc.weightsManifest);
+    const graph = new LayerGraph(doc.modelTopology.name || 'TensorFlow.js graph model');
+    
+    // Node name -> names of the layers that stand for it
+    const producers = new Map();
+    
+    nodes.forEach(node => {
+        const inputs = [...new Set((node.input || [])
+            .map(stripTensorName)
+            .flatMap(input => producers.get(input) || []))];
+        
+        if (PASSTHROUGH_OPS.has(node.op)) {
+            producers.set(node.name, inputs);
+            return;
+        }
+        
+        const meta = {};
+        ['strides', 'dilations', 'ksize'].forEach(key => {
+            const ints = node.attr?.[key]?.list?.i;
+            if (ints) meta[key] = ints.map(Number);
+        });
+        
+        // Filters are [kH, kW, in, out]
+        const filter = weightShapes.get(stripTensorName(node.input?.[1] || ''));
+        if (/Conv/.test(node.op) && filter && filter.length === 4) {
+            meta.kernel_size = filter.slice(0, 2);
+        }
+        if (node.attr?.padding?.s) {
+            // GraphDef string attrs are base64 encoded
+            meta.padding = atob(node.attr.padding.s);
+        }
+        
+        graph.addLayer({
+            name: node.name,
+            type: node.op,
+            units: getGraphNodeUnits(node, weightShapes),
+            inputs,
+            connection: ELEMENTWISE_OPS.has(node.op) ? LayerGraph.ELEMENTWISE : LayerGraph.DENSE,
+            meta: Object.keys(meta).length > 0 ? meta : null,
+            shape: node.op === 'Placeholder' ? getPlaceholderShape(node) : null
+        });
+        producers.set(node.name, [node.name]);
+    });
+    
+    return graph;
+}
+
+/**
+ * Parses a TensorFlow.js model.json. Layers models carry a Keras config and
+ * go through the Keras parser; graph models are walked op by op.
+ */
+export function parseTFJSModel(json) {
+    const doc = typeof json === 'string' ? JSON.parse(json) : json;
+    
+    if (!doc || !doc.modelTopology) {
+        throw new Error('Invalid TensorFlow.js model: missing "modelTopology"');
+    }
+    
+    if (doc.format === 'graph-model' || Array.isArray(doc.modelTopology.node)) {
+        return parseGraphModel(doc);
+    }
+    
+    return parseKerasModel(doc.modelTopology);
+}
\ No newline at end of file
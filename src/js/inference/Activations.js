@@ -0,0 +1,71 @@
+// In-place activation functions over a Tensor's data
+const ACTIVATIONS = {
+    linear: () => {},
+    
+    relu: (tensor) => {
+        tensor.map(v => (v > 0 ? v : 0));
+    },
+    
+    sigmoid: (tensor) => {
+        tensor.map(v => 1 / (1 + Math.exp(-v)));
+    },
+    
+    tanh: (tensor) => {
+        tensor.map(v => Math.tanh(v));
+    },
+    
+    softmax: (tensor) => {
+        // Shift by the max so large logits don't overflow
+        const max = Math.max(...tensor.data);
+        let sum = 0;
+        
+        tensor.map((v) => {
+            const e = Math.exp(v - max);
+            sum += e;
+            return e;
+        });
+        tensor.map(v => v / sum);
+    }
+};
+
+// Derivatives in terms of the activation's output y, as backprop needs
+// them; softmax is only supported on the output layer with cross-entropy
+const DERIVATIVES = {
+    linear: () => 1,
+    relu: y => (y > 0 ? 1 : 0),
+    sigmoid: y => y * (1 - y),
+    tanh: y => 1 - y * y
+};
+
+// Spellings used by Keras, ONNX and PyTorch exports
+const ALIASES = {
+    identity: 'linear',
+    none: 'linear',
+    logistic: 'sigmoid'
+};
+
+export function getActivation(name) {
+    const key = String(name).toLowerCase();
+    const activation = ACTIVATIONS[ALIASES[key] || key];
+    
+    if (!activation) {
+        throw new Error(`Unsupported activation "${name}" (available: ${getActivationNames().join(', ')})`);
+    }
+    
+    return activation;
+}
+
+export function getActivationDerivative(name) {
+    const key = String(name).toLowerCase();
+    const derivative = DERIVATIVES[ALIASES[key] || key];
+    
+    if (!derivative) {
+        throw new Error(`Activation "${name}" can't be used in a hidden layer when training`);
+    }
+    
+    return derivative;
+}
+
+export function getActivationNames() {
+    return Object.keys(ACTIVATIONS);
+}
\ No newline at end of file
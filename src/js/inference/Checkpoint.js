@@ -0,0 +1,236 @@
+import { parseNPY, parseNPZ } from './NPY.js';
+import { parseSafetensors } from './Safetensors.js';
+
+// Last component of a tensor name saying what it holds: PyTorch "weight",
+// Keras and Flax "kernel", normalization "gamma"/"scale" and "beta"
+const WEIGHT_ROLES = new Set(['weight', 'kernel', 'w', 'gamma', 'scale']);
+const BIAS_ROLES = new Set(['bias', 'b', 'beta']);
+
+// Keras (and Flax) lay dense kernels out [in, out] and conv kernels
+// [kh, kw, in, out]; PyTorch [out, in] and [out, in, kh, kw]
+const INPUT_FIRST_ROLES = new Set(['kernel']);
+
+const collator = new Intl.Collator(undefined, { numeric: true });
+
+/**
+ * Reads a checkpoint's bytes into a Map of named Float32 Tensors, telling
+ * the format from its first bytes: .npy (one tensor, named `name` without
+ * its extension), .npz or .safetensors.
+ */
+export async function readCheckpoint(buffer, name = 'tensor') {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    
+    if (bytes[0] === 0x93 && String.fromCharCode(...bytes.subarray(1, 6)) === 'NUMPY') {
+        const tensorName = name.split(/[\\/]/).pop().replace(/\.npy$/i, '');
+        return new Map([[tensorName, parseNPY(bytes)]]);
+    }
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+        // "PK", a ZIP archive
+        return parseNPZ(bytes);
+    }
+    return parseSafetensors(bytes);
+}
+
+function splitName(name) {
+    // "model/dense_1/kernel:0" -> { parts: ['model', 'dense_1'], role: 'kernel' }
+    const parts = name.replace(/:\d+$/, '').toLowerCase().split(/[./]/).filter(Boolean);
+    const role = parts.pop() || '';
+    return { parts, role };
+}
+
+function containsRun(haystack, needle) {
+    // Whether `needle` appears in `haystack` as consecutive parts
+    if (!needle.length || needle.length > haystack.length) return false;
+    
+    for (let start = 0; start + needle.length <= haystack.length; start++) {
+        if (needle.every((part, i) => haystack[start + i] === part)) return true;
+    }
+    return false;
+}
+
+function namesMatch(groupParts, layer) {
+    // "fc1.weight" matches layer "fc1" and ONNX's "/fc1/Gemm"; Keras'
+    // "model/dense/kernel:0" matches "dense"
+    const layerParts = layer.id.toLowerCase().split(/[./]/).filter(Boolean);
+    return containsRun(groupParts, layerParts) || containsRun(layerParts, groupParts);
+}
+
+function getReader({ tensor, role }, outputs, inputs) {
+    // (out, in) -> weight of the connection from input unit `in` to output
+    // unit `out`, or null if the tensor doesn't fit the layer. Conv kernels
+    // sum over their window; 1-D tensors scale each output unit on its own
+    const { shape } = tensor;
+    const inputFirst = INPUT_FIRST_ROLES.has(role);
+    
+    if (shape.length === 1) {
+        return shape[0] === outputs ? (out) => tensor.get(out) : null;
+    }
+    
+    if (shape.length === 2) {
+        const outFirst = shape[0] === outputs && shape[1] === inputs;
+        const inFirst = shape[0] === inputs && shape[1] === outputs;
+        
+        if (outFirst && (!inFirst || !inputFirst)) return (out, input) => tensor.get(out, input);
+        if (inFirst) return (out, input) => tensor.get(input, out);
+        return null;
+    }
+    
+    if (shape.length === 4) {
+        const [a, b, c, d] = shape;
+        const outFirst = a === outputs && b === inputs;
+        const inFirst = c === inputs && d === outputs;
+        
+        if (outFirst && (!inFirst || !inputFirst)) {
+            return (out, input) => {
+                let sum = 0;
+                for (let y = 0; y < c; y++) {
+                    for (let x = 0; x < d; x++) sum += tensor.get(out, input, y, x);
+                }
+                return sum;
+            };
+        }
+        if (inFirst) {
+            return (out, input) => {
+                let sum = 0;
+                for (let y = 0; y < a; y++) {
+                    for (let x = 0; x < b; x++) sum += tensor.get(y, x, input, out);
+                }
+                return sum;
+            };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Maps named checkpoint tensors (from readCheckpoint) onto a
+ * NetworkTopology. Tensors are grouped by name prefix ("fc1.weight" and
+ * "fc1.bias" are group "fc1"), and each group goes to a layer fed by a
+ * single other layer: first to the layer its prefix names, then, for the
+ * groups left over, to the remaining layers in order wherever the shape
+ * fits. Dense weights may be [out, in] or [in, out], conv kernels PyTorch
+ * or Keras layout (summed over the window), 1-D weights scale each unit.
+ *
+ * Only the units a layer shows are read, in order; summary nodes keep
+ * their values. Returns { weights, biases, layers, unused }: weights in
+ * edge order and biases in node order for NeuralNetworkMesh.setParameters
+ * (unmapped entries keep the topology's, possibly null), the matches as
+ * { layer, weight, bias } tensor names, and the names of unused tensors.
+ */
+export function mapCheckpoint(tensors, topology) {
+    const groups = new Map();
+    const unused = [];
+    
+    tensors.forEach((tensor, name) => {
+        const { parts, role } = splitName(name);
+        const key = parts.join('.');
+        const slot = WEIGHT_ROLES.has(role) ? 'weight' : BIAS_ROLES.has(role) ? 'bias' : null;
+        
+        if (!slot) {
+            unused.push(name);
+            return;
+        }
+        
+        if (!groups.has(key)) groups.set(key, { parts, weight: null, bias: null });
+        const group = groups.get(key);
+        
+        // A group holds one of each; "gamma" and "weight" under one prefix
+        // can't both be the layer's weights
+        if (group[slot]) {
+            unused.push(name);
+            return;
+        }
+        group[slot] = { name, tensor, role };
+    });
+    
+    // Layers a group could go to, with the one layer feeding them
+    const { layers, nodes, edges } = topology;
+    const slots = new Map();
+    layers.forEach(layer => {
+        layer.nodeIds.forEach((id, i) => {
+            const node = nodes[topology.getNodeIndex(id)];
+            if (!node.summary) slots.set(id, i);
+        });
+    });
+    
+    const targets = layers.map(layer => ({ layer, sources: new Set(), edges: [] }));
+    edges.forEach((edge, index) => {
+        const target = targets[nodes[edge.targetIndex].layerIndex];
+        target.sources.add(nodes[edge.sourceIndex].layerIndex);
+        target.edges.push(index);
+    });
+    const candidates = targets.filter(target => target.sources.size === 1).map(target => ({
+        ...target,
+        source: layers[[...target.sources][0]]
+    }));
+    
+    const assigned = new Map();
+    const assign = (group, target) => {
+        const reader = group.weight && getReader(group.weight, target.layer.units, target.source.units);
+        if (!reader) return false;
+        assigned.set(target, { group, reader });
+        return true;
+    };
+    
+    // By name, then in order for whatever is left
+    const pending = [];
+    groups.forEach(group => {
+        if (!group.weight) return;
+        
+        const named = candidates.some(target => {
+            return !assigned.has(target) && namesMatch(group.parts, target.layer) && assign(group, target);
+        });
+        if (!named) pending.push(group);
+    });
+    
+    const remaining = candidates.filter(target => !assigned.has(target));
+    let cursor = 0;
+    pending
+        .sort((a, b) => collator.compare(a.parts.join('.'), b.parts.join('.')))
+        .forEach(group => {
+            const index = remaining.findIndex((target, i) => i >= cursor && assign(group, target));
+            if (index === -1) {
+                unused.push(group.weight.name);
+                if (group.bias) unused.push(group.bias.name);
+            } else {
+                cursor = index + 1;
+            }
+        });
+    
+    groups.forEach(group => {
+        if (!group.weight && group.bias) unused.push(group.bias.name);
+    });
+    
+    const weights = edges.map(edge => edge.weight);
+    const biases = nodes.map(node => node.bias);
+    const matches = [];
+    
+    candidates.forEach(target => {
+        const match = assigned.get(target);
+        if (!match) return;
+        
+        const { group, reader } = match;
+        target.edges.forEach(index => {
+            const { source, target: targetId } = edges[index];
+            if (slots.has(source) && slots.has(targetId)) {
+                weights[index] = reader(slots.get(targetId), slots.get(source));
+            }
+        });
+        
+        const bias = group.bias && group.bias.tensor.shape.length === 1 && group.bias.tensor.size === target.layer.units
+            ? group.bias.tensor
+            : null;
+        if (bias) {
+            target.layer.nodeIds.forEach(id => {
+                if (slots.has(id)) biases[topology.getNodeIndex(id)] = bias.get(slots.get(id));
+            });
+        } else if (group.bias) {
+            unused.push(group.bias.name);
+        }
+        
+        matches.push({ layer: target.layer.id, weight: group.weight.name, bias: bias ? group.bias.name : null });
+    });
+    
+    return { weights, biases, layers: matches, unused };
+}
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Little-endian element types of checkpoint files, by the names NPY.js and
+// Safetensors.js map their own dtype codes to
+const TYPED_ARRAYS = {
+    float64: Float64Array,
+    float32: Float32Array,
+    int32: Int32Array,
+    int16: Int16Array,
+    int8: Int8Array,
+    uint32: Uint32Array,
+    uint16: Uint16Array,
+    uint8: Uint8Array
+};
+
+// Half-precision types are read as their raw 16 bits
+const HALF_TYPES = new Set(['float16', 'bfloat16']);
+
+export function getDTypeSize(dtype) {
+    if (HALF_TYPES.has(dtype)) return 2;
+    
+    const TypedArray = TYPED_ARRAYS[dtype];
+    if (!TypedArray) {
+        throw new Error(`Unsupported dtype "${dtype}"`);
+    }
+    return TypedArray.BYTES_PER_ELEMENT;
+}
+
+function halfToFloat(bits) {
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exponent = (bits >> 10) & 0x1f;
+    const fraction = bits & 0x3ff;
+    
+    if (exponent === 0) return sign * fraction * 2 ** -24;
+    if (exponent === 31) return fraction ? NaN : sign * Infinity;
+    return sign * (1 + fraction / 1024) * 2 ** (exponent - 15);
+}
+
+/**
+ * Reads `size` elements of `dtype` from the start of `bytes` (a Uint8Array)
+ * into a new Float32Array. The bytes are copied first, since checkpoint
+ * data needn't be aligned for a typed array.
+ */
+export function decodeTensorData(bytes, dtype, size) {
+    const byteLength = size * getDTypeSize(dtype);
+    if (byteLength > bytes.byteLength) {
+        throw new Error(`Expected ${byteLength} bytes of ${dtype} data, got ${bytes.byteLength}`);
+    }
+    
+    const buffer = new Uint8Array(bytes.subarray(0, byteLength)).buffer;
+    
+    if (dtype === 'float16') {
+        return Float32Array.from(new Uint16Array(buffer), halfToFloat);
+    }
+    if (dtype === 'bfloat16') {
+        // The top half of a float32
+        const words = Uint32Array.from(new Uint16Array(buffer), bits => bits << 16);
+        return new Float32Array(words.buffer);
+    }
+    
+    const values = new TYPED_ARRAYS[dtype](buffer);
+    return values instanceof Float32Array ? values : Float32Array.from(values);
+}
\ No newline at end of file
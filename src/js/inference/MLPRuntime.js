@@ -0,0 +1,123 @@
+import { Tensor } from './Tensor.js';
+import { getActivation } from './Activations.js';
+
+/**
+ * Runs a dense feed-forward network straight from the NetworkTopology that
+ * NeuralNetworkMesh displays. Each layer after the first is a dense layer
+ * fed by the one before it; edge weights fill the weight matrix (missing
+ * edges are zero) and node biases the bias vector.
+ *
+ * A layer's activation comes from its `activation` field, then
+ * `meta.activation` (Keras imports), then the hidden/output defaults.
+ */
+export class MLPRuntime {
+    constructor(layers) {
+        this.layers = layers;
+        this.inputIds = layers[0].nodeIds;
+        this.outputIds = layers[layers.length - 1].nodeIds;
+    }
+    
+    static fromTopology(topology, { hiddenActivation = 'relu', outputActivation = 'linear' } = {}) {
+        const { layers: topologyLayers, nodes, edges } = topology;
+        
+        if (topologyLayers.length < 2) {
+            throw new Error('MLP needs at least an input and an output layer');
+        }
+        
+        if (nodes.some(node => node.summary)) {
+            throw new Error('Summarized layers cannot be run; import the model with a larger maxNodesPerLayer');
+        }
+        
+        // Position of every node within its own layer
+        const slots = new Map();
+        topologyLayers.forEach(layer => layer.nodeIds.forEach((id, i) => slots.set(id, i)));
+        
+        const layers = topologyLayers.map((layer, index) => {
+            const isOutput = index === topologyLayers.length - 1;
+            const activationName = index === 0
+                ? 'linear'
+                : layer.activation || layer.meta?.activation || (isOutput ? outputActivation : hiddenActivation);
+            
+            return {
+                id: layer.id,
+                nodeIds: layer.nodeIds,
+                activationName,
+                activation: getActivation(activationName),
+                weights: index === 0 ? null : Tensor.zeros([layer.nodeIds.length, topologyLayers[index - 1].nodeIds.length]),
+                bias: index === 0 ? null : Tensor.from(layer.nodeIds.map(id => nodes[topology.getNodeIndex(id)].bias || 0))
+            };
+        });
+        
+        edges.forEach(({ source, target, sourceIndex, targetIndex, weight }) => {
+            const sourceLayer = nodes[sourceIndex].layerIndex;
+            const targetLayer = nodes[targetIndex].layerIndex;
+            
+            if (targetLayer !== sourceLayer + 1) {
+                throw new Error(`Edge ${source} -> ${target} does not connect consecutive layers`);
+            }
+            if (weight === null) {
+                throw new Error(`Edge ${source} -> ${target} has no weight`);
+            }
+            
+            layers[targetLayer].weights.set(weight, slots.get(target), slots.get(source));
+        });
+        
+        return new MLPRuntime(layers);
+    }
+    
+    get inputSize() {
+        return this.inputIds.length;
+    }
+    
+    get outputSize() {
+        return this.outputIds.length;
+    }
+    
+    resolveInput(input) {
+        // Array in input-layer order, or { nodeId: value } with missing ids at 0
+        if (Array.isArray(input) || ArrayBuffer.isView(input)) {
+            if (input.length !== this.inputSize) {
+                throw new Error(`Expected ${this.inputSize} input values, got ${input.length}`);
+            }
+            return Tensor.from(input);
+        }
+        
+        return Tensor.from(this.inputIds.map(id => Number(input?.[id]) || 0));
+    }
+    
+    /**
+     * Returns the output Tensor of every layer, input layer included.
+     */
+    forward(input) {
+        const outputs = [this.resolveInput(input)];
+        
+        for (let i = 1; i < this.layers.length; i++) {
+            const layer = this.layers[i];
+            const output = layer.weights.matVec(outputs[i - 1]).add(layer.bias);
+            layer.activation(output);
+            outputs.push(output);
+        }
+        
+        return outputs;
+    }
+    
+    /**
+     * Forward pass in the shape the visualization consumes: the output
+     * values plus a { nodeId: activation } map for setActivations().
+     */
+    run(input) {
+        const outputs = this.forward(input);
+        const activations = {};
+        
+        outputs.forEach((output, i) => {
+            this.layers[i].nodeIds.forEach((id, slot) => {
+                activations[id] = output.data[slot];
+            });
+        });
+        
+        return {
+            outputs: outputs[outputs.length - 1].toArray(),
+            activations
+        };
+    }
+}
\ No newline at end of file
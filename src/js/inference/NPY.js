@@ -0,0 +1,131 @@
+import { Tensor } from './Tensor.js';
+import { decodeTensorData } from './DTypes.js';
+
+// NumPy dtype codes (kind and width), little-endian or byte-sized
+const DTYPES = {
+    f8: 'float64',
+    f4: 'float32',
+    f2: 'float16',
+    i4: 'int32',
+    i2: 'int16',
+    i1: 'int8',
+    u4: 'uint32',
+    u2: 'uint16',
+    u1: 'uint8'
+};
+
+// ZIP record signatures and compression methods, for .npz archives
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Reads a NumPy .npy file (the raw bytes, as an ArrayBuffer or Uint8Array)
+ * into a Float32 Tensor of the same shape. Only C-order arrays are read.
+ */
+export function parseNPY(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const magic = String.fromCharCode(...bytes.subarray(1, 6));
+    
+    if (bytes[0] !== 0x93 || magic !== 'NUMPY') {
+        throw new Error('Not an NPY file');
+    }
+    
+    // Version 1 has a 2-byte header length, versions 2 and 3 a 4-byte one
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = bytes[6];
+    const headerStart = version === 1 ? 10 : 12;
+    const headerLength = version === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+    const header = new TextDecoder().decode(bytes.subarray(headerStart, headerStart + headerLength));
+    
+    // A Python dict literal: {'descr': '<f4', 'fortran_order': False, 'shape': (2, 3), }
+    const descr = /'descr':\s*'([^']+)'/.exec(header)?.[1];
+    const shapeText = /'shape':\s*\(([^)]*)\)/.exec(header)?.[1];
+    if (!descr || shapeText === undefined) {
+        throw new Error('Invalid NPY header');
+    }
+    if (/'fortran_order':\s*True/.test(header)) {
+        throw new Error('Fortran-ordered NPY arrays are not supported');
+    }
+    
+    const dtype = DTYPES[descr.slice(1)];
+    if (!dtype || descr[0] === '>') {
+        throw new Error(`Unsupported NPY dtype "${descr}"`);
+    }
+    
+    const shape = shapeText.split(',').map(dim => dim.trim()).filter(Boolean).map(Number);
+    const size = shape.reduce((total, dim) => total * dim, 1);
+    const data = bytes.subarray(headerStart + headerLength);
+    
+    try {
+        return new Tensor(shape, decodeTensorData(data, dtype, size));
+    } catch {
+        throw new Error(`NPY data is shorter than its shape [${shape}]`);
+    }
+}
+
+async function inflate(bytes) {
+    // Raw DEFLATE, as ZIP stores it
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads a NumPy .npz archive (np.savez or np.savez_compressed) into a Map
+ * of Float32 Tensors, keyed by array name in archive order.
+ */
+export async function parseNPZ(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    
+    // The end-of-directory record sits in the last 22 bytes plus an
+    // optional comment of up to 64 KiB
+    let end = bytes.byteLength - 22;
+    const stop = Math.max(end - 0xffff, 0);
+    while (end >= stop && view.getUint32(end, true) !== END_OF_DIRECTORY) end--;
+    
+    if (end < stop) {
+        throw new Error('Not an NPZ (ZIP) archive');
+    }
+    
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const tensors = new Map();
+    
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== DIRECTORY_ENTRY) {
+            throw new Error('Corrupt NPZ central directory');
+        }
+        
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+        
+        if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+            throw new Error(`NPZ entry "${name}" needs ZIP64, which is not supported`);
+        }
+        if (view.getUint32(localOffset, true) !== LOCAL_HEADER) {
+            throw new Error(`Corrupt NPZ entry "${name}"`);
+        }
+        
+        // The local header repeats the name, with its own extra field
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        
+        if (method !== STORED && method !== DEFLATED) {
+            throw new Error(`NPZ entry "${name}" uses unsupported compression method ${method}`);
+        }
+        
+        const npy = method === DEFLATED ? await inflate(data) : data;
+        tensors.set(name.replace(/\.npy$/i, ''), parseNPY(npy));
+    }
+    
+    return tensors;
+}
\ No newline at end of file
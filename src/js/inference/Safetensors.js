@@ -0,0 +1,64 @@
+import { Tensor } from './Tensor.js';
+import { decodeTensorData } from './DTypes.js';
+
+// Safetensors dtype names
+const DTYPES = {
+    F64: 'float64',
+    F32: 'float32',
+    F16: 'float16',
+    BF16: 'bfloat16',
+    I32: 'int32',
+    I16: 'int16',
+    I8: 'int8',
+    U8: 'uint8'
+};
+
+/**
+ * Reads a .safetensors file (the raw bytes, as an ArrayBuffer or
+ * Uint8Array) into a Map of Float32 Tensors keyed by tensor name, in
+ * header order. The file is an 8-byte little-endian header length, a JSON
+ * header of { name: { dtype, shape, data_offsets: [begin, end] } } and the
+ * data the offsets point into.
+ */
+export function parseSafetensors(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    
+    if (bytes.byteLength < 8) {
+        throw new Error('Not a safetensors file');
+    }
+    
+    const headerLength = view.getUint32(0, true) + view.getUint32(4, true) * 2 ** 32;
+    if (8 + headerLength > bytes.byteLength) {
+        throw new Error('Not a safetensors file');
+    }
+    
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+    } catch {
+        throw new Error('Invalid safetensors header');
+    }
+    
+    const data = bytes.subarray(8 + headerLength);
+    const tensors = new Map();
+    
+    Object.entries(header).forEach(([name, { dtype, shape, data_offsets: offsets } = {}]) => {
+        // Free-form string metadata, not a tensor
+        if (name === '__metadata__') return;
+        
+        if (!DTYPES[dtype]) {
+            throw new Error(`Tensor "${name}" has unsupported dtype "${dtype}"`);
+        }
+        
+        const size = shape.reduce((total, dim) => total * dim, 1);
+        const [begin, end] = offsets;
+        if (end > data.byteLength) {
+            throw new Error(`Tensor "${name}" runs past the end of the file`);
+        }
+        
+        tensors.set(name, new Tensor(shape, decodeTensorData(data.subarray(begin, end), DTYPES[dtype], size)));
+    });
+    
+    return tensors;
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Row-major Float32 tensor with just the operations MLPRuntime needs:
+ * element access, matrix-vector products and in-place element-wise maps.
+ * Everything runs on the CPU, so inference works without WebGL.
+ */
+export class Tensor {
+    constructor(shape, data = null) {
+        this.shape = shape.slice();
+        this.size = shape.reduce((size, dim) => size * dim, 1);
+        
+        if (data && data.length !== this.size) {
+            throw new Error(`Tensor of shape [${shape}] needs ${this.size} values, got ${data.length}`);
+        }
+        
+        this.data = data instanceof Float32Array ? data : new Float32Array(data || this.size);
+    }
+    
+    static zeros(shape) {
+        return new Tensor(shape);
+    }
+    
+    static from(values) {
+        return new Tensor([values.length], values);
+    }
+    
+    offset(indices) {
+        let offset = 0;
+        
+        for (let i = 0; i < this.shape.length; i++) {
+            offset = offset * this.shape[i] + indices[i];
+        }
+        
+        return offset;
+    }
+    
+    get(...indices) {
+        return this.data[this.offset(indices)];
+    }
+    
+    set(value, ...indices) {
+        this.data[this.offset(indices)] = value;
+        return this;
+    }
+    
+    /**
+     * this [rows, cols] × vector [cols] → out [rows]
+     */
+    matVec(vector, out = Tensor.zeros([this.shape[0]])) {
+        const [rows, cols] = this.shape;
+        
+        if (this.shape.length !== 2 || vector.size !== cols) {
+            throw new Error(`Cannot multiply [${this.shape}] by [${vector.shape}]`);
+        }
+        
+        for (let r = 0; r < rows; r++) {
+            let sum = 0;
+            const rowOffset = r * cols;
+            
+            for (let c = 0; c < cols; c++) {
+                sum += this.data[rowOffset + c] * vector.data[c];
+            }
+            
+            out.data[r] = sum;
+        }
+        
+        return out;
+    }
+    
+    add(other) {
+        if (other.size !== this.size) {
+            throw new Error(`Cannot add [${other.shape}] to [${this.shape}]`);
+        }
+        
+        for (let i = 0; i < this.size; i++) {
+            this.data[i] += other.data[i];
+        }
+        
+        return this;
+    }
+    
+    map(fn) {
+        for (let i = 0; i < this.size; i++) {
+            this.data[i] = fn(this.data[i], i);
+        }
+        
+        return this;
+    }
+    
+    clone() {
+        return new Tensor(this.shape, this.data.slice());
+    }
+    
+    toArray() {
+        return Array.from(this.data);
+    }
+}
\ No newline at end of file
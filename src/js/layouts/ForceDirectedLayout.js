@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { Layout } from './Layout.js';
+import { random } from '../utils/Random.js';
+
+// Above this many nodes repulsion only acts between nodes closer than
+// REPULSION_CUTOFF ideal lengths, found through a spatial grid, and the
+// iteration count shrinks with the node count
+const EXACT_LIMIT = 500;
+const REPULSION_CUTOFF = 2;
+const MIN_ITERATIONS = 50;
+
+/**
+ * Fruchterman-Reingold style force simulation in 3D: edges pull their nodes
+ * together, all nodes repel each other. The result is scaled to fit within
+ * `radius` so it stays inside the octagon frame. Large graphs use the grid
+ * variant of the algorithm, which keeps each step close to linear.
+ */
+export class ForceDirectedLayout extends Layout {
+    constructor({ radius = 7, iterations = 300, idealLength = 1.5 } = {}) {
+        super({ radius, iterations, idealLength });
+    }
+    
+    compute(topology) {
+        const { radius, idealLength } = this.options;
+        const count = topology.nodes.length;
+        
+        if (count === 0) return [];
+        
+        const approximate = count > EXACT_LIMIT;
+        const iterations = approximate
+            ? Math.max(MIN_ITERATIONS, Math.round(this.options.iterations * EXACT_LIMIT / count))
+            : this.options.iterations;
+        // Large graphs start as big as they will settle, since the cutoff
+        // keeps a crowded start from spreading out quickly
+        const seedRadius = approximate ? Math.max(radius, idealLength * Math.cbrt(count)) : radius;
+        
+        // Seed on a jittered sphere so the simulation starts untangled
+        const positions = topology.nodes.map((node, i) => {
+            const phi = Math.acos(1 - 2 * (i + 0.5) / count);
+            const theta = Math.PI * (1 + Math.sqrt(5)) * i;
+            return new THREE.Vector3().setFromSphericalCoords(
+                seedRadius * (0.5 + random() * 0.5),
+                phi,
+                theta
+            );
+        });
+        
+        const displacement = positions.map(() => new THREE.Vector3());
+        const delta = new THREE.Vector3();
+        const k = idealLength;
+        let temperature = seedRadius * 0.5;
+        const cooling = temperature / iterations;
+        
+        const repel = (i, j) => {
+            delta.subVectors(positions[i], positions[j]);
+            const distance = Math.max(delta.length(), 0.01);
+            const force = (k * k) / distance;
+            delta.multiplyScalar(force / distance);
+            displacement[i].add(delta);
+            displacement[j].sub(delta);
+        };
+        
+        for (let step = 0; step < iterations; step++) {
+            displacement.forEach(d => d.set(0, 0, 0));
+            
+            if (approximate) {
+                this.repelNearby(positions, k * REPULSION_CUTOFF, repel);
+            } else {
+                // Repulsion between every pair of nodes
+                for (let i = 0; i < count; i++) {
+                    for (let j = i + 1; j < count; j++) repel(i, j);
+                }
+            }
+            
+            // Attraction along edges
+            topology.edges.forEach(({ sourceIndex, targetIndex }) => {
+                if (sourceIndex === targetIndex) return;
+                delta.subVectors(positions[sourceIndex], positions[targetIndex]);
+                const distance = Math.max(delta.length(), 0.01);
+                const force = (distance * distance) / k;
+                delta.multiplyScalar(force / distance);
+                displacement[sourceIndex].sub(delta);
+                displacement[targetIndex].add(delta);
+            });
+            
+            // Move each node, capped by the current temperature
+            positions.forEach((position, i) => {
+                const length = displacement[i].length();
+                if (length > 0) {
+                    position.addScaledVector(displacement[i], Math.min(length, temperature) / length);
+                }
+            });
+            
+            temperature = Math.max(temperature - cooling, 0.01);
+        }
+        
+        // Centre and fit into the frame
+        const center = new THREE.Vector3();
+        positions.forEach(position => center.add(position));
+        center.divideScalar(count);
+        
+        let extent = 0;
+        positions.forEach(position => {
+            extent = Math.max(extent, position.sub(center).length());
+        });
+        
+        if (extent > radius) {
+            positions.forEach(position => position.multiplyScalar(radius / extent));
+        }
+        
+        return positions;
+    }
+    
+    repelNearby(positions, cutoff, repel) {
+        // Buckets nodes into cubes of side `cutoff` and calls repel(i, j)
+        // once for every pair closer than that, looking only at the 27
+        // cubes around each node
+        const cells = new Map();
+        const cellIndex = (value) => Math.floor(value / cutoff);
+        // Numeric keys; cell indices stay well within ±2^16
+        const cellKey = (x, y, z) => (x * 65536 + y) * 65536 + z;
+        
+        positions.forEach((position, i) => {
+            const key = cellKey(cellIndex(position.x), cellIndex(position.y), cellIndex(position.z));
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(i);
+        });
+        
+        const cutoffSq = cutoff * cutoff;
+        
+        positions.forEach((position, i) => {
+            const cx = cellIndex(position.x);
+            const cy = cellIndex(position.y);
+            const cz = cellIndex(position.z);
+            
+            for (let x = cx - 1; x <= cx + 1; x++) {
+                for (let y = cy - 1; y <= cy + 1; y++) {
+                    for (let z = cz - 1; z <= cz + 1; z++) {
+                        const cell = cells.get(cellKey(x, y, z));
+                        if (!cell) continue;
+                        
+                        cell.forEach(j => {
+                            if (j > i && position.distanceToSquared(positions[j]) < cutoffSq) repel(i, j);
+                        });
+                    }
+                }
+            }
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,30 @@
+import * as THREE from 'three';
+import { Layout } from './Layout.js';
+
+/**
+ * Feature-map style layout for convolutional layers: each layer becomes a
+ * square grid in the YZ plane and the grids are stacked along x.
+ */
+export class GridLayout extends Layout {
+    constructor({ width = 14, layerSpacing = 3, cellSpacing = 0.8, maxGridSize = 8 } = {}) {
+        super({ width, layerSpacing, cellSpacing, maxGridSize });
+    }
+    
+    compute(topology) {
+        const { width, layerSpacing, cellSpacing, maxGridSize } = this.options;
+        const layerCount = topology.layers.length;
+        
+        return this.getLayerSlots(topology).map(({ layerIndex, slot, count }) => {
+            const columns = Math.ceil(Math.sqrt(count));
+            const rows = Math.ceil(count / columns);
+            const column = slot % columns;
+            const row = Math.floor(slot / columns);
+            
+            return new THREE.Vector3(
+                this.spread(layerIndex, layerCount, layerSpacing, width),
+                -this.spread(row, rows, cellSpacing, maxGridSize),
+                this.spread(column, columns, cellSpacing, maxGridSize)
+            );
+        });
+    }
+}
\ No newline at end of file
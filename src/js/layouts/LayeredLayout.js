@@ -0,0 +1,25 @@
+import * as THREE from 'three';
+import { Layout } from './Layout.js';
+
+/**
+ * Classic feed-forward diagram: layers run left to right along x and the
+ * units of each layer are stacked vertically, facing the default camera.
+ */
+export class LayeredLayout extends Layout {
+    constructor({ width = 14, height = 10, layerSpacing = 3, nodeSpacing = 1.2 } = {}) {
+        super({ width, height, layerSpacing, nodeSpacing });
+    }
+    
+    compute(topology) {
+        const { width, height, layerSpacing, nodeSpacing } = this.options;
+        const layerCount = topology.layers.length;
+        
+        return this.getLayerSlots(topology).map(({ layerIndex, slot, count }) => {
+            return new THREE.Vector3(
+                this.spread(layerIndex, layerCount, layerSpacing, width),
+                -this.spread(slot, count, nodeSpacing, height),
+                0
+            );
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * Base class for node layouts. A layout maps every node of a NetworkTopology
+ * to a position; NeuralNetworkMesh animates between the results.
+ */
+export class Layout {
+    constructor(options = {}) {
+        this.options = options;
+    }
+    
+    /**
+     * @param {NetworkTopology} topology
+     * @returns {THREE.Vector3[]} One position per topology node, same order
+     */
+    compute(topology) {
+        throw new Error(`${this.constructor.name} must implement compute()`);
+    }
+    
+    apply(topology) {
+        // Nodes with a pinned position in the topology document keep it
+        const positions = this.compute(topology);
+        
+        return topology.nodes.map((node, index) => {
+            return node.position ? node.position.clone() : positions[index];
+        });
+    }
+    
+    getLayerSlots(topology) {
+        // Position of each node within its layer
+        const slots = new Array(topology.nodes.length);
+        
+        topology.layers.forEach((layer, layerIndex) => {
+            layer.nodeIds.forEach((id, slot) => {
+                slots[topology.getNodeIndex(id)] = {
+                    layerIndex,
+                    slot,
+                    count: layer.nodeIds.length
+                };
+            });
+        });
+        
+        return slots;
+    }
+    
+    // Spread `count` items over at most `extent`, centred on zero
+    spread(slot, count, spacing, extent) {
+        if (count <= 1) return 0;
+        const step = Math.min(spacing, extent / (count - 1));
+        return (slot - (count - 1) / 2) * step;
+    }
+}
\ No newline at end of file
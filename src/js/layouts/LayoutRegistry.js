@@ -0,0 +1,32 @@
+import { RadialLayout } from './RadialLayout.js';
+import { LayeredLayout } from './LayeredLayout.js';
+import { ForceDirectedLayout } from './ForceDirectedLayout.js';
+import { GridLayout } from './GridLayout.js';
+
+const layouts = new Map([
+    ['radial', RadialLayout],
+    ['layered', LayeredLayout],
+    ['force', ForceDirectedLayout],
+    ['grid', GridLayout]
+]);
+
+/**
+ * Makes a Layout subclass available by name, e.g. for params.layout
+ */
+export function registerLayout(name, LayoutClass) {
+    layouts.set(name, LayoutClass);
+}
+
+export function createLayout(name, options) {
+    const LayoutClass = layouts.get(name);
+    
+    if (!LayoutClass) {
+        throw new Error(`Unknown layout "${name}" (available: ${getLayoutNames().join(', ')})`);
+    }
+    
+    return new LayoutClass(options);
+}
+
+export function getLayoutNames() {
+    return [...layouts.keys()];
+}
\ No newline at end of file
@@ -0,0 +1,35 @@
+import * as THREE from 'three';
+import { Layout } from './Layout.js';
+import { random } from '../utils/Random.js';
+
+/**
+ * The original octagon look: the first layer sits at the centre and every
+ * following layer forms a ring `ringSpacing` units further out. Rings past
+ * the first get some height variation so the structure doesn't look flat.
+ */
+export class RadialLayout extends Layout {
+    constructor({ ringSpacing = 3, heightVariation = 2 } = {}) {
+        super({ ringSpacing, heightVariation });
+    }
+    
+    compute(topology) {
+        const { ringSpacing, heightVariation } = this.options;
+        
+        return this.getLayerSlots(topology).map(({ layerIndex, slot, count }) => {
+            const radius = Math.max(layerIndex * ringSpacing, 1);
+            
+            if (layerIndex === 0 && count === 1) {
+                return new THREE.Vector3(0, 0, 0);
+            }
+            
+            const angle = (slot / count) * Math.PI * 2;
+            const height = layerIndex > 1 ? (random() - 0.5) * heightVariation : 0;
+            
+            return new THREE.Vector3(
+                Math.cos(angle) * radius,
+                height,
+                Math.sin(angle) * radius
+            );
+        });
+    }
+}
\ No newline at end of file
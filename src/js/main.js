@@ -10,13 +10,56 @@ import { NeuralNetworkMesh } from './components/NeuralNetworkMesh.js';
 import { VolumetricClouds } from './components/VolumetricClouds.js';
 import { ParticleFlow } from './components/ParticleFlow.js';
 import { EnvironmentManager } from './components/EnvironmentManager.js';
+import { NodeHighlight } from './components/NodeHighlight.js';
+import { LayerAggregation } from './components/LayerAggregation.js';
+import { FeatureMapVolumes } from './components/FeatureMapVolumes.js';
+import { AttentionView, readAttention, describeTransformer } from './components/AttentionView.js';
+import { NetworkTopology } from './core/NetworkTopology.js';
+import { SceneState } from './core/SceneState.js';
+import { ModelImporter } from './importers/ModelImporter.js';
+import { createLayout, getLayoutNames } from './layouts/LayoutRegistry.js';
+import { ThemeManager } from './themes/ThemeManager.js';
+import { registerTheme, getThemeNames, isBuiltInTheme } from './themes/ThemeRegistry.js';
+import { MLPRuntime } from './inference/MLPRuntime.js';
+import { mapCheckpoint } from './inference/Checkpoint.js';
+import { LiveTraining } from './training/LiveTraining.js';
+import { describeMLP } from './training/Trainer.js';
+import { ForwardPassPlayback } from './playback/ForwardPassPlayback.js';
+import { TrainingReplay } from './playback/TrainingReplay.js';
+import { PlaybackControls } from './ui/PlaybackControls.js';
+import { LossCurveOverlay } from './ui/LossCurveOverlay.js';
+import { InferencePanel } from './ui/InferencePanel.js';
+import { TrainingPanel } from './ui/TrainingPanel.js';
+import { ControlPanel, getParamRange } from './ui/ControlPanel.js';
+import { NodeTooltip } from './ui/NodeTooltip.js';
+import { NodeDetailsPanel } from './ui/NodeDetailsPanel.js';
+import { PointerGestures } from './ui/PointerGestures.js';
+import { EmbedBridge } from './embed/EmbedBridge.js';
+import { QualityGovernor, QUALITY_TIERS } from './utils/Performance.js';
+import { setRandomSeed } from './utils/Random.js';
+import { ResourceManager } from './utils/ResourceManager.js';
+import { FrameRenderer, FixedClock } from './export/FrameRenderer.js';
 
 class NeuralNetworkVisualization {
     constructor() {
         this.container = document.getElementById('webgl-canvas');
-        this.clock = new THREE.Clock();
         this.mouse = new THREE.Vector2();
         this.raycaster = new THREE.Raycaster();
+        this.pointer = null;
+        this.hovered = null;
+        this.selectedNode = null;
+        // Whether the detail panel shows for the selection; touch taps
+        // select without it, a long press opens it
+        this.detailsOpen = true;
+        // Second node of a highlighted path from the selected one, and the path
+        this.pathTarget = null;
+        this.path = null;
+        // Node and edge indices left undimmed, as given to setFocus
+        this.focus = null;
+        this.inspectTimer = 0;
+        this.paused = false;
+        this.elapsedTime = 0;
+        this.cameraTween = null;
         
         this.params = {
             exposure: 1.2,
@@ -31,13 +74,62 @@ class NeuralNetworkVisualization {
             glassRoughness: 0.1,
             glassTransmission: 0.95,
             glassThickness: 0.5,
-            glassIOR: 1.5
+            glassIOR: 1.5,
+            layout: 'radial',
+            theme: 'light',
+            // Hops around the selected node left undimmed; 0 dims nothing
+            focusHops: 1,
+            // Layers with at least lodUnits nodes collapse into a slab when
+            // the camera is further than lodDistance; 0 turns that off
+            lodUnits: 32,
+            lodDistance: 30,
+            // Conv and pooling layers drawn as volumes, with slices of
+            // their activations when setFeatureMaps() has some
+            featureMaps: true,
+            featureMapSlices: true,
+            // 'auto' adapts to the frame rate; a tier name forces that tier
+            quality: 'auto'
         };
+        // Fallbacks for values that fail validation (see resolveChoice)
+        this.defaultParams = { ...this.params };
         
         this.init();
     }
     
     init() {
+        const query = new URLSearchParams(window.location.search);
+        if (query.has('layout')) {
+            this.params.layout = this.resolveChoice('layout', query.get('layout'));
+        }
+        if (query.has('theme')) {
+            this.params.theme = this.resolveChoice('theme', query.get('theme'));
+        }
+        if (query.has('focusHops')) {
+            this.params.focusHops = Number(query.get('focusHops')) || 0;
+        }
+        ['lodUnits', 'lodDistance'].forEach(key => {
+            if (query.has(key)) this.params[key] = Number(query.get(key)) || 0;
+        });
+        if (query.has('featureMaps')) {
+            this.params.featureMaps = query.get('featureMaps') !== '0';
+        }
+        if (query.has('quality')) {
+            this.params.quality = this.resolveChoice('quality', query.get('quality'));
+        }
+        
+        // Deterministic mode for offline stills and clips, e.g.
+        // ?render&seed=42&fps=30: seeded randomness, a fixed timestep and
+        // frames that only advance through this.frameRenderer
+        this.deterministic = query.has('render');
+        if (this.deterministic) {
+            const fps = Number(query.get('fps')) || 60;
+            setRandomSeed(query.get('seed') || 0);
+            this.clock = new FixedClock(fps);
+            this.frameRenderer = new FrameRenderer(this, { fps });
+        } else {
+            this.clock = new THREE.Clock();
+        }
+        
         this.setupRenderer();
         this.setupScene();
         this.setupCamera();
@@ -46,16 +138,569 @@ class NeuralNetworkVisualization {
         this.setupPostProcessing();
         
         // Core components
+        this.resources = new ResourceManager();
         this.environmentManager = new EnvironmentManager(this.scene, this.renderer);
         this.neuralNetwork = new NeuralNetworkMesh(this.scene, this.params);
         this.volumetricClouds = new VolumetricClouds(this.scene, this.params);
-        this.particleFlow = new ParticleFlow(this.scene, this.neuralNetwork, this.params);
+        this.particleFlow = new ParticleFlow(this.scene, this.neuralNetwork, this.params, {
+            renderer: this.renderer,
+            // ?particles=cpu skips the GPU simulation. Worker frames arrive
+            // whenever they are ready, so deterministic renders stay off it
+            simulation: query.get('particles') || (this.deterministic ? 'cpu' : 'auto')
+        });
+        
+        // Large layers fold into slabs with bundled edges when far away
+        this.layerAggregation = new LayerAggregation(this.neuralNetwork, this.params);
+        this.layerAggregation.addEventListener('change', () => this.updateParticleMask());
+        
+        // Conv layers as feature-map volumes, through the same collapse
+        this.featureMaps = new FeatureMapVolumes(this.neuralNetwork, this.layerAggregation, this.params);
+        
+        // Hover and selection highlights, with a tooltip and a detail panel
+        this.nodeHighlight = new NodeHighlight(this.neuralNetwork);
+        this.nodeTooltip = new NodeTooltip();
+        this.nodeDetails = new NodeDetailsPanel({
+            onSelect: (id) => this.selectNode(id),
+            onClose: () => this.selectNode(null)
+        });
+        
+        // How close the pointer must come to an edge's centreline
+        this.raycaster.params.Line.threshold = 0.1;
+        
+        // Quality tiers stepped by frame rate, or held at params.quality
+        this.quality = new QualityGovernor();
+        this.quality.addEventListener('change', (e) => this.applyQuality(e.settings));
+        this.setQuality(this.params.quality);
+        this.applyQuality(this.quality.settings);
+        
+        // Central colours for the scene and the HTML overlays
+        this.themeManager = new ThemeManager(this.params.theme);
+        this.themeManager.addEventListener('change', (e) => this.applyTheme(e.settled));
+        this.applyTheme(true);
+        
+        // Forward-pass playback and its timeline
+        this.playback = new ForwardPassPlayback(this.neuralNetwork, this.particleFlow);
+        this.playbackControls = new PlaybackControls(this.playback);
+        
+        // Training replay with its own timeline and loss curve
+        this.trainingReplay = new TrainingReplay(this.neuralNetwork, this.particleFlow);
+        this.replayControls = new PlaybackControls(this.trainingReplay);
+        this.lossOverlay = new LossCurveOverlay(this.trainingReplay);
+        
+        // Transformer attention, stepped through layer by layer and head by
+        // head on its own timeline
+        this.attention = new AttentionView(this.neuralNetwork, this.particleFlow);
+        this.attentionControls = new PlaybackControls(this.attention);
+        this.attention.addEventListener('step', () => this.updateParticleMask());
+        
+        // In-browser inference for topologies that describe a runnable MLP
+        this.runtime = null;
+        this.inferencePanel = new InferencePanel((input, options) => this.runInference(input, options));
+        
+        // Live training on toy datasets, with its own loss curve
+        this.liveTraining = new LiveTraining(this.neuralNetwork, this.particleFlow);
+        this.liveLossOverlay = new LossCurveOverlay(this.liveTraining);
+        this.trainingPanel = new TrainingPanel(this.liveTraining, {
+            onStart: (dataset, options) => this.startTraining(dataset, options),
+            onStop: () => this.stopTraining()
+        });
         
         this.setupEventListeners();
         this.setupStats();
+        this.setupControlPanel();
+        
+        // Optional topology document, e.g. ?topology=topologies/xor-mlp.json
+        const topologyUrl = query.get('topology');
+        if (topologyUrl) {
+            this.loadTopology(topologyUrl).catch((error) => {
+                console.error(`Failed to load topology ${topologyUrl}:`, error);
+            });
+        }
+        
+        // Optional toy dataset to start training on, e.g. ?train=spirals
+        const dataset = query.get('train');
+        if (dataset) {
+            this.startTraining(dataset).catch((error) => {
+                console.error(`Failed to start training on ${dataset}:`, error);
+            });
+        }
+        
+        // Shared scene links, e.g. #scene=<compressed state>
+        this.loadSceneFromHash();
+        window.addEventListener('hashchange', () => this.loadSceneFromHash(), false);
+        
+        // postMessage API for iframe hosts, e.g. ?embedOrigin=https://docs.example.com
+        this.embedBridge = EmbedBridge.fromQuery(this, query);
+        this.embedBridge?.emitReady();
+        
+        // Start animation; deterministic frames wait for frameRenderer
+        if (this.deterministic) {
+            this.renderFrame();
+        } else {
+            this.animate();
+        }
+    }
+    
+    async loadTopology(source) {
+        // Accepts a URL, a JSON string/object or a NetworkTopology instance
+        let topology = source;
+        
+        if (!(source instanceof NetworkTopology)) {
+            let doc = source;
+            
+            if (typeof source === 'string' && !source.trim().startsWith('{')) {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} while fetching ${source}`);
+                }
+                doc = await response.json();
+            }
+            
+            topology = NetworkTopology.fromJSON(doc);
+        }
+        
+        this.playback.unload();
+        this.trainingReplay.unload();
+        this.liveTraining.unload();
+        this.attention.unload();
+        this.setHovered(null);
+        this.selectNode(null);
+        this.neuralNetwork.setTopology(topology);
+        this.layerAggregation.rebuild();
+        this.featureMaps.rebuild();
+        this.particleFlow.setEdgeSignals(null);
+        this.particleFlow.rebuild();
+        this.setupRuntime(topology);
+        
+        return topology;
+    }
+    
+    setupRuntime(topology) {
+        // Not every topology is a weighted feed-forward net; those simply
+        // have no inference panel
+        try {
+            this.runtime = MLPRuntime.fromTopology(topology);
+        } catch (error) {
+            this.runtime = null;
+            console.info(`Inference disabled for "${topology.name}": ${error.message}`);
+        }
+        
+        this.inferencePanel.setRuntime(this.runtime, topology);
+    }
+    
+    runInference(input, { animate = false } = {}) {
+        // Input values as an array in input-layer order or { nodeId: value };
+        // the real forward pass then drives the visualization
+        if (!this.runtime) {
+            throw new Error('The current topology cannot be run as an MLP');
+        }
+        
+        const result = this.runtime.run(input);
+        
+        if (animate) {
+            this.playForwardPass(result.activations);
+        } else {
+            this.setActivations(result.activations);
+        }
+        
+        return result;
+    }
+    
+    setActivations(activations, weights = null) {
+        // Per-node activations (array in topology order or { nodeId: value })
+        // and optional per-edge weights ({ "source->target": w } or array);
+        // null goes back to the idle animation
+        this.playback.unload();
+        this.trainingReplay.unload();
+        this.liveTraining.unload();
+        this.attention.unload();
+        this.neuralNetwork.setActivations(activations, weights);
+        this.particleFlow.setEdgeSignals(activations ? this.neuralNetwork.getEdgeSignals() : null);
+    }
+    
+    async loadWeights(source) {
+        // Trained weights for the loaded topology from a .npy, .npz or
+        // .safetensors checkpoint (URL, File or bytes). Tensors map onto
+        // layers by name, else in order where their shapes fit (see
+        // mapCheckpoint); edges then show them and inference runs on them
+        const tensors = await this.resources.loadWeights(source);
+        const mapping = mapCheckpoint(tensors, this.neuralNetwork.topology);
+        
+        if (!mapping.layers.length) {
+            throw new Error(`None of the ${tensors.size} tensors fit a layer of the loaded network`);
+        }
+        if (mapping.unused.length) {
+            console.warn(`Unused checkpoint tensors: ${mapping.unused.join(', ')}`);
+        }
+        
+        this.playback.unload();
+        this.trainingReplay.unload();
+        this.liveTraining.unload();
+        this.attention.unload();
+        this.neuralNetwork.setParameters(mapping.weights, mapping.biases);
+        this.setupRuntime(this.neuralNetwork.topology);
+        
+        const weights = mapping.weights.map(weight => weight || 0);
+        const max = weights.reduce((m, weight) => Math.max(m, Math.abs(weight)), 1e-6);
+        const edgeWeights = weights.map(weight => weight / max);
+        this.neuralNetwork.setEdgeStyle(edgeWeights);
+        this.particleFlow.setEdgeSignals(Float32Array.from(edgeWeights));
+        
+        return mapping;
+    }
+    
+    setFeatureMaps(maps) {
+        // { layerId: values } of conv activations in height × width ×
+        // channels order, drawn as slices through the layers' volumes;
+        // null removes them
+        this.featureMaps.setFeatureMaps(maps);
+    }
+    
+    playForwardPass(activations, weights = null) {
+        // Same inputs as setActivations, revealed layer by layer
+        this.trainingReplay.unload();
+        this.liveTraining.unload();
+        this.attention.unload();
+        this.playback.load(activations, weights);
+        this.playback.play();
+    }
+    
+    async loadTrainingLog(source) {
+        // URL or parsed document of per-epoch weight/activation snapshots
+        let doc = source;
+        
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} while fetching ${source}`);
+            }
+            doc = await response.json();
+        }
+        
+        this.playback.unload();
+        this.liveTraining.unload();
+        this.attention.unload();
+        this.trainingReplay.load(doc);
+        this.trainingReplay.play();
+    }
+    
+    async loadAttention(source, { tokens = null, topK = 8, minWeight = 0.02 } = {}) {
+        // Attention weights of shape [layers, heads, tokens, tokens] from a
+        // URL, File, NPY bytes, nested arrays or a { tokens, attention }
+        // document (see readAttention). Builds the transformer topology and
+        // steps through its layers and heads
+        const { attention, tokens: docTokens } = await readAttention(source);
+        const { edgeHeads, ...doc } = describeTransformer(attention, {
+            tokens: tokens || docTokens,
+            topK,
+            minWeight
+        });
+        
+        await this.loadTopology(doc);
+        this.attention.load(attention, edgeHeads);
+        this.attention.play();
+    }
+    
+    async startTraining(dataset = 'xor', options = {}) {
+        // Builds a fresh toy MLP and trains it in a worker; see LiveTraining
+        // for the options
+        const { layerSizes = [2, 8, 8, 1], hiddenActivation = 'relu' } = options;
+        
+        await this.loadTopology(describeMLP(layerSizes, { hiddenActivation, name: `Toy MLP (${dataset})` }));
+        
+        // Inference would fight the training display for the same nodes
+        this.inferencePanel.setRuntime(null);
+        
+        this.liveTraining.load({ ...options, dataset, layerSizes, hiddenActivation });
+        this.liveTraining.play();
+    }
+    
+    stopTraining() {
+        // Keeps the trained weights, so the network can be probed afterwards
+        this.liveTraining.unload();
+        this.setupRuntime(this.neuralNetwork.topology);
+    }
+    
+    getSceneState() {
+        // Everything needed to reproduce the current look; see SceneState
+        return {
+            format: SceneState.FORMAT,
+            version: SceneState.VERSION,
+            // Quality belongs to the device, not the scene
+            params: { ...this.params, quality: undefined },
+            camera: {
+                position: this.camera.position.toArray(),
+                target: this.controls.target.toArray()
+            },
+            topology: this.neuralNetwork.topology.toJSON(),
+            // Built-in themes are known by name; custom ones travel along
+            theme: isBuiltInTheme(this.params.theme) ? undefined : this.themeManager.toJSON()
+        };
+    }
+    
+    async setSceneState(json) {
+        const state = SceneState.validate(json);
+        
+        if (state.topology) {
+            await this.loadTopology(state.topology);
+        }
+        
+        if (state.theme && !isBuiltInTheme(state.theme.name)) {
+            this.registerTheme(state.theme.name, state.theme.palette);
+        }
+        
+        if (state.params) {
+            // Jump straight to the saved layout and theme rather than
+            // animating to them
+            const { layout, theme, ...params } = this.sanitizeParams(state.params);
+            if (layout) this.setLayout(this.resolveChoice('layout', layout), {}, 0);
+            if (theme) this.setTheme(this.resolveChoice('theme', theme), 0);
+            this.updateParams(params);
+        }
         
-        // Start animation
-        this.animate();
+        if (state.camera) {
+            this.setCamera(state.camera, 0);
+        }
+    }
+    
+    downloadSceneState(filename = 'scene.json') {
+        const blob = new Blob([JSON.stringify(this.getSceneState(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    async getShareUrl() {
+        // Current page URL with the scene state compressed into the hash
+        const url = new URL(window.location.href);
+        url.hash = await SceneState.toHash(this.getSceneState());
+        return url.toString();
+    }
+    
+    async loadSceneFromHash() {
+        try {
+            const state = await SceneState.fromHash(window.location.hash);
+            if (state) await this.setSceneState(state);
+        } catch (error) {
+            console.error('Failed to load the scene from the URL:', error);
+        }
+    }
+    
+    pulseNodes(ids) {
+        // Pulses the nodes with the given ids; returns the ids that exist
+        return ids.filter(id => {
+            const node = this.neuralNetwork.getNodeById(id);
+            if (!node) return false;
+            
+            this.neuralNetwork.pulseNode(node);
+            this.particleFlow.triggerBurst(node.getWorldPosition(new THREE.Vector3()));
+            return true;
+        });
+    }
+    
+    setCamera({ position, target } = {}, duration = 1) {
+        // Moves the camera and/or OrbitControls target ([x, y, z] or Vector3)
+        const toVector = (value, fallback) => {
+            if (!value) return fallback.clone();
+            return Array.isArray(value) ? new THREE.Vector3().fromArray(value) : new THREE.Vector3().copy(value);
+        };
+        
+        const endPosition = toVector(position, this.camera.position);
+        const endTarget = toVector(target, this.controls.target);
+        
+        if (!(duration > 0)) {
+            this.camera.position.copy(endPosition);
+            this.controls.target.copy(endTarget);
+            this.cameraTween = null;
+            return;
+        }
+        
+        this.cameraTween = {
+            startPosition: this.camera.position.clone(),
+            startTarget: this.controls.target.clone(),
+            endPosition,
+            endTarget,
+            elapsed: 0,
+            duration
+        };
+    }
+    
+    updateCameraTween(deltaTime) {
+        const tween = this.cameraTween;
+        if (!tween) return;
+        
+        tween.elapsed += deltaTime;
+        const t = Math.min(tween.elapsed / tween.duration, 1);
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+        
+        this.camera.position.lerpVectors(tween.startPosition, tween.endPosition, eased);
+        this.controls.target.lerpVectors(tween.startTarget, tween.endTarget, eased);
+        
+        if (t >= 1) this.cameraTween = null;
+    }
+    
+    pause() {
+        // Freezes the animation; the camera can still be moved
+        if (this.paused) return;
+        
+        this.paused = true;
+        this.autoRotateBeforePause = this.controls.autoRotate;
+        this.controls.autoRotate = false;
+    }
+    
+    resume() {
+        if (!this.paused) return;
+        
+        this.paused = false;
+        this.controls.autoRotate = this.autoRotateBeforePause;
+    }
+    
+    getActivePlayback() {
+        if (this.attention.loaded) return this.attention;
+        if (this.trainingReplay.loaded) return this.trainingReplay;
+        if (this.playback.loaded) return this.playback;
+        return null;
+    }
+    
+    setLayout(name, options = {}, duration = 1.5) {
+        // Animates nodes, edges and particle paths to the new layout
+        this.neuralNetwork.setLayout(createLayout(name, options), duration);
+        this.params.layout = name;
+        this.controlPanel?.refresh();
+    }
+    
+    setTheme(name, duration = 1) {
+        // Cross-fades every themed colour to the named palette
+        this.themeManager.setTheme(name, duration);
+        this.params.theme = name;
+        this.controlPanel?.refresh();
+    }
+    
+    registerTheme(name, palette, base = 'light') {
+        // Custom brand palette; switch to it with setTheme(name)
+        registerTheme(name, palette, base);
+        this.controlPanel?.setThemeOptions(getThemeNames());
+    }
+    
+    applyTheme(settled = false) {
+        const theme = this.themeManager;
+        const { colors } = theme;
+        
+        this.scene.background.copy(colors.background);
+        this.scene.fog.color.copy(colors.fog);
+        
+        this.environmentManager.applyTheme(theme, settled);
+        if (settled) this.neuralNetwork.setupGlassMaterial();
+        this.neuralNetwork.applyTheme(theme);
+        this.volumetricClouds.applyTheme(theme);
+        this.particleFlow.applyTheme(theme);
+        this.nodeHighlight.applyTheme(theme);
+        this.layerAggregation.applyTheme(theme);
+        this.featureMaps.applyTheme(theme);
+        
+        // HTML overlays read these custom properties (see main.css)
+        const style = document.documentElement.style;
+        style.setProperty('--viz-page', theme.getStyle('page'));
+        style.setProperty('--viz-panel', theme.getStyle('panel', 0.85));
+        style.setProperty('--viz-text', theme.getStyle('text'));
+        style.setProperty('--viz-accent', theme.getStyle('accent'));
+        style.setProperty('--viz-accent-hover', theme.getStyle('accentHover'));
+    }
+    
+    sanitizeParams(params) {
+        // Params from share links, preset files and embedding hosts: known
+        // keys only, each with its default's type, numbers clamped to the
+        // panel's ranges
+        const clean = {};
+        
+        Object.entries(params).forEach(([key, value]) => {
+            const fallback = this.defaultParams[key];
+            if (fallback === undefined || typeof value !== typeof fallback ||
+                (typeof value === 'number' && !Number.isFinite(value))) {
+                console.warn(`Ignoring param ${key}: ${JSON.stringify(value)}`);
+                return;
+            }
+            
+            const range = getParamRange(key);
+            clean[key] = range ? THREE.MathUtils.clamp(value, range.min, range.max) : value;
+        });
+        
+        return clean;
+    }
+    
+    getParamChoices(key) {
+        // Allowed values of a param that names something, or null
+        switch (key) {
+            case 'layout': return getLayoutNames();
+            case 'theme': return getThemeNames();
+            case 'quality': return ['auto', ...QUALITY_TIERS.map(tier => tier.name)];
+            default: return null;
+        }
+    }
+    
+    resolveChoice(key, value) {
+        // The value if it is one of the param's choices, else its default
+        const choices = this.getParamChoices(key);
+        if (!choices || choices.includes(value)) return value;
+        
+        console.warn(`Unknown ${key} "${value}" (available: ${choices.join(', ')}); using "${this.defaultParams[key]}"`);
+        return this.defaultParams[key];
+    }
+    
+    updateParams(changes = {}) {
+        // Merges changes into params and pushes them into the renderer,
+        // post-processing and every component. Unknown layout, theme or
+        // quality names fall back to their defaults
+        changes = Object.fromEntries(Object.entries(changes).map(([key, value]) => [key, this.resolveChoice(key, value)]));
+        Object.assign(this.params, changes);
+        
+        if (changes.layout !== undefined) {
+            this.setLayout(changes.layout);
+        }
+        if (changes.theme !== undefined) {
+            this.setTheme(changes.theme);
+        }
+        if (changes.focusHops !== undefined) {
+            this.updateFocus();
+        }
+        if (changes.quality !== undefined) {
+            this.setQuality(changes.quality);
+        }
+        
+        this.renderer.toneMappingExposure = this.params.exposure;
+        this.bloomPass.strength = this.params.bloomStrength;
+        this.bloomPass.threshold = this.params.bloomThreshold;
+        this.bloomPass.radius = this.params.bloomRadius;
+        this.controls.autoRotateSpeed = this.params.rotationSpeed;
+        
+        this.neuralNetwork.updateParams(this.params);
+        this.volumetricClouds.updateParams(this.params);
+        this.particleFlow.updateParams(this.params);
+        this.layerAggregation.updateParams(this.params);
+        this.featureMaps.updateParams(this.params);
+        
+        this.controlPanel?.refresh();
+    }
+    
+    async importModel(source, options = {}) {
+        // Accepts a URL, a File, raw ONNX bytes or an already parsed model JSON
+        let data = source;
+        const name = typeof source === 'string' ? source : source.name || '';
+        const binary = /\.onnx$/i.test(name);
+        
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} while fetching ${source}`);
+            }
+            data = binary ? await response.arrayBuffer() : await response.json();
+        } else if (source instanceof Blob) {
+            data = binary ? await source.arrayBuffer() : JSON.parse(await source.text());
+        }
+        
+        return this.loadTopology(ModelImporter.import(data, options));
     }
     
     setupRenderer() {
@@ -80,8 +725,9 @@ class NeuralNetworkVisualization {
     
     setupScene() {
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0xf0f0f0); // Light grey like reference
-        this.scene.fog = new THREE.FogExp2(0xf0f0f0, 0.002);
+        // Colours come from the theme (see applyTheme)
+        this.scene.background = new THREE.Color();
+        this.scene.fog = new THREE.FogExp2(0xffffff, 0.002);
     }
     
     setupCamera() {
@@ -109,6 +755,7 @@ class NeuralNetworkVisualization {
         keyLight.shadow.camera.top = 20;
         keyLight.shadow.camera.bottom = -20;
         this.scene.add(keyLight);
+        this.keyLight = keyLight;
         
         // Fill light - cool blue
         const fillLight = new THREE.DirectionalLight(0x4488ff, 0.5);
@@ -119,9 +766,6 @@ class NeuralNetworkVisualization {
         const rimLight = new THREE.DirectionalLight(0xffffff, 0.8);
         rimLight.position.set(0, -10, -10);
         this.scene.add(rimLight);
-        
-        // Point lights for glowing nodes
-        this.nodeLights = [];
     }
     
     setupControls() {
@@ -133,6 +777,9 @@ class NeuralNetworkVisualization {
         this.controls.maxPolarAngle = Math.PI * 0.9;
         this.controls.autoRotate = true;
         this.controls.autoRotateSpeed = this.params.rotationSpeed;
+        
+        // One finger orbits, two pinch to zoom and pan
+        this.controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
     }
     
     setupPostProcessing() {
@@ -147,7 +794,7 @@ class NeuralNetworkVisualization {
         );
         
         // SMAA for antialiasing
-        const smaaPass = new SMAAPass(
+        this.smaaPass = new SMAAPass(
             window.innerWidth * this.renderer.getPixelRatio(),
             window.innerHeight * this.renderer.getPixelRatio()
         );
@@ -155,13 +802,121 @@ class NeuralNetworkVisualization {
         this.composer = new EffectComposer(this.renderer);
         this.composer.addPass(renderScene);
         this.composer.addPass(this.bloomPass);
-        this.composer.addPass(smaaPass);
+        this.composer.addPass(this.smaaPass);
+    }
+    
+    setQuality(quality) {
+        // 'auto' or a tier name from QUALITY_TIERS. A fixed timestep says
+        // nothing about the frame rate, so deterministic renders take the
+        // best tier instead of adapting
+        if (quality === 'auto' && this.deterministic) {
+            quality = QUALITY_TIERS[QUALITY_TIERS.length - 1].name;
+        }
+        this.quality.setForcedTier(quality === 'auto' ? null : quality);
+    }
+    
+    getScreenPixelRatio() {
+        return Math.min(window.devicePixelRatio, this.qualitySettings.pixelRatio);
+    }
+    
+    applyQuality(settings) {
+        // Pushes a QUALITY_TIERS entry into the renderer and components
+        this.qualitySettings = settings;
+        
+        const pixelRatio = this.getScreenPixelRatio();
+        if (pixelRatio !== this.renderer.getPixelRatio()) {
+            this.renderer.setPixelRatio(pixelRatio);
+            this.composer.setPixelRatio(pixelRatio);
+        }
+        
+        this.bloomPass.enabled = settings.bloom;
+        this.smaaPass.enabled = settings.smaa;
+        this.resizeBloom();
+        
+        const { shadow } = this.keyLight;
+        if (shadow.mapSize.x !== settings.shadowMapSize) {
+            shadow.mapSize.set(settings.shadowMapSize, settings.shadowMapSize);
+            // Reallocated at the new size on the next render
+            shadow.map?.dispose();
+            shadow.map = null;
+        }
+        
+        this.particleFlow.setCountScale(settings.particleScale);
+        this.volumetricClouds.setDensityScale(settings.cloudScale);
+    }
+    
+    resizeBloom(scale = this.qualitySettings.bloomScale) {
+        // The bloom buffers may run below the drawing buffer's resolution
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.bloomPass.setSize(Math.round(size.x * scale), Math.round(size.y * scale));
+    }
+    
+    setRenderSize(width, height, frameHeight = height) {
+        // Drawing buffer of exactly width x height for exports, which may
+        // be a tile of a frame `frameHeight` pixels tall. Particles and
+        // bloom keep the share of the frame they have on screen
+        const screenHeight = window.innerHeight * this.getScreenPixelRatio();
+        
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        this.composer.setPixelRatio(1);
+        this.composer.setSize(width, height);
+        
+        this.particleFlow.setPixelRatio(frameHeight / screenHeight);
+        this.resizeBloom(Math.min(1, screenHeight * this.qualitySettings.bloomScale / frameHeight));
+    }
+    
+    restoreRenderSize() {
+        // Back to the window after setRenderSize
+        const pixelRatio = this.getScreenPixelRatio();
+        
+        this.camera.clearViewOffset();
+        this.particleFlow.setPixelRatio(1);
+        this.renderer.setPixelRatio(pixelRatio);
+        this.composer.setPixelRatio(pixelRatio);
+        this.onWindowResize();
+        this.renderFrame();
     }
     
     setupEventListeners() {
         window.addEventListener('resize', () => this.onWindowResize(), false);
-        window.addEventListener('mousemove', (e) => this.onMouseMove(e), false);
-        window.addEventListener('click', (e) => this.onMouseClick(e), false);
+        window.addEventListener('keydown', (e) => this.onKeyDown(e), false);
+        
+        // Taps select and long presses show details; drags and pinches
+        // are left to OrbitControls
+        this.gestures = new PointerGestures(this.renderer.domElement);
+        this.gestures.addEventListener('hover', (e) => this.onPointerHover(e));
+        this.gestures.addEventListener('leave', () => { this.pointer = null; });
+        this.gestures.addEventListener('tap', (e) => this.onTap(e));
+        this.gestures.addEventListener('longpress', (e) => this.onLongPress(e));
+        this.gestures.addEventListener('doubletap', (e) => this.onDoubleTap(e));
+        
+        // Drop a topology document or a trained model onto the page
+        window.addEventListener('dragover', (e) => e.preventDefault(), false);
+        window.addEventListener('drop', (e) => this.onFileDrop(e), false);
+    }
+    
+    setupControlPanel() {
+        this.controlPanel = new ControlPanel(this.params, {
+            onChange: (key) => this.updateParams({ [key]: this.params[key] }),
+            actions: [
+                { title: 'Save scene', onClick: () => this.downloadSceneState() },
+                { title: 'Copy share link', onClick: () => this.copyShareUrl() }
+            ]
+        });
+    }
+    
+    async copyShareUrl() {
+        const url = await this.getShareUrl();
+        
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            // Clipboard access can be denied; the link is still usable
+            console.warn('Could not copy the share link:', error);
+        }
+        
+        window.history.replaceState(null, '', url);
     }
     
     setupStats() {
@@ -181,57 +936,369 @@ class NeuralNetworkVisualization {
         this.renderer.setSize(width, height);
         this.composer.setSize(width, height);
         
-        this.bloomPass.resolution.set(width, height);
+        this.resizeBloom();
     }
     
-    onMouseMove(event) {
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    setPointer(x, y) {
+        // Client coordinates to normalized device coordinates over the
+        // canvas, which need not fill the window (e.g. when embedded)
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((x - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((y - rect.top) / rect.height) * 2 + 1;
         
         // Update particle flow with mouse position
-        if (this.particleFlow) {
-            this.particleFlow.updateMousePosition(this.mouse);
+        this.particleFlow.updateMousePosition(this.mouse);
+    }
+    
+    onPointerHover({ x, y }) {
+        this.setPointer(x, y);
+        this.pointer = { x, y };
+    }
+    
+    onKeyDown(event) {
+        // Escape drops the path first, then the selection
+        if (event.code === 'Escape' && this.pathTarget) {
+            this.setPathTarget(null);
+            return;
+        }
+        if (event.code === 'Escape' && this.selectedNode) {
+            this.selectNode(null);
+            return;
+        }
+        if (event.code === 'Escape' && this.featureMaps.selected) {
+            this.featureMaps.selectUnit(null);
+            return;
+        }
+        
+        // Playback shortcuts: space toggles, arrows step
+        const playback = this.getActivePlayback();
+        if (!playback || event.target.closest('input, select, textarea')) return;
+        
+        if (event.code === 'Space') {
+            event.preventDefault();
+            playback.toggle();
+        } else if (event.code === 'ArrowRight') {
+            playback.stepForward();
+        } else if (event.code === 'ArrowLeft') {
+            playback.stepBackward();
         }
     }
     
-    onMouseClick(event) {
+    async onFileDrop(event) {
+        event.preventDefault();
+        
+        const file = event.dataTransfer.files[0];
+        if (!file) return;
+        
+        try {
+            if (/\.(npz|safetensors)$/i.test(file.name) || /\.(weight|kernel|bias)\.npy$/i.test(file.name)) {
+                // Checkpoints, or one layer's tensor named like "fc1.weight.npy"
+                await this.loadWeights(file);
+            } else if (/\.npy$/i.test(file.name)) {
+                // Other NumPy arrays are attention weights
+                await this.loadAttention(file);
+            } else if (/\.json$/i.test(file.name)) {
+                const doc = JSON.parse(await file.text());
+                
+                // Scene states are tagged, topology documents have top-level
+                // layers, training logs have snapshots, attention documents
+                // have attention; anything else is a model
+                if (SceneState.isSceneState(doc)) {
+                    await this.setSceneState(doc);
+                    return;
+                }
+                
+                if (Array.isArray(doc.layers)) {
+                    await this.loadTopology(doc);
+                    return;
+                }
+                
+                if (Array.isArray(doc.snapshots)) {
+                    await this.loadTrainingLog(doc);
+                    return;
+                }
+                
+                if (doc.attention !== undefined) {
+                    await this.loadAttention(doc);
+                    return;
+                }
+                
+                await this.importModel(doc);
+            } else {
+                await this.importModel(file);
+            }
+        } catch (error) {
+            console.error(`Failed to load ${file.name}:`, error);
+        }
+    }
+    
+    pick(x, y) {
+        // Nearest node, collapsed-layer slab or feature-map volume under a
+        // client position
+        this.setPointer(x, y);
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
-        const intersects = this.raycaster.intersectObjects(
-            this.neuralNetwork.getInteractableObjects()
-        );
+        const intersects = this.raycaster.intersectObjects([
+            ...this.neuralNetwork.getInteractableObjects(),
+            ...this.layerAggregation.getInteractableObjects(),
+            ...this.featureMaps.getInteractableObjects()
+        ]);
+        return intersects.length > 0 ? intersects[0] : null;
+    }
+    
+    onTap(event) {
+        // Slabs only answer double taps; a tap on a volume traces the
+        // receptive field of the unit under it, or drops it on a second tap
+        const hit = this.pick(event.x, event.y);
         
-        if (intersects.length > 0) {
-            const point = intersects[0].point;
+        if (hit && hit.object.userData.featureMap) {
+            const unit = this.featureMaps.getUnitAt(hit.object, hit.point);
+            this.featureMaps.selectUnit(this.featureMaps.isSelected(unit) ? null : unit);
+        } else if (hit && !hit.object.userData.aggregate) {
+            const point = hit.point;
+            const node = hit.object;
             this.particleFlow.triggerBurst(point);
-            this.neuralNetwork.pulseNode(intersects[0].object);
+            this.neuralNetwork.pulseNode(node);
+            
+            if (event.shiftKey && this.selectedNode && node !== this.selectedNode) {
+                // Shift+click highlights the paths from the selected node
+                this.setPathTarget(node === this.pathTarget ? null : node);
+            } else {
+                // Clicking the selected node again deselects it. The detail
+                // panel would cover a phone screen, so touch keeps it for
+                // long presses
+                this.selectNode(node === this.selectedNode ? null : node, {
+                    details: event.pointerType !== 'touch'
+                });
+            }
+            
+            if (node.userData.id !== undefined) {
+                const { id, label, layer } = node.userData;
+                window.dispatchEvent(new CustomEvent('nodeClicked', { detail: { id, label, layer } }));
+            }
+        }
+    }
+    
+    onLongPress({ x, y }) {
+        // Touch stand-in for hovering: the tooltip stays on the pressed node
+        // or edge until the next touch, and a node is selected with its
+        // detail panel open
+        this.pointer = { x, y };
+        
+        const hit = this.pick(x, y);
+        if (hit && !hit.object.userData.aggregate) {
+            this.selectNode(hit.object);
+        }
+    }
+    
+    onDoubleTap({ x, y }) {
+        // Double-clicking a slab or volume expands its layer,
+        // double-clicking a node collapses the node's layer; both hold until
+        // the next double-click or setLayerCollapsed(layer, null)
+        const hit = this.pick(x, y);
+        if (!hit) return;
+        
+        const { layerIndex, aggregate } = hit.object.userData;
+        if (aggregate || this.layerAggregation.canCollapse(layerIndex)) {
+            this.setLayerCollapsed(layerIndex, !aggregate);
+        }
+    }
+    
+    setLayerCollapsed(layer, collapsed) {
+        // A layer id or index; true folds it into a slab, false expands it
+        // and null leaves it to the automatic level of detail
+        const { layers } = this.neuralNetwork.topology;
+        const layerIndex = typeof layer === 'number' ? layer : layers.findIndex(({ id }) => id === layer);
+        if (!layers[layerIndex]) {
+            throw new Error(`Unknown layer "${layer}"`);
+        }
+        
+        this.layerAggregation.setCollapsed(layerIndex, collapsed);
+    }
+    
+    selectNode(target, { details = true } = {}) {
+        // A node mesh, a node id or null. The selection stays highlighted
+        // (and its details open, unless `details` is false) until it
+        // changes; returns whether a node is selected
+        const node = typeof target === 'string' ? this.neuralNetwork.getNodeById(target) : target;
+        if ((node || null) !== this.selectedNode) this.pathTarget = null;
+        
+        this.detailsOpen = details;
+        this.selectedNode = node || null;
+        this.nodeHighlight.setSelected(this.selectedNode);
+        this.updateFocus();
+        
+        return this.selectedNode !== null;
+    }
+    
+    setPathTarget(target) {
+        // A node mesh, a node id or null. Highlights the paths between the
+        // selected node and this one; returns whether they are connected
+        const node = typeof target === 'string' ? this.neuralNetwork.getNodeById(target) : target;
+        this.pathTarget = this.selectedNode && node !== this.selectedNode ? node || null : null;
+        this.updateFocus();
+        
+        return this.path !== null;
+    }
+    
+    highlightPath(fromId, toId) {
+        // Selects `fromId` and highlights its paths to `toId`
+        return this.selectNode(fromId) && this.setPathTarget(toId);
+    }
+    
+    updateFocus() {
+        // Dims everything but the selected node's neighbourhood, or the
+        // path to the path target, and keeps particles on what stays lit
+        const { topology } = this.neuralNetwork;
+        const hops = this.params.focusHops;
+        let focus = null;
+        this.path = null;
+        
+        if (this.selectedNode && this.pathTarget) {
+            const from = this.selectedNode.userData.index;
+            const to = this.pathTarget.userData.index;
+            
+            this.path = topology.findPaths(from, to);
+            // Unconnected nodes stay lit on their own
+            focus = this.path || { nodes: new Set([from, to]), edges: new Set() };
+        } else if (this.selectedNode && hops > 0) {
+            focus = topology.getNeighbourhood(this.selectedNode.userData.index, hops);
+        }
+        
+        this.focus = focus;
+        this.neuralNetwork.setFocus(focus);
+        this.updateParticleMask();
+        this.nodeHighlight.setPath(this.path ? this.pathTarget : null, this.path ? this.path.edges : null);
+        this.showDetails();
+    }
+    
+    updateParticleMask() {
+        // Particles only run on edges that are lit, in the current attention
+        // step if there is one, and not folded into a slab
+        let edges = this.focus ? this.focus.edges : null;
+        if (this.attention.loaded) edges = this.attention.maskEdges(edges);
+        this.particleFlow.setEdgeMask(this.layerAggregation.maskEdges(edges));
+    }
+    
+    showDetails() {
+        if (!this.selectedNode || !this.detailsOpen) {
+            this.nodeDetails.hide();
+            return;
+        }
+        
+        const path = this.pathTarget && {
+            label: this.pathTarget.userData.label,
+            direction: this.path ? this.path.direction : null,
+            edgeCount: this.path ? this.path.edges.size : 0
+        };
+        this.nodeDetails.show(this.neuralNetwork.describeNode(this.selectedNode), path);
+    }
+    
+    setHovered(object) {
+        if (object === this.hovered) return;
+        
+        this.hovered = object;
+        this.nodeHighlight.setHovered(object);
+        this.layerAggregation.setHovered(object);
+        this.featureMaps.setHovered(object);
+        this.renderer.domElement.style.cursor = object ? 'pointer' : '';
+        this.showTooltip();
+    }
+    
+    showTooltip() {
+        if (!this.hovered) {
+            this.nodeTooltip.hide();
+        } else if (this.hovered.userData.aggregate) {
+            this.nodeTooltip.showLayer(this.layerAggregation.describeLayer(this.hovered.userData.layerIndex));
+        } else if (this.hovered.userData.startIdx === undefined) {
+            this.nodeTooltip.showNode(this.neuralNetwork.describeNode(this.hovered));
+        } else {
+            this.nodeTooltip.showEdge(this.neuralNetwork.describeEdge(this.hovered));
         }
     }
     
+    updateHover() {
+        // Picked every frame, since the camera and the network move under
+        // a still pointer
+        let hit = null;
+        
+        if (this.pointer) {
+            this.raycaster.setFromCamera(this.mouse, this.camera);
+            const intersects = this.raycaster.intersectObjects([
+                ...this.neuralNetwork.getInteractableObjects({ edges: true }),
+                ...this.layerAggregation.getInteractableObjects(),
+                ...this.featureMaps.getInteractableObjects()
+            ], false);
+            
+            // Nodes and slabs win over the edges running into them
+            hit = intersects.find(({ object }) => object.userData.startIdx === undefined) || intersects[0];
+        }
+        
+        this.setHovered(hit ? hit.object : null);
+        if (this.hovered) this.nodeTooltip.moveTo(this.pointer.x, this.pointer.y);
+    }
+    
+    refreshInspection() {
+        // Activations and weights change during playback and training
+        this.showTooltip();
+        this.showDetails();
+    }
+    
     animate() {
         requestAnimationFrame(() => this.animate());
         
         if (this.stats) this.stats.begin();
         
-        const deltaTime = this.clock.getDelta();
-        const elapsedTime = this.clock.getElapsedTime();
+        const frameDelta = this.clock.getDelta();
+        this.quality.update(frameDelta);
+        this.updateFrame(frameDelta);
+        this.renderFrame();
+        
+        if (this.stats) this.stats.end();
+    }
+    
+    updateFrame(frameDelta) {
+        // One frame of animation; frameRenderer calls this directly in
+        // deterministic mode. Paused scenes keep rendering (the camera may
+        // move) but their clock stands still
+        const deltaTime = this.paused ? 0 : frameDelta;
+        this.elapsedTime += deltaTime;
+        const elapsedTime = this.elapsedTime;
         
         // Update controls
-        this.controls.update();
+        this.updateCameraTween(frameDelta);
+        this.themeManager.update(frameDelta);
+        this.controls.update(frameDelta);
+        this.embedBridge?.update(frameDelta);
         
         // Update components
+        this.playback.update(deltaTime);
+        this.trainingReplay.update(deltaTime);
+        this.attention.update(deltaTime);
         this.neuralNetwork.update(elapsedTime, deltaTime);
+        this.neuralNetwork.updatePulses(frameDelta);
+        this.layerAggregation.update(this.camera, frameDelta);
+        this.featureMaps.update();
         this.volumetricClouds.update(elapsedTime, deltaTime);
         this.particleFlow.update(elapsedTime, deltaTime);
         this.environmentManager.update(elapsedTime);
         
+        // Hover, selection and the panels describing them
+        this.updateHover();
+        this.nodeHighlight.update();
+        this.inspectTimer += frameDelta;
+        if (this.inspectTimer > 0.5) {
+            this.inspectTimer = 0;
+            this.refreshInspection();
+        }
+    }
+    
+    renderFrame() {
         // Update renderer tone mapping
         this.renderer.toneMappingExposure = this.params.exposure;
         
         // Render
         this.composer.render();
-        
-        if (this.stats) this.stats.end();
     }
     
     dispose() {
@@ -239,6 +1306,23 @@ class NeuralNetworkVisualization {
         this.volumetricClouds.dispose();
         this.particleFlow.dispose();
         this.environmentManager.dispose();
+        this.nodeHighlight.dispose();
+        this.featureMaps.dispose();
+        this.layerAggregation.dispose();
+        this.nodeTooltip.dispose();
+        this.nodeDetails.dispose();
+        this.gestures.dispose();
+        this.playbackControls.dispose();
+        this.replayControls.dispose();
+        this.attentionControls.dispose();
+        this.lossOverlay.dispose();
+        this.inferencePanel.dispose();
+        this.liveTraining.unload();
+        this.liveLossOverlay.dispose();
+        this.trainingPanel.dispose();
+        this.controlPanel.dispose();
+        this.embedBridge?.dispose();
+        this.resources.dispose();
         
         this.controls.dispose();
         this.renderer.dispose();
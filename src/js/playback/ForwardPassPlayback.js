@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+
+/**
+ * Animates a forward pass layer by layer: each step lights up the next
+ * layer of NeuralNetworkMesh and sends a particle wave along the edges
+ * feeding it. Time is measured in steps, so `time` 1.5 means halfway
+ * through propagating into layer 1.
+ *
+ * Dispatches 'change' events ({ time, step, playing }) for UI sync.
+ */
+export class ForwardPassPlayback extends THREE.EventDispatcher {
+    constructor(neuralNetwork, particleFlow, { stepDuration = 1 } = {}) {
+        super();
+        
+        this.neuralNetwork = neuralNetwork;
+        this.particleFlow = particleFlow;
+        this.stepDuration = stepDuration;
+        
+        this.loaded = false;
+        this.playing = false;
+        this.speed = 1;
+        this.time = 0;
+        this.currentStep = -1;
+        this.edgesByLayer = [];
+    }
+    
+    get stepCount() {
+        return this.neuralNetwork.topology.layers.length;
+    }
+    
+    get duration() {
+        return this.stepCount;
+    }
+    
+    load(activations, weights = null) {
+        this.neuralNetwork.setActivations(activations, weights);
+        this.signals = this.neuralNetwork.getEdgeSignals();
+        
+        // Group edges by the layer they feed
+        this.edgesByLayer = this.neuralNetwork.topology.layers.map(() => []);
+        this.neuralNetwork.edges.forEach((edge, index) => {
+            const layerIndex = this.neuralNetwork.nodes[edge.userData.endIdx].userData.layerIndex;
+            this.edgesByLayer[layerIndex].push(index);
+        });
+        
+        this.loaded = true;
+        this.currentStep = -1;
+        this.seek(0);
+    }
+    
+    unload() {
+        if (!this.loaded) return;
+        
+        this.pause();
+        this.loaded = false;
+        this.currentStep = -1;
+        this.neuralNetwork.setLayerReveal(null);
+        this.particleFlow.setEdgeSignals(this.neuralNetwork.hasActivations ? this.signals : null);
+        this.emitChange();
+    }
+    
+    play() {
+        if (!this.loaded) return;
+        
+        // Restart when play is pressed at the end
+        if (this.time >= this.duration) {
+            this.currentStep = -1;
+            this.seek(0);
+        }
+        
+        this.playing = true;
+        this.emitChange();
+    }
+    
+    pause() {
+        this.playing = false;
+        this.emitChange();
+    }
+    
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+    
+    stepForward() {
+        this.pause();
+        this.seek(Math.min(Math.floor(this.time) + 1, this.duration));
+    }
+    
+    stepBackward() {
+        this.pause();
+        const target = Number.isInteger(this.time) ? this.time - 1 : Math.floor(this.time);
+        this.seek(Math.max(target, 0));
+    }
+    
+    setSpeed(speed) {
+        this.speed = Math.max(0.05, speed);
+        this.emitChange();
+    }
+    
+    seek(time) {
+        if (!this.loaded) return;
+        
+        this.time = THREE.MathUtils.clamp(time, 0, this.duration);
+        this.applyTime();
+        this.emitChange();
+    }
+    
+    applyTime() {
+        const step = Math.min(Math.floor(this.time), this.stepCount - 1);
+        const fraction = this.time - Math.floor(this.time);
+        
+        // Finished layers are fully lit, the current one fades in
+        const reveal = this.neuralNetwork.topology.layers.map((layer, index) => {
+            if (index < Math.floor(this.time)) return 1;
+            if (index === Math.floor(this.time)) return fraction;
+            return 0;
+        });
+        this.neuralNetwork.setLayerReveal(reveal);
+        
+        if (step !== this.currentStep) {
+            // Ambient particles only on edges the signal already crossed
+            const revealed = this.signals.map((signal, index) => {
+                const edge = this.neuralNetwork.edges[index];
+                const layerIndex = this.neuralNetwork.nodes[edge.userData.endIdx].userData.layerIndex;
+                return layerIndex < step ? signal : 0;
+            });
+            this.particleFlow.setEdgeSignals(revealed);
+            
+            // Moving forward sends a wave into the new layer
+            if (step > this.currentStep && this.time < this.duration) {
+                this.particleFlow.emitAlongEdges(this.edgesByLayer[step], {
+                    travelTime: this.stepDuration / this.speed
+                });
+            }
+            
+            this.currentStep = step;
+        }
+    }
+    
+    update(deltaTime) {
+        if (!this.playing) return;
+        
+        this.time = Math.min(this.time + (deltaTime * this.speed) / this.stepDuration, this.duration);
+        this.applyTime();
+        
+        if (this.time >= this.duration) {
+            this.playing = false;
+        }
+        
+        this.emitChange();
+    }
+    
+    getLabel() {
+        const layers = this.neuralNetwork.topology.layers;
+        const step = Math.min(Math.floor(this.time), layers.length - 1);
+        return `Layer ${step + 1}/${layers.length} · ${layers[step]?.label ?? ''}`;
+    }
+    
+    emitChange() {
+        this.dispatchEvent({
+            type: 'change',
+            time: this.time,
+            step: this.currentStep,
+            playing: this.playing
+        });
+    }
+}
\ No newline at end of file
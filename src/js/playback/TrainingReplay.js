@@ -0,0 +1,199 @@
+import * as THREE from 'three';
+
+/**
+ * Replays logged training snapshots: edge width and colour follow the
+ * weights, node emissive colour follows the activations, interpolated
+ * between epochs. `time` is a fractional snapshot index.
+ *
+ * Snapshot document (or just the array):
+ * {
+ *   "snapshots": [
+ *     { "epoch": 0, "loss": 0.69, "valLoss": 0.71,
+ *       "weights": { "x0->hidden_0": 0.12 }, "activations": { "hidden_0": 0.4 } }
+ *   ]
+ * }
+ * Weights and activations use the same formats as setActivations.
+ *
+ * Dispatches 'change' events ({ time, epoch, loss, playing }) for UI sync.
+ */
+export class TrainingReplay extends THREE.EventDispatcher {
+    constructor(neuralNetwork, particleFlow, { epochsPerSecond = 4 } = {}) {
+        super();
+        
+        this.neuralNetwork = neuralNetwork;
+        this.particleFlow = particleFlow;
+        this.epochsPerSecond = epochsPerSecond;
+        
+        this.loaded = false;
+        this.playing = false;
+        this.speed = 1;
+        this.time = 0;
+        this.snapshots = [];
+        this.currentStep = -1;
+    }
+    
+    get duration() {
+        return Math.max(this.snapshots.length - 1, 0);
+    }
+    
+    load(doc) {
+        const snapshots = Array.isArray(doc) ? doc : doc?.snapshots;
+        
+        if (!Array.isArray(snapshots) || snapshots.length === 0) {
+            throw new Error('Invalid training log: expected a non-empty "snapshots" array');
+        }
+        
+        const mesh = this.neuralNetwork;
+        
+        this.snapshots = snapshots.map((snapshot, index) => ({
+            epoch: snapshot.epoch ?? index,
+            loss: typeof snapshot.loss === 'number' ? snapshot.loss : null,
+            valLoss: typeof snapshot.valLoss === 'number' ? snapshot.valLoss : null,
+            weights: Float32Array.from(mesh.resolveEdgeWeights(snapshot.weights)),
+            activations: snapshot.activations
+                ? Float32Array.from(mesh.resolveNodeValues(snapshot.activations))
+                : null
+        }));
+        
+        // Normalize over the whole run so growth across epochs stays visible
+        this.maxWeight = 1e-6;
+        this.maxActivation = 1e-6;
+        this.snapshots.forEach(({ weights, activations }) => {
+            weights.forEach(w => { this.maxWeight = Math.max(this.maxWeight, Math.abs(w)); });
+            activations?.forEach(a => { this.maxActivation = Math.max(this.maxActivation, Math.abs(a)); });
+        });
+        
+        this.edgeWeights = new Float32Array(mesh.edges.length);
+        this.nodeActivity = new Float32Array(mesh.nodes.length);
+        
+        this.loaded = true;
+        this.currentStep = -1;
+        this.seek(0);
+    }
+    
+    unload() {
+        if (!this.loaded) return;
+        
+        this.pause();
+        this.loaded = false;
+        this.snapshots = [];
+        this.neuralNetwork.resetStyle();
+        this.particleFlow.setEdgeSignals(null);
+        this.emitChange();
+    }
+    
+    play() {
+        if (!this.loaded) return;
+        
+        if (this.time >= this.duration) {
+            this.seek(0);
+        }
+        
+        this.playing = true;
+        this.emitChange();
+    }
+    
+    pause() {
+        this.playing = false;
+        this.emitChange();
+    }
+    
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+    
+    stepForward() {
+        this.pause();
+        this.seek(Math.min(Math.floor(this.time) + 1, this.duration));
+    }
+    
+    stepBackward() {
+        this.pause();
+        const target = Number.isInteger(this.time) ? this.time - 1 : Math.floor(this.time);
+        this.seek(Math.max(target, 0));
+    }
+    
+    setSpeed(speed) {
+        this.speed = Math.max(0.05, speed);
+        this.emitChange();
+    }
+    
+    seek(time) {
+        if (!this.loaded) return;
+        
+        this.time = THREE.MathUtils.clamp(time, 0, this.duration);
+        this.applyTime();
+        this.emitChange();
+    }
+    
+    getSnapshotPair() {
+        const index = Math.min(Math.floor(this.time), this.duration);
+        const next = Math.min(index + 1, this.duration);
+        return [this.snapshots[index], this.snapshots[next], this.time - index];
+    }
+    
+    getLoss() {
+        const [a, b, t] = this.getSnapshotPair();
+        if (a.loss === null || b.loss === null) return a.loss;
+        return THREE.MathUtils.lerp(a.loss, b.loss, t);
+    }
+    
+    getEpoch() {
+        const [a, b, t] = this.getSnapshotPair();
+        return THREE.MathUtils.lerp(a.epoch, b.epoch, t);
+    }
+    
+    applyTime() {
+        const [a, b, t] = this.getSnapshotPair();
+        
+        for (let i = 0; i < this.edgeWeights.length; i++) {
+            this.edgeWeights[i] = THREE.MathUtils.lerp(a.weights[i], b.weights[i], t) / this.maxWeight;
+        }
+        this.neuralNetwork.setEdgeStyle(this.edgeWeights);
+        
+        if (a.activations && b.activations) {
+            for (let i = 0; i < this.nodeActivity.length; i++) {
+                const value = THREE.MathUtils.lerp(a.activations[i], b.activations[i], t);
+                this.nodeActivity[i] = Math.abs(value) / this.maxActivation;
+            }
+            this.neuralNetwork.setNodeActivity(this.nodeActivity);
+        }
+        
+        // Re-weight the particle flow once per epoch rather than every frame
+        const step = Math.round(this.time);
+        if (step !== this.currentStep) {
+            this.particleFlow.setEdgeSignals(Float32Array.from(this.edgeWeights));
+            this.currentStep = step;
+        }
+    }
+    
+    update(deltaTime) {
+        if (!this.playing) return;
+        
+        this.time = Math.min(this.time + deltaTime * this.speed * this.epochsPerSecond, this.duration);
+        this.applyTime();
+        
+        if (this.time >= this.duration) {
+            this.playing = false;
+        }
+        
+        this.emitChange();
+    }
+    
+    getLabel() {
+        const loss = this.getLoss();
+        const epoch = Math.round(this.getEpoch());
+        return loss === null ? `Epoch ${epoch}` : `Epoch ${epoch} · loss ${loss.toFixed(4)}`;
+    }
+    
+    emitChange() {
+        this.dispatchEvent({
+            type: 'change',
+            time: this.time,
+            epoch: this.loaded ? this.getEpoch() : null,
+            loss: this.loaded ? this.getLoss() : null,
+            playing: this.playing
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+import * as THREE from 'three';
+import { getTheme } from './ThemeRegistry.js';
+
+/**
+ * Holds the live colours of the active theme as THREE.Colors and
+ * cross-fades them when the theme changes. Components read `colors` in
+ * their applyTheme(); a 'change' event fires on every step of a fade, and
+ * once more with `settled: true` when it ends, so expensive work (e.g.
+ * re-baking the environment map) can wait for that.
+ */
+export class ThemeManager extends THREE.EventDispatcher {
+    constructor(name = 'light') {
+        super();
+        
+        this.name = name;
+        this.colors = {};
+        this.fade = null;
+        
+        const palette = getTheme(name);
+        Object.keys(palette).forEach(key => {
+            this.colors[key] = new THREE.Color(palette[key]);
+        });
+    }
+    
+    setTheme(name, duration = 1) {
+        const palette = getTheme(name);
+        this.name = name;
+        
+        // A fade already in progress continues from the colours on screen
+        const from = {};
+        const to = {};
+        Object.keys(palette).forEach(key => {
+            from[key] = this.colors[key].clone();
+            to[key] = new THREE.Color(palette[key]);
+        });
+        
+        this.fade = { from, to, duration, elapsed: 0 };
+        
+        if (duration <= 0) this.update(0);
+    }
+    
+    update(deltaTime) {
+        if (!this.fade) return;
+        
+        const fade = this.fade;
+        fade.elapsed += deltaTime;
+        
+        const t = fade.duration > 0 ? Math.min(fade.elapsed / fade.duration, 1) : 1;
+        const eased = t * t * (3 - 2 * t);
+        
+        Object.keys(fade.to).forEach(key => {
+            this.colors[key].copy(fade.from[key]).lerp(fade.to[key], eased);
+        });
+        
+        const settled = t === 1;
+        if (settled) this.fade = null;
+        
+        this.dispatchEvent({ type: 'change', theme: this, settled });
+    }
+    
+    getStyle(key, alpha = 1) {
+        // CSS colour string, e.g. for canvas gradients and stylesheets
+        const { r, g, b } = this.colors[key].clone().convertLinearToSRGB();
+        return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha})`;
+    }
+    
+    toJSON() {
+        // Target palette as hex strings, e.g. for scene presets
+        const palette = {};
+        const colors = this.fade ? this.fade.to : this.colors;
+        Object.keys(colors).forEach(key => {
+            palette[key] = `#${colors[key].getHexString()}`;
+        });
+        return { name: this.name, palette };
+    }
+}
\ No newline at end of file
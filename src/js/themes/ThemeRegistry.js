@@ -0,0 +1,129 @@
+// Every colour the scene and UI read, as sRGB hex numbers. A custom palette
+// only needs the keys it changes; the rest come from its base theme.
+const LIGHT = {
+    background: 0xf0f0f0,
+    fog: 0xf0f0f0,
+    // Backdrop sphere gradient, and the environment map used for reflections
+    backdropBottom: 0xebebeb,
+    backdropTop: 0xfafafa,
+    environmentBottom: 0xcccccc,
+    environmentTop: 0xffffff,
+    frame: 0x222222,
+    wireframe: 0x444444,
+    node: 0xffaa44,
+    nodeEmissive: 0xff8800,
+    // Cold/hot node emissive when colouring nodes by activity
+    nodeIdle: 0x442200,
+    nodeActive: 0xffdd88,
+    edge: 0x888888,
+    // Signal colours: positive contributions warm, negative ones cool
+    positive: 0xffaa44,
+    negative: 0x44aaff,
+    // Particle base colour and the core/middle/rim of its glow sprite
+    particle: 0xf3b959,
+    particleCore: 0xffc864,
+    particleMid: 0xff8800,
+    particleRim: 0xff4400,
+    cloud: 0x0c0c0c,
+    // HTML overlays (panels, timeline, loader)
+    page: 0xf0f0f0,
+    panel: 0xffffff,
+    text: 0x333333,
+    accent: 0xff8844,
+    accentHover: 0xffaa44
+};
+
+const DARK = {
+    ...LIGHT,
+    background: 0x0b0e14,
+    fog: 0x0b0e14,
+    backdropBottom: 0x090b10,
+    backdropTop: 0x161b26,
+    environmentBottom: 0x0a0c10,
+    environmentTop: 0x3a4256,
+    frame: 0x8896b4,
+    wireframe: 0x55607a,
+    edge: 0x5c6678,
+    cloud: 0x56607c,
+    page: 0x0b0e14,
+    panel: 0x1a1f2b,
+    text: 0xe0e4ec
+};
+
+// Pure black/white/yellow, with a yellow/blue signal pair that stays apart
+// for colour-blind viewers
+const HIGH_CONTRAST = {
+    ...LIGHT,
+    background: 0x000000,
+    fog: 0x000000,
+    backdropBottom: 0x000000,
+    backdropTop: 0x000000,
+    environmentBottom: 0x000000,
+    environmentTop: 0xffffff,
+    frame: 0xffffff,
+    wireframe: 0xffffff,
+    node: 0xffff00,
+    nodeEmissive: 0xffcc00,
+    nodeIdle: 0x333300,
+    nodeActive: 0xffffff,
+    edge: 0xbbbbbb,
+    positive: 0xffd700,
+    negative: 0x00bfff,
+    particle: 0xffff66,
+    particleCore: 0xffffff,
+    particleMid: 0xffff00,
+    particleRim: 0xffcc00,
+    cloud: 0x1a1a1a,
+    page: 0x000000,
+    panel: 0x000000,
+    text: 0xffffff,
+    accent: 0xffd700,
+    accentHover: 0xffff00
+};
+
+const BUILT_IN = ['light', 'dark', 'high-contrast'];
+
+const themes = new Map([
+    ['light', LIGHT],
+    ['dark', DARK],
+    ['high-contrast', HIGH_CONTRAST]
+]);
+
+/**
+ * Makes a palette available by name, e.g. for params.theme. Colours may be
+ * hex numbers or CSS strings ('#0055ff'); missing keys come from `base`.
+ */
+export function registerTheme(name, palette, base = 'light') {
+    if (BUILT_IN.includes(name)) {
+        throw new Error(`Cannot replace the built-in theme "${name}"`);
+    }
+    
+    const colors = { ...getTheme(base) };
+    Object.keys(palette).forEach(key => {
+        if (!(key in LIGHT)) {
+            throw new Error(`Unknown theme colour "${key}" (available: ${Object.keys(LIGHT).join(', ')})`);
+        }
+        colors[key] = palette[key];
+    });
+    
+    themes.set(name, colors);
+    return colors;
+}
+
+export function getTheme(name) {
+    const palette = themes.get(name);
+    
+    if (!palette) {
+        throw new Error(`Unknown theme "${name}" (available: ${getThemeNames().join(', ')})`);
+    }
+    
+    return palette;
+}
+
+export function getThemeNames() {
+    return [...themes.keys()];
+}
+
+export function isBuiltInTheme(name) {
+    return BUILT_IN.includes(name);
+}
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { random } from '../utils/Random.js';
+
+// Toy 2-D binary classification sets in the style of TensorFlow Playground.
+// Points lie roughly within [-1, 1] on both axes; labels are 0 or 1.
+
+function gaussian() {
+    // Box-Muller
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+const GENERATORS = {
+    xor(samples, noise) {
+        const points = [];
+        
+        for (let i = 0; i < samples; i++) {
+            let x = random() * 2 - 1;
+            let y = random() * 2 - 1;
+            
+            // Keep a small margin around the axes so the quadrants separate
+            x += x > 0 ? 0.05 : -0.05;
+            y += y > 0 ? 0.05 : -0.05;
+            
+            points.push([
+                x + gaussian() * noise,
+                y + gaussian() * noise,
+                x * y < 0 ? 1 : 0
+            ]);
+        }
+        
+        return points;
+    },
+    
+    spirals(samples, noise) {
+        const points = [];
+        const perClass = Math.floor(samples / 2);
+        
+        for (let label = 0; label < 2; label++) {
+            for (let i = 0; i < perClass; i++) {
+                const r = (i / perClass) * 0.9 + 0.05;
+                const angle = 1.75 * r * 2 * Math.PI + label * Math.PI;
+                
+                points.push([
+                    r * Math.sin(angle) + gaussian() * noise * 0.5,
+                    r * Math.cos(angle) + gaussian() * noise * 0.5,
+                    label
+                ]);
+            }
+        }
+        
+        return points;
+    },
+    
+    moons(samples, noise) {
+        const points = [];
+        const perClass = Math.floor(samples / 2);
+        
+        for (let i = 0; i < perClass; i++) {
+            const angle = Math.PI * (i / perClass);
+            
+            // Upper moon, then the lower one shifted right and down
+            points.push([
+                (Math.cos(angle) - 0.5) * 0.8 + gaussian() * noise,
+                (Math.sin(angle) - 0.25) * 0.8 + gaussian() * noise,
+                0
+            ]);
+            points.push([
+                (0.5 - Math.cos(angle)) * 0.8 + gaussian() * noise,
+                (0.25 - Math.sin(angle)) * 0.8 + gaussian() * noise,
+                1
+            ]);
+        }
+        
+        return points;
+    }
+};
+
+/**
+ * @param {string} name - 'xor', 'spirals' or 'moons'
+ * @returns {{ name: string, inputs: number[][], labels: number[] }}
+ */
+export function createDataset(name, { samples = 200, noise = 0.05 } = {}) {
+    const generate = GENERATORS[name];
+    
+    if (!generate) {
+        throw new Error(`Unknown dataset "${name}" (available: ${getDatasetNames().join(', ')})`);
+    }
+    
+    const points = generate(samples, noise);
+    
+    return {
+        name,
+        inputs: points.map(([x, y]) => [x, y]),
+        labels: points.map(point => point[2])
+    };
+}
+
+export function getDatasetNames() {
+    return Object.keys(GENERATORS);
+}
\ No newline at end of file
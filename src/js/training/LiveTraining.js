@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import { random } from '../utils/Random.js';
+
+/**
+ * Trains the displayed network on a toy dataset in a worker (see
+ * training.worker.js) and pushes every update into the scene: edge style
+ * and forward particle flow follow the weights, node glow follows the mean
+ * activation, and gradients run backwards along the edges as particles.
+ *
+ * The displayed topology must be the one describeMLP(layerSizes) builds,
+ * since weights and gradients arrive as flat arrays in its edge order.
+ *
+ * Exposes the same loss history as TrainingReplay (`snapshots`, `time`,
+ * getLoss(), getLabel()) so LossCurveOverlay can chart it, and dispatches
+ * 'change' events after every update.
+ */
+export class LiveTraining extends THREE.EventDispatcher {
+    constructor(neuralNetwork, particleFlow, { maxHistory = 400 } = {}) {
+        super();
+        
+        this.neuralNetwork = neuralNetwork;
+        this.particleFlow = particleFlow;
+        this.maxHistory = maxHistory;
+        
+        this.worker = null;
+        this.loaded = false;
+        this.playing = false;
+        this.snapshots = [];
+        this.time = 0;
+        this.dataset = null;
+        this.boundary = null;
+        this.last = null;
+    }
+    
+    /**
+     * @param {Object} options
+     * @param {string} options.dataset - 'xor', 'spirals' or 'moons'
+     * @param {number[]} options.layerSizes - e.g. [2, 8, 8, 1]
+     * @param {string} options.hiddenActivation - 'relu', 'tanh' or 'sigmoid'
+     * @param {number} options.learningRate
+     * @param {number} options.batchSize
+     * @param {number} options.samples - Dataset size
+     * @param {number} options.noise - Dataset noise
+     */
+    load({ dataset = 'xor', layerSizes = [2, 8, 8, 1], hiddenActivation = 'relu', learningRate = 0.1, batchSize = 10, samples = 200, noise = 0.05 } = {}) {
+        this.unload();
+        
+        const edgeCount = layerSizes.slice(1).reduce((sum, units, l) => sum + units * layerSizes[l], 0);
+        if (this.neuralNetwork.edges.length !== edgeCount) {
+            throw new Error('Live training needs the topology describeMLP() builds for the same layer sizes');
+        }
+        
+        this.worker = new Worker(new URL('./training.worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this.onMessage(e.data);
+        this.worker.onerror = (e) => {
+            console.error('Training worker failed:', e.message);
+            this.pause();
+        };
+        
+        this.worker.postMessage({
+            type: 'init',
+            dataset,
+            layerSizes,
+            options: { hiddenActivation, learningRate, batchSize },
+            datasetOptions: { samples, noise },
+            // From the app's generator, so a seeded render trains the same
+            // dataset from the same weights
+            seed: Math.floor(random() * 0x100000000)
+        });
+        
+        this.learningRate = learningRate;
+        this.snapshots = [];
+        this.time = 0;
+        this.dataset = null;
+        this.boundary = null;
+        this.last = null;
+        this.loaded = true;
+        this.emitChange();
+    }
+    
+    unload() {
+        if (!this.loaded) return;
+        
+        this.worker.terminate();
+        this.worker = null;
+        this.loaded = false;
+        this.playing = false;
+        this.snapshots = [];
+        this.neuralNetwork.resetStyle();
+        this.particleFlow.setEdgeSignals(null);
+        this.particleFlow.setGradientSignals(null);
+        this.emitChange();
+    }
+    
+    play() {
+        if (!this.loaded) return;
+        
+        this.worker.postMessage({ type: 'play' });
+        this.playing = true;
+        this.emitChange();
+    }
+    
+    pause() {
+        this.worker?.postMessage({ type: 'pause' });
+        this.playing = false;
+        this.emitChange();
+    }
+    
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+    
+    stepForward() {
+        // A single epoch
+        if (!this.loaded) return;
+        
+        this.pause();
+        this.worker.postMessage({ type: 'step' });
+    }
+    
+    setLearningRate(learningRate) {
+        this.learningRate = learningRate;
+        this.worker?.postMessage({ type: 'setLearningRate', learningRate });
+    }
+    
+    onMessage(message) {
+        if (message.type === 'dataset') {
+            this.dataset = { name: message.name, inputs: message.inputs, labels: message.labels };
+        } else if (message.type === 'update') {
+            this.applyUpdate(message);
+        } else if (message.type === 'error') {
+            console.error('Training failed:', message.message);
+            this.playing = false;
+        }
+        
+        this.emitChange();
+    }
+    
+    applyUpdate({ epoch, loss, accuracy, weights, gradients, biases, activity, boundary }) {
+        const mesh = this.neuralNetwork;
+        const normalize = (values) => {
+            const max = values.reduce((m, v) => Math.max(m, Math.abs(v)), 1e-6);
+            return values.map(v => v / max);
+        };
+        
+        mesh.setParameters(weights, biases);
+        
+        const edgeWeights = normalize(weights);
+        mesh.setEdgeStyle(edgeWeights);
+        mesh.setNodeActivity(normalize(activity));
+        this.particleFlow.setEdgeSignals(edgeWeights);
+        
+        // Before the first epoch there are no gradients yet
+        this.particleFlow.setGradientSignals(epoch > 0 ? normalize(gradients) : null);
+        
+        this.boundary = boundary;
+        this.last = { epoch, loss, accuracy };
+        
+        if (loss !== null) {
+            this.snapshots.push({ epoch, loss, valLoss: null });
+            
+            // Halve the history when it gets long so the chart keeps its shape
+            if (this.snapshots.length > this.maxHistory) {
+                this.snapshots = this.snapshots.filter((_, i) => i % 2 === 0);
+            }
+        }
+        
+        this.time = Math.max(this.snapshots.length - 1, 0);
+    }
+    
+    getLoss() {
+        return this.last?.loss ?? null;
+    }
+    
+    getEpoch() {
+        return this.last?.epoch ?? 0;
+    }
+    
+    getLabel() {
+        if (!this.last || this.last.loss === null) return 'Epoch 0';
+        
+        const { epoch, loss, accuracy } = this.last;
+        return `Epoch ${epoch} · loss ${loss.toFixed(4)} · acc ${(accuracy * 100).toFixed(1)}%`;
+    }
+    
+    emitChange() {
+        this.dispatchEvent({
+            type: 'change',
+            epoch: this.getEpoch(),
+            loss: this.getLoss(),
+            playing: this.playing
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,286 @@
+import { Tensor } from '../inference/Tensor.js';
+import { getActivation, getActivationDerivative } from '../inference/Activations.js';
+import { random } from '../utils/Random.js';
+
+/**
+ * Topology document for a dense binary classifier with the given layer
+ * sizes (e.g. [2, 8, 8, 1]). Edges are listed layer by layer, source-major,
+ * which is the order Trainer.getWeights() and getGradients() use.
+ */
+export function describeMLP(layerSizes, { hiddenActivation = 'relu', name = 'Toy MLP' } = {}) {
+    const last = layerSizes.length - 1;
+    
+    const layers = layerSizes.map((units, l) => {
+        if (l === 0) {
+            return {
+                id: 'input',
+                label: 'Input',
+                activation: 'linear',
+                nodes: Array.from({ length: units }, (_, i) => ({ id: `x${i}`, label: `x${i}` }))
+            };
+        }
+        if (l === last) {
+            return {
+                id: 'output',
+                label: 'Output (sigmoid)',
+                activation: 'sigmoid',
+                nodes: Array.from({ length: units }, (_, i) => (units === 1 ? 'y' : `y${i}`))
+            };
+        }
+        return { id: `hidden${l}`, label: `Hidden ${l} (${hiddenActivation})`, activation: hiddenActivation, units };
+    });
+    
+    const nodeIds = layers.map((layer, l) => {
+        if (layer.nodes) return layer.nodes.map(node => node.id || node);
+        return Array.from({ length: layerSizes[l] }, (_, i) => `${layer.id}_${i}`);
+    });
+    
+    const edges = [];
+    for (let l = 1; l <= last; l++) {
+        nodeIds[l - 1].forEach(source => {
+            nodeIds[l].forEach(target => edges.push({ source, target }));
+        });
+    }
+    
+    return { name, layers, edges };
+}
+
+/**
+ * Mini-batch SGD for the networks describeMLP() builds: configurable
+ * hidden activation, sigmoid output and binary cross-entropy loss. Plain
+ * loops over Tensors so it runs anywhere, including a worker.
+ */
+export class Trainer {
+    constructor(layerSizes, { hiddenActivation = 'relu', learningRate = 0.1, batchSize = 10 } = {}) {
+        this.layerSizes = layerSizes.slice();
+        this.learningRate = learningRate;
+        this.batchSize = batchSize;
+        this.epoch = 0;
+        this.dataset = null;
+        
+        const last = layerSizes.length - 1;
+        this.activationNames = layerSizes.map((_, l) => (l === 0 ? 'linear' : l === last ? 'sigmoid' : hiddenActivation));
+        this.activations = this.activationNames.map(getActivation);
+        this.derivatives = this.activationNames.map((name, l) => (l === 0 || l === last ? null : getActivationDerivative(name)));
+        
+        this.weights = [null];
+        this.biases = [null];
+        this.weightGrads = [null];
+        this.biasGrads = [null];
+        this.epochWeightGrads = [null];
+        
+        for (let l = 1; l <= last; l++) {
+            const shape = [layerSizes[l], layerSizes[l - 1]];
+            // Xavier/Glorot uniform
+            const limit = Math.sqrt(6 / (layerSizes[l] + layerSizes[l - 1]));
+            
+            this.weights.push(Tensor.zeros(shape).map(() => (random() * 2 - 1) * limit));
+            this.biases.push(Tensor.zeros([layerSizes[l]]).map(() => 0.01));
+            this.weightGrads.push(Tensor.zeros(shape));
+            this.biasGrads.push(Tensor.zeros([layerSizes[l]]));
+            this.epochWeightGrads.push(Tensor.zeros(shape));
+        }
+        
+        this.outputs = layerSizes.map(units => Tensor.zeros([units]));
+        this.deltas = layerSizes.map(units => Tensor.zeros([units]));
+        this.nodeCount = layerSizes.reduce((sum, units) => sum + units, 0);
+        this.nodeActivity = new Float32Array(this.nodeCount);
+    }
+    
+    setDataset(dataset) {
+        this.dataset = dataset;
+        this.order = dataset.inputs.map((_, i) => i);
+    }
+    
+    setLearningRate(learningRate) {
+        this.learningRate = learningRate;
+    }
+    
+    forward(input) {
+        this.outputs[0].data.set(input);
+        
+        for (let l = 1; l < this.layerSizes.length; l++) {
+            this.weights[l].matVec(this.outputs[l - 1], this.outputs[l]).add(this.biases[l]);
+            this.activations[l](this.outputs[l]);
+        }
+        
+        return this.outputs[this.outputs.length - 1].data[0];
+    }
+    
+    backward(label) {
+        const last = this.layerSizes.length - 1;
+        
+        // Sigmoid + cross-entropy: dL/dz = y - t
+        this.deltas[last].data[0] = this.outputs[last].data[0] - label;
+        
+        for (let l = last; l >= 1; l--) {
+            const delta = this.deltas[l].data;
+            const previous = this.outputs[l - 1].data;
+            const [rows, cols] = this.weights[l].shape;
+            const weights = this.weights[l].data;
+            const grads = this.weightGrads[l].data;
+            
+            for (let r = 0; r < rows; r++) {
+                this.biasGrads[l].data[r] += delta[r];
+                for (let c = 0; c < cols; c++) {
+                    grads[r * cols + c] += delta[r] * previous[c];
+                }
+            }
+            
+            if (l === 1) break;
+            
+            // Propagate through the weights and the hidden activation
+            const derivative = this.derivatives[l - 1];
+            for (let c = 0; c < cols; c++) {
+                let sum = 0;
+                for (let r = 0; r < rows; r++) {
+                    sum += weights[r * cols + c] * delta[r];
+                }
+                this.deltas[l - 1].data[c] = sum * derivative(previous[c]);
+            }
+        }
+    }
+    
+    /**
+     * One pass over the shuffled dataset. Gradients of the epoch are kept
+     * (averaged per batch) for getGradients().
+     */
+    step() {
+        if (!this.dataset) {
+            throw new Error('Trainer has no dataset');
+        }
+        
+        const { inputs, labels } = this.dataset;
+        const order = this.order;
+        let loss = 0;
+        let correct = 0;
+        let batches = 0;
+        
+        // Fisher-Yates shuffle
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        
+        this.epochWeightGrads.forEach(grads => grads?.data.fill(0));
+        this.nodeActivity.fill(0);
+        
+        for (let start = 0; start < order.length; start += this.batchSize) {
+            const end = Math.min(start + this.batchSize, order.length);
+            
+            this.weightGrads.forEach(grads => grads?.data.fill(0));
+            this.biasGrads.forEach(grads => grads?.data.fill(0));
+            
+            for (let k = start; k < end; k++) {
+                const index = order[k];
+                const label = labels[index];
+                const y = Math.min(Math.max(this.forward(inputs[index]), 1e-7), 1 - 1e-7);
+                
+                loss -= label * Math.log(y) + (1 - label) * Math.log(1 - y);
+                if ((y >= 0.5 ? 1 : 0) === label) correct++;
+                
+                this.accumulateActivity();
+                this.backward(label);
+            }
+            
+            const scale = this.learningRate / (end - start);
+            
+            for (let l = 1; l < this.layerSizes.length; l++) {
+                const weights = this.weights[l].data;
+                const grads = this.weightGrads[l].data;
+                const epochGrads = this.epochWeightGrads[l].data;
+                
+                for (let i = 0; i < weights.length; i++) {
+                    weights[i] -= scale * grads[i];
+                    epochGrads[i] += grads[i] / (end - start);
+                }
+                for (let i = 0; i < this.biases[l].size; i++) {
+                    this.biases[l].data[i] -= scale * this.biasGrads[l].data[i];
+                }
+            }
+            
+            batches++;
+        }
+        
+        this.epochWeightGrads.forEach(grads => grads?.map(g => g / batches));
+        this.nodeActivity.forEach((value, i) => { this.nodeActivity[i] = value / order.length; });
+        this.epoch++;
+        
+        return {
+            epoch: this.epoch,
+            loss: loss / order.length,
+            accuracy: correct / order.length
+        };
+    }
+    
+    accumulateActivity() {
+        let offset = 0;
+        
+        this.outputs.forEach(output => {
+            for (let i = 0; i < output.size; i++) {
+                this.nodeActivity[offset + i] += Math.abs(output.data[i]);
+            }
+            offset += output.size;
+        });
+    }
+    
+    /**
+     * Predictions over a resolution × resolution grid spanning
+     * [-extent, extent] on both axes, row by row from the top.
+     */
+    predictGrid(resolution = 32, extent = 1.2) {
+        const grid = new Float32Array(resolution * resolution);
+        const point = [0, 0];
+        
+        for (let row = 0; row < resolution; row++) {
+            point[1] = extent - (row / (resolution - 1)) * extent * 2;
+            for (let col = 0; col < resolution; col++) {
+                point[0] = -extent + (col / (resolution - 1)) * extent * 2;
+                grid[row * resolution + col] = this.forward(point);
+            }
+        }
+        
+        return grid;
+    }
+    
+    flatten(tensors) {
+        // Source-major per layer, matching describeMLP's edge order
+        const values = [];
+        
+        for (let l = 1; l < tensors.length; l++) {
+            const [rows, cols] = tensors[l].shape;
+            for (let c = 0; c < cols; c++) {
+                for (let r = 0; r < rows; r++) {
+                    values.push(tensors[l].data[r * cols + c]);
+                }
+            }
+        }
+        
+        return Float32Array.from(values);
+    }
+    
+    getWeights() {
+        return this.flatten(this.weights);
+    }
+    
+    getGradients() {
+        return this.flatten(this.epochWeightGrads);
+    }
+    
+    getBiases() {
+        // Per node in topology order, 0 for the inputs
+        const biases = new Float32Array(this.nodeCount);
+        let offset = this.layerSizes[0];
+        
+        for (let l = 1; l < this.layerSizes.length; l++) {
+            biases.set(this.biases[l].data, offset);
+            offset += this.layerSizes[l];
+        }
+        
+        return biases;
+    }
+    
+    getNodeActivity() {
+        return this.nodeActivity.slice();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,87 @@
+import { Trainer } from './Trainer.js';
+import { createDataset } from './Datasets.js';
+import { setRandomSeed } from '../utils/Random.js';
+
+// Runs Trainer off the main thread. Messages in:
+//   { type: 'init', layerSizes, dataset, options, datasetOptions, seed }
+//   { type: 'play' } / { type: 'pause' } / { type: 'step' }
+//   { type: 'setLearningRate', learningRate }
+// Messages out: { type: 'dataset', inputs, labels } once after init, then
+// { type: 'update', epoch, loss, accuracy, weights, gradients, biases,
+//   activity, boundary } after every batch of epochs.
+
+const UPDATE_INTERVAL = 50;
+const EPOCHS_PER_UPDATE = 5;
+const BOUNDARY_RESOLUTION = 32;
+
+let trainer = null;
+let timer = null;
+let last = null;
+
+function postUpdate() {
+    const weights = trainer.getWeights();
+    const gradients = trainer.getGradients();
+    const biases = trainer.getBiases();
+    const activity = trainer.getNodeActivity();
+    const boundary = trainer.predictGrid(BOUNDARY_RESOLUTION);
+    
+    self.postMessage({
+        type: 'update',
+        ...last,
+        weights,
+        gradients,
+        biases,
+        activity,
+        boundary
+    }, [weights.buffer, gradients.buffer, biases.buffer, activity.buffer, boundary.buffer]);
+}
+
+function train(epochs) {
+    for (let i = 0; i < epochs; i++) {
+        last = trainer.step();
+    }
+    postUpdate();
+}
+
+function pause() {
+    clearInterval(timer);
+    timer = null;
+}
+
+self.onmessage = ({ data }) => {
+    try {
+        switch (data.type) {
+            case 'init': {
+                pause();
+                setRandomSeed(data.seed);
+                const dataset = createDataset(data.dataset, data.datasetOptions);
+                trainer = new Trainer(data.layerSizes, data.options);
+                trainer.setDataset(dataset);
+                last = { epoch: 0, loss: null, accuracy: null };
+                
+                self.postMessage({ type: 'dataset', name: dataset.name, inputs: dataset.inputs, labels: dataset.labels });
+                postUpdate();
+                break;
+            }
+            case 'play':
+                if (trainer && !timer) {
+                    timer = setInterval(() => train(EPOCHS_PER_UPDATE), UPDATE_INTERVAL);
+                }
+                break;
+            case 'pause':
+                pause();
+                break;
+            case 'step':
+                if (trainer) train(1);
+                break;
+            case 'setLearningRate':
+                trainer?.setLearningRate(data.learningRate);
+                break;
+            default:
+                console.warn(`Unknown training worker message "${data.type}"`);
+        }
+    } catch (error) {
+        pause();
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
\ No newline at end of file
@@ -0,0 +1,128 @@
+import { Pane } from 'tweakpane';
+import { getLayoutNames } from '../layouts/LayoutRegistry.js';
+import { getThemeNames } from '../themes/ThemeRegistry.js';
+import { QUALITY_TIERS } from '../utils/Performance.js';
+
+// Folder layout of the pane: [param key, Tweakpane binding options]
+const FOLDERS = [
+    { title: 'Rendering', bindings: [
+        ['exposure', { min: 0.1, max: 3, step: 0.05 }],
+        ['quality', { options: Object.fromEntries(['auto', ...QUALITY_TIERS.map(tier => tier.name)].map(name => [name, name])) }]
+    ] },
+    { title: 'Bloom', bindings: [
+        ['bloomStrength', { label: 'strength', min: 0, max: 3, step: 0.05 }],
+        ['bloomThreshold', { label: 'threshold', min: 0, max: 1, step: 0.01 }],
+        ['bloomRadius', { label: 'radius', min: 0, max: 1, step: 0.01 }]
+    ] },
+    { title: 'Particles', bindings: [
+        ['particleCount', { label: 'count', min: 1000, max: 300000, step: 1000 }],
+        ['particleSpeed', { label: 'speed', min: 0, max: 2, step: 0.05 }]
+    ] },
+    { title: 'Clouds', bindings: [
+        ['cloudDensity', { label: 'density', min: 0, max: 1, step: 0.01 }],
+        ['cloudOpacity', { label: 'opacity', min: 0, max: 1, step: 0.01 }]
+    ] },
+    { title: 'Motion', bindings: [
+        ['rotationSpeed', { label: 'rotation', min: 0, max: 2, step: 0.01 }]
+    ] },
+    { title: 'Glass', bindings: [
+        ['glassRoughness', { label: 'roughness', min: 0, max: 1, step: 0.01 }],
+        ['glassTransmission', { label: 'transmission', min: 0, max: 1, step: 0.01 }],
+        ['glassThickness', { label: 'thickness', min: 0, max: 5, step: 0.05 }],
+        ['glassIOR', { label: 'IOR', min: 1, max: 2.333, step: 0.01 }]
+    ] },
+    { title: 'Inspection', bindings: [
+        ['focusHops', { label: 'focus hops', min: 0, max: 4, step: 1 }]
+    ] },
+    { title: 'Level of Detail', bindings: [
+        ['lodUnits', { label: 'min units', min: 0, max: 512, step: 1 }],
+        ['lodDistance', { label: 'distance', min: 0, max: 50, step: 1 }]
+    ] },
+    { title: 'Feature Maps', bindings: [
+        ['featureMaps', { label: 'volumes' }],
+        ['featureMapSlices', { label: 'slices' }]
+    ] }
+];
+
+// Expensive to apply, so only sent once the slider is released
+const DEFERRED_KEYS = new Set(['particleCount']);
+
+/**
+ * { min, max } of a numeric param's slider, or null if it has none. Values
+ * coming from outside the panel are clamped to these.
+ */
+export function getParamRange(key) {
+    for (const { bindings } of FOLDERS) {
+        const binding = bindings.find(([name]) => name === key);
+        if (binding && binding[1].min !== undefined) {
+            return { min: binding[1].min, max: binding[1].max };
+        }
+    }
+    return null;
+}
+
+/**
+ * Tweakpane panel bound directly to NeuralNetworkVisualization.params.
+ * Tweakpane writes the new value into params; onChange(key) then lets the
+ * app push it into the renderer and components. `actions` become buttons
+ * at the bottom of the pane.
+ */
+export class ControlPanel {
+    constructor(params, { onChange, actions = [] }, container = document.body) {
+        this.params = params;
+        this.onChange = onChange;
+        this.actions = actions;
+        
+        this.element = document.createElement('div');
+        this.element.className = 'control-panel';
+        container.appendChild(this.element);
+        
+        // Keep clicks on the panel from reaching the canvas handlers
+        this.element.addEventListener('click', (e) => e.stopPropagation());
+        
+        this.pane = new Pane({ title: 'Parameters', expanded: false, container: this.element });
+        this.createBindings();
+        
+        this.pane.on('change', (ev) => {
+            const key = ev.target.key;
+            if (ev.last || !DEFERRED_KEYS.has(key)) {
+                this.onChange(key);
+            }
+        });
+    }
+    
+    createBindings() {
+        this.pane.addBinding(this.params, 'layout', {
+            options: Object.fromEntries(getLayoutNames().map(name => [name, name]))
+        });
+        this.setThemeOptions(getThemeNames());
+        
+        FOLDERS.forEach(({ title, bindings }) => {
+            const folder = this.pane.addFolder({ title, expanded: false });
+            bindings.forEach(([key, options]) => folder.addBinding(this.params, key, options));
+        });
+        
+        this.actions.forEach(({ title, onClick }) => {
+            this.pane.addButton({ title }).on('click', onClick);
+        });
+    }
+    
+    setThemeOptions(names) {
+        // Rebuilt when custom themes are registered; sits right below layout
+        this.themeBinding?.dispose();
+        this.themeBinding = this.pane.addBinding(this.params, 'theme', {
+            options: Object.fromEntries(names.map(name => [name, name])),
+            index: 1
+        });
+    }
+    
+    refresh() {
+        // Re-read params after they were changed from code
+        this.pane.refresh();
+    }
+    
+    dispose() {
+        this.pane.dispose();
+        this.element.remove();
+    }
+}
\ No newline at end of file
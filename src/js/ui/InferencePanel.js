@@ -0,0 +1,185 @@
+/**
+ * Input panel for MLPRuntime. Image-like input layers (a 2-D `meta.shape`
+ * or a square unit count) get a grid to draw on; anything else gets one
+ * number field per input node. Every change runs the network through
+ * `onRun(input, { animate })` and the returned outputs are listed below.
+ * Hidden while the displayed topology can't be run.
+ */
+export class InferencePanel {
+    constructor(onRun, container = document.body) {
+        this.onRun = onRun;
+        this.container = container;
+        this.runtime = null;
+        this.topology = null;
+        this.input = [];
+        this.painting = null;
+        
+        this.createElement();
+        this.bindEvents();
+    }
+    
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'inference-panel hidden';
+        this.element.innerHTML = `
+            <div class="inference-title"></div>
+            <div class="inference-inputs"></div>
+            <label class="inference-animate">
+                <input type="checkbox"> Animate layer by layer
+            </label>
+            <ol class="inference-outputs"></ol>
+        `;
+        
+        this.title = this.element.querySelector('.inference-title');
+        this.inputs = this.element.querySelector('.inference-inputs');
+        this.animateToggle = this.element.querySelector('.inference-animate input');
+        this.outputs = this.element.querySelector('.inference-outputs');
+        
+        this.container.appendChild(this.element);
+    }
+    
+    bindEvents() {
+        // Keep clicks on the panel from reaching the canvas handlers
+        this.element.addEventListener('click', (e) => e.stopPropagation());
+        
+        this.onPointerUp = () => {
+            if (this.painting === null) return;
+            this.painting = null;
+            this.run();
+        };
+        window.addEventListener('pointerup', this.onPointerUp);
+        
+        this.animateToggle.addEventListener('change', () => this.run());
+    }
+    
+    setRuntime(runtime, topology) {
+        this.runtime = runtime;
+        this.topology = topology;
+        this.painting = null;
+        this.inputs.innerHTML = '';
+        this.outputs.innerHTML = '';
+        this.element.classList.toggle('hidden', !runtime);
+        if (!runtime) return;
+        
+        this.title.textContent = topology.name;
+        this.input = new Array(runtime.inputSize).fill(0);
+        
+        const gridShape = this.getGridShape();
+        if (gridShape) {
+            this.createGrid(...gridShape);
+        } else {
+            this.createFields();
+        }
+        
+        this.run();
+    }
+    
+    getGridShape() {
+        const inputLayer = this.topology.layers[0];
+        const shape = inputLayer.meta?.shape;
+        
+        if (Array.isArray(shape) && shape.length === 2 && shape[0] * shape[1] === this.runtime.inputSize) {
+            return shape;
+        }
+        
+        const side = Math.round(Math.sqrt(this.runtime.inputSize));
+        return side >= 3 && side * side === this.runtime.inputSize ? [side, side] : null;
+    }
+    
+    createGrid(rows, cols) {
+        const grid = document.createElement('div');
+        grid.className = 'inference-grid';
+        grid.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+        
+        // Drag to paint; starting on a filled cell erases instead
+        const paint = (cell) => {
+            const index = Number(cell.dataset.index);
+            if (this.input[index] === this.painting) return;
+            
+            this.input[index] = this.painting;
+            cell.classList.toggle('filled', this.painting === 1);
+            if (!this.animateToggle.checked) this.run();
+        };
+        
+        for (let i = 0; i < rows * cols; i++) {
+            const cell = document.createElement('div');
+            cell.className = 'inference-cell';
+            cell.dataset.index = i;
+            grid.appendChild(cell);
+        }
+        
+        grid.addEventListener('pointerdown', (e) => {
+            if (!e.target.dataset.index) return;
+            e.preventDefault();
+            this.painting = this.input[Number(e.target.dataset.index)] === 1 ? 0 : 1;
+            paint(e.target);
+        });
+        
+        // Touch pointers stay captured by the first cell, so hit-test instead
+        grid.addEventListener('pointermove', (e) => {
+            if (this.painting === null) return;
+            const cell = document.elementFromPoint(e.clientX, e.clientY);
+            if (cell && cell.parentNode === grid) paint(cell);
+        });
+        
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.textContent = 'Clear';
+        clear.addEventListener('click', () => {
+            this.input.fill(0);
+            grid.querySelectorAll('.filled').forEach(cell => cell.classList.remove('filled'));
+            this.run();
+        });
+        
+        this.inputs.append(grid, clear);
+    }
+    
+    createFields() {
+        this.runtime.inputIds.forEach((id, i) => {
+            const node = this.topology.nodes[this.topology.getNodeIndex(id)];
+            const field = document.createElement('label');
+            field.className = 'inference-field';
+            field.innerHTML = `<span></span><input type="number" step="0.1" value="0">`;
+            field.querySelector('span').textContent = node.label;
+            
+            field.querySelector('input').addEventListener('input', (e) => {
+                this.input[i] = Number(e.target.value) || 0;
+                this.run();
+            });
+            
+            this.inputs.appendChild(field);
+        });
+    }
+    
+    run() {
+        if (!this.runtime) return;
+        
+        try {
+            const { outputs } = this.onRun(this.input.slice(), { animate: this.animateToggle.checked });
+            this.showOutputs(outputs);
+        } catch (error) {
+            console.error('Inference failed:', error);
+        }
+    }
+    
+    showOutputs(outputs) {
+        const best = outputs.indexOf(Math.max(...outputs));
+        
+        this.outputs.innerHTML = '';
+        this.runtime.outputIds.forEach((id, i) => {
+            const node = this.topology.nodes[this.topology.getNodeIndex(id)];
+            const item = document.createElement('li');
+            item.classList.toggle('best', outputs.length > 1 && i === best);
+            item.innerHTML = `<span></span><meter min="0" max="1"></meter><code></code>`;
+            item.querySelector('span').textContent = node.label;
+            item.querySelector('meter').value = Math.min(Math.abs(outputs[i]), 1);
+            item.querySelector('code').textContent = outputs[i].toFixed(3);
+            this.outputs.appendChild(item);
+        });
+    }
+    
+    dispose() {
+        window.removeEventListener('pointerup', this.onPointerUp);
+        this.element.remove();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Small loss chart pinned to a corner of the page, with a marker that
+ * follows TrainingReplay's current epoch. Draws validation loss as a
+ * dashed line when the snapshots have it.
+ */
+export class LossCurveOverlay {
+    constructor(replay, container = document.body) {
+        this.replay = replay;
+        this.container = container;
+        this.width = 280;
+        this.height = 140;
+        this.padding = 24;
+        
+        this.createElement();
+        
+        this.onChange = () => this.draw();
+        this.replay.addEventListener('change', this.onChange);
+        this.draw();
+    }
+    
+    createElement() {
+        const pixelRatio = Math.min(window.devicePixelRatio, 2);
+        
+        this.element = document.createElement('div');
+        this.element.className = 'loss-overlay hidden';
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width * pixelRatio;
+        this.canvas.height = this.height * pixelRatio;
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+        
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.scale(pixelRatio, pixelRatio);
+        
+        this.element.appendChild(this.canvas);
+        this.container.appendChild(this.element);
+    }
+    
+    getSeries() {
+        const { snapshots } = this.replay;
+        return {
+            loss: snapshots.map(s => s.loss),
+            valLoss: snapshots.map(s => s.valLoss)
+        };
+    }
+    
+    draw() {
+        const { loaded, snapshots } = this.replay;
+        const { loss, valLoss } = this.getSeries();
+        const hasLoss = loss.some(v => v !== null);
+        
+        this.element.classList.toggle('hidden', !loaded || !hasLoss);
+        if (!loaded || !hasLoss) return;
+        
+        const ctx = this.ctx;
+        const { width, height, padding } = this;
+        const values = [...loss, ...valLoss].filter(v => v !== null);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min || 1;
+        const last = Math.max(snapshots.length - 1, 1);
+        
+        const x = (index) => padding + (index / last) * (width - padding * 2);
+        const y = (value) => height - padding - ((value - min) / range) * (height - padding * 2);
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        // Axes
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, height - padding);
+        ctx.lineTo(width - padding, height - padding);
+        ctx.stroke();
+        
+        const drawSeries = (series, color, dash) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            
+            let started = false;
+            series.forEach((value, index) => {
+                if (value === null) return;
+                if (started) ctx.lineTo(x(index), y(value));
+                else ctx.moveTo(x(index), y(value));
+                started = true;
+            });
+            
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+        
+        drawSeries(valLoss, '#4488ff', [4, 3]);
+        drawSeries(loss, '#ff8844', []);
+        
+        // Current epoch marker
+        const markerX = x(this.replay.time);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(markerX, padding);
+        ctx.lineTo(markerX, height - padding);
+        ctx.stroke();
+        
+        const current = this.replay.getLoss();
+        if (current !== null) {
+            ctx.fillStyle = '#ff8844';
+            ctx.beginPath();
+            ctx.arc(markerX, y(current), 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        // Labels
+        ctx.fillStyle = '#333';
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(this.replay.getLabel(), padding, 6);
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(max.toPrecision(3), 2, padding + 4);
+        ctx.fillText(min.toPrecision(3), 2, height - padding);
+    }
+    
+    dispose() {
+        this.replay.removeEventListener('change', this.onChange);
+        this.element.remove();
+    }
+}
\ No newline at end of file
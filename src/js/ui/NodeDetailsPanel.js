@@ -0,0 +1,132 @@
+import { formatValue } from './NodeTooltip.js';
+
+// Connections listed per direction, strongest first
+const MAX_CONNECTIONS = 50;
+
+/**
+ * Detail panel for the selected node: layer, activation, bias and its
+ * incoming and outgoing connections with their weights. Clicking a
+ * connection calls `onSelect(id)` with the node at its other end; the
+ * close button calls `onClose()`. With a `path` ({ label, direction,
+ * edgeCount }) it also names the node the highlighted path leads to; a
+ * null direction means the two aren't connected.
+ */
+export class NodeDetailsPanel {
+    constructor({ onSelect, onClose }, container = document.body) {
+        this.onSelect = onSelect;
+        this.onClose = onClose;
+        this.container = container;
+        
+        this.createElement();
+        this.bindEvents();
+    }
+    
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'node-details hidden';
+        this.element.innerHTML = `
+            <div class="node-details-header">
+                <span class="node-details-title"></span>
+                <button type="button" class="node-details-close" aria-label="Close">×</button>
+            </div>
+            <dl class="node-details-fields"></dl>
+            <div class="node-details-heading" data-list="incoming"></div>
+            <ol class="node-details-list" data-list="incoming"></ol>
+            <div class="node-details-heading" data-list="outgoing"></div>
+            <ol class="node-details-list" data-list="outgoing"></ol>
+        `;
+        
+        this.title = this.element.querySelector('.node-details-title');
+        this.fields = this.element.querySelector('.node-details-fields');
+        this.headings = {
+            incoming: this.element.querySelector('.node-details-heading[data-list="incoming"]'),
+            outgoing: this.element.querySelector('.node-details-heading[data-list="outgoing"]')
+        };
+        this.lists = {
+            incoming: this.element.querySelector('.node-details-list[data-list="incoming"]'),
+            outgoing: this.element.querySelector('.node-details-list[data-list="outgoing"]')
+        };
+        
+        this.container.appendChild(this.element);
+    }
+    
+    bindEvents() {
+        // Keep clicks on the panel from reaching the canvas handlers
+        this.element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            
+            if (e.target.closest('.node-details-close')) {
+                this.onClose();
+                return;
+            }
+            
+            const item = e.target.closest('[data-node-id]');
+            if (item) this.onSelect(item.dataset.nodeId);
+        });
+    }
+    
+    show(info, path = null) {
+        this.title.textContent = info.label === info.id ? info.id : `${info.label} (${info.id})`;
+        
+        const fields = [
+            ['Layer', info.layerLabel],
+            ['Activation', formatValue(info.activation)],
+            ['Bias', formatValue(info.bias)],
+            ['Degree', String(info.degree)]
+        ];
+        if (info.summary) fields.push(['Stands for', 'the rest of a summarized layer']);
+        if (path) {
+            const edges = `${path.edgeCount} edge${path.edgeCount === 1 ? '' : 's'}`;
+            fields.push(['Path to', path.direction
+                ? `${path.label} (${edges}, ${path.direction})`
+                : `${path.label} (not connected)`]);
+        }
+        
+        this.fields.replaceChildren(...fields.flatMap(([name, value]) => {
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = name;
+            detail.textContent = value;
+            return [term, detail];
+        }));
+        
+        this.showConnections('incoming', 'Incoming', info.incoming);
+        this.showConnections('outgoing', 'Outgoing', info.outgoing);
+        
+        this.element.classList.remove('hidden');
+    }
+    
+    showConnections(key, title, connections) {
+        const sorted = [...connections].sort((a, b) => Math.abs(b.weight ?? 0) - Math.abs(a.weight ?? 0));
+        const hidden = sorted.length - MAX_CONNECTIONS;
+        
+        this.headings[key].textContent = `${title} (${connections.length})`;
+        this.lists[key].replaceChildren(...sorted.slice(0, MAX_CONNECTIONS).map(connection => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            const weight = document.createElement('code');
+            
+            item.dataset.nodeId = connection.id;
+            item.title = connection.id;
+            name.textContent = connection.label;
+            weight.textContent = formatValue(connection.weight);
+            item.append(name, weight);
+            return item;
+        }));
+        
+        if (hidden > 0) {
+            const more = document.createElement('li');
+            more.className = 'node-details-more';
+            more.textContent = `+${hidden} more`;
+            this.lists[key].appendChild(more);
+        }
+    }
+    
+    hide() {
+        this.element.classList.add('hidden');
+    }
+    
+    dispose() {
+        this.element.remove();
+    }
+}
\ No newline at end of file
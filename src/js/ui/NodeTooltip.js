@@ -0,0 +1,88 @@
+export function formatValue(value) {
+    // Activations, weights and biases; null when the topology has none
+    return typeof value === 'number' ? value.toFixed(3) : '—';
+}
+
+/**
+ * Small label that follows the pointer over a hovered node, edge or
+ * collapsed layer, built from NeuralNetworkMesh.describeNode / describeEdge
+ * and LayerAggregation.describeLayer.
+ */
+export class NodeTooltip {
+    constructor(container = document.body) {
+        this.container = container;
+        
+        this.element = document.createElement('div');
+        this.element.className = 'node-tooltip hidden';
+        this.container.appendChild(this.element);
+    }
+    
+    showNode(info) {
+        const title = info.label === info.id ? info.id : `${info.label} (${info.id})`;
+        
+        this.setRows(title, [
+            ['Layer', info.layerLabel],
+            ['Activation', formatValue(info.activation)],
+            ['Degree', `${info.degree} (${info.incoming.length} in, ${info.outgoing.length} out)`]
+        ]);
+    }
+    
+    showEdge(info) {
+        const rows = [['Weight', formatValue(info.weight)]];
+        if (info.signal !== null) rows.push(['Signal', formatValue(info.signal)]);
+        if (info.label) rows.unshift(['Label', info.label]);
+        
+        this.setRows(`${info.source.label} → ${info.target.label}`, rows);
+    }
+    
+    showLayer(info) {
+        // A collapsed layer's aggregate, from LayerAggregation.describeLayer
+        const rows = [
+            ['Units', info.units === info.nodeCount ? info.units : `${info.units} (${info.nodeCount} drawn)`],
+            ['Mean activation', formatValue(info.meanActivation)],
+            ['Max |activation|', formatValue(info.maxActivation)],
+            ['Mean |weight| in', formatValue(info.meanWeight)],
+            ['Edges', `${info.incoming} in, ${info.outgoing} out`]
+        ];
+        if (info.featureMap) {
+            const { height, width, channels } = info.featureMap;
+            rows.unshift(['Feature map', `${height}×${width}×${channels}`]);
+        }
+        if (info.type) rows.unshift(['Type', info.type]);
+        
+        // Feature-map volumes are the layer's usual look, not a fold
+        this.setRows(info.featureMap ? info.label : `${info.label} (collapsed)`, rows);
+    }
+    
+    setRows(title, rows) {
+        // Labels come from user-supplied topologies, so no innerHTML
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        
+        const lines = rows.map(([name, value]) => {
+            const line = document.createElement('div');
+            line.textContent = `${name}: ${value}`;
+            return line;
+        });
+        
+        this.element.replaceChildren(heading, ...lines);
+        this.element.classList.remove('hidden');
+    }
+    
+    moveTo(x, y) {
+        // Beside the pointer, flipped to stay on screen
+        const { offsetWidth, offsetHeight } = this.element;
+        const left = x + 14 + offsetWidth > window.innerWidth ? x - 14 - offsetWidth : x + 14;
+        const top = y + 14 + offsetHeight > window.innerHeight ? y - 14 - offsetHeight : y + 14;
+        
+        this.element.style.transform = `translate(${left}px, ${top}px)`;
+    }
+    
+    hide() {
+        this.element.classList.add('hidden');
+    }
+    
+    dispose() {
+        this.element.remove();
+    }
+}
\ No newline at end of file
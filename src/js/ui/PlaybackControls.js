@@ -0,0 +1,92 @@
+/**
+ * Timeline bar for ForwardPassPlayback and TrainingReplay: step back,
+ * play/pause, step forward, a scrubber and a speed selector. Hidden until
+ * the controller has something loaded.
+ */
+export class PlaybackControls {
+    constructor(playback, container = document.body) {
+        this.playback = playback;
+        this.container = container;
+        this.scrubbing = false;
+        
+        this.createElement();
+        this.bindEvents();
+        this.update();
+    }
+    
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'playback-controls hidden';
+        this.element.innerHTML = `
+            <button type="button" data-action="back" title="Previous step" aria-label="Previous step">&#x23EE;</button>
+            <button type="button" data-action="toggle" title="Play / pause" aria-label="Play">&#x25B6;</button>
+            <button type="button" data-action="forward" title="Next step" aria-label="Next step">&#x23ED;</button>
+            <input type="range" class="playback-scrubber" min="0" max="1" step="0.001" value="0" aria-label="Timeline">
+            <span class="playback-label"></span>
+            <select class="playback-speed" aria-label="Speed">
+                <option value="0.25">0.25×</option>
+                <option value="0.5">0.5×</option>
+                <option value="1" selected>1×</option>
+                <option value="2">2×</option>
+                <option value="4">4×</option>
+            </select>
+        `;
+        
+        this.toggleButton = this.element.querySelector('[data-action="toggle"]');
+        this.scrubber = this.element.querySelector('.playback-scrubber');
+        this.label = this.element.querySelector('.playback-label');
+        this.speedSelect = this.element.querySelector('.playback-speed');
+        
+        this.container.appendChild(this.element);
+    }
+    
+    bindEvents() {
+        // Keep clicks on the bar from reaching the canvas handlers
+        this.element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            
+            const action = e.target.dataset.action;
+            if (action === 'back') this.playback.stepBackward();
+            if (action === 'toggle') this.playback.toggle();
+            if (action === 'forward') this.playback.stepForward();
+        });
+        
+        this.scrubber.addEventListener('input', () => {
+            this.scrubbing = true;
+            this.playback.pause();
+            this.playback.seek(Number(this.scrubber.value) * this.playback.duration);
+        });
+        
+        this.scrubber.addEventListener('change', () => {
+            this.scrubbing = false;
+        });
+        
+        this.speedSelect.addEventListener('change', () => {
+            this.playback.setSpeed(Number(this.speedSelect.value));
+        });
+        
+        this.onChange = () => this.update();
+        this.playback.addEventListener('change', this.onChange);
+    }
+    
+    update() {
+        const { loaded, playing, time, duration } = this.playback;
+        
+        this.element.classList.toggle('hidden', !loaded);
+        if (!loaded) return;
+        
+        this.toggleButton.innerHTML = playing ? '&#x23F8;' : '&#x25B6;';
+        this.toggleButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+        
+        if (!this.scrubbing) {
+            this.scrubber.value = duration > 0 ? time / duration : 0;
+        }
+        
+        this.label.textContent = this.playback.getLabel();
+    }
+    
+    dispose() {
+        this.playback.removeEventListener('change', this.onChange);
+        this.element.remove();
+    }
+}
\ No newline at end of file
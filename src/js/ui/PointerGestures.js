@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+
+/**
+ * Pointer Events on the canvas, sorted into the gestures the app reacts to.
+ * OrbitControls handles its own pointers on the same element (drag to
+ * orbit, pinch to zoom), so this only watches them and tells taps apart
+ * from drags: a press that moves more than `tapSlop` pixels, or that gets
+ * a second finger, is an orbit and never becomes a tap.
+ *
+ * Dispatches, each with { x, y } client coordinates, `pointerType` and
+ * `shiftKey`:
+ * - 'tap': a short press and release in place
+ * - 'doubletap': a second tap within `doubleTapDelay` ms near the first,
+ *   dispatched after its own 'tap'
+ * - 'longpress': a touch or pen held in place for `longPressDelay` ms;
+ *   no tap follows it
+ * - 'hover': a mouse or pen moving with no button down
+ * - 'leave': hovering ended, because the mouse or pen left the canvas or
+ *   a touch began (no coordinates)
+ */
+export class PointerGestures extends THREE.EventDispatcher {
+    constructor(element, { tapSlop = 8, longPressDelay = 500, doubleTapDelay = 300 } = {}) {
+        super();
+        
+        this.element = element;
+        this.tapSlop = tapSlop;
+        this.longPressDelay = longPressDelay;
+        this.doubleTapDelay = doubleTapDelay;
+        
+        // Pointers currently down, by pointerId
+        this.pointers = new Map();
+        // The press that may still become a tap or a long press
+        this.press = null;
+        this.longPressTimer = null;
+        // The last tap, which a second one may turn into a double tap
+        this.lastTap = null;
+        
+        this.handlers = {
+            pointerdown: (e) => this.onPointerDown(e),
+            pointermove: (e) => this.onPointerMove(e),
+            pointerup: (e) => this.onPointerUp(e),
+            pointercancel: (e) => this.onPointerCancel(e),
+            pointerleave: (e) => this.onPointerLeave(e)
+        };
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            element.addEventListener(type, handler);
+        });
+    }
+    
+    onPointerDown(event) {
+        this.pointers.set(event.pointerId, event.pointerType);
+        
+        // Ends whatever a long press left on show
+        if (event.pointerType === 'touch') this.dispatchEvent({ type: 'leave' });
+        
+        // A second finger makes it a pinch, and only the primary button taps
+        if (this.pointers.size > 1 || event.button !== 0) {
+            this.cancelPress();
+            return;
+        }
+        
+        this.press = {
+            pointerId: event.pointerId,
+            x: event.clientX,
+            y: event.clientY,
+            pointerType: event.pointerType,
+            shiftKey: event.shiftKey
+        };
+        
+        // A mouse held still is the start of an orbit drag, not a long press
+        if (event.pointerType !== 'mouse') {
+            this.longPressTimer = setTimeout(() => {
+                const { x, y, pointerType, shiftKey } = this.press;
+                this.cancelPress();
+                this.dispatchEvent({ type: 'longpress', x, y, pointerType, shiftKey });
+            }, this.longPressDelay);
+        }
+    }
+    
+    onPointerMove(event) {
+        const { press } = this;
+        
+        if (press && press.pointerId === event.pointerId &&
+            Math.hypot(event.clientX - press.x, event.clientY - press.y) > this.tapSlop) {
+            this.cancelPress();
+        }
+        
+        // Touch has no hover, and a held button means a drag
+        if (event.pointerType !== 'touch' && event.buttons === 0) {
+            this.dispatchEvent({
+                type: 'hover',
+                x: event.clientX,
+                y: event.clientY,
+                pointerType: event.pointerType,
+                shiftKey: event.shiftKey
+            });
+        }
+    }
+    
+    onPointerUp(event) {
+        const { press } = this;
+        this.pointers.delete(event.pointerId);
+        
+        if (!press || press.pointerId !== event.pointerId) return;
+        
+        this.cancelPress();
+        const tap = {
+            x: event.clientX,
+            y: event.clientY,
+            pointerType: event.pointerType,
+            shiftKey: event.shiftKey
+        };
+        this.dispatchEvent({ type: 'tap', ...tap });
+        
+        const last = this.lastTap;
+        if (last && event.timeStamp - last.time <= this.doubleTapDelay &&
+            Math.hypot(tap.x - last.x, tap.y - last.y) <= this.tapSlop * 2) {
+            this.lastTap = null;
+            this.dispatchEvent({ type: 'doubletap', ...tap });
+        } else {
+            this.lastTap = { x: tap.x, y: tap.y, time: event.timeStamp };
+        }
+    }
+    
+    onPointerCancel(event) {
+        this.pointers.delete(event.pointerId);
+        this.cancelPress();
+    }
+    
+    onPointerLeave(event) {
+        if (event.pointerType !== 'touch') {
+            this.dispatchEvent({ type: 'leave' });
+        }
+    }
+    
+    cancelPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+        this.press = null;
+    }
+    
+    dispose() {
+        this.cancelPress();
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.element.removeEventListener(type, handler);
+        });
+    }
+}
\ No newline at end of file
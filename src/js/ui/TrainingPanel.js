@@ -0,0 +1,151 @@
+import { getDatasetNames } from '../training/Datasets.js';
+
+const LEARNING_RATES = [0.003, 0.01, 0.03, 0.1, 0.3];
+// Must match the grid training.worker.js predicts (Trainer.predictGrid)
+const BOUNDARY_RESOLUTION = 32;
+const BOUNDARY_EXTENT = 1.2;
+
+/**
+ * Controls for LiveTraining: dataset and learning-rate pickers, train /
+ * pause / step / stop buttons, and a TensorFlow Playground-style plot of
+ * the data points over the model's current decision boundary.
+ */
+export class TrainingPanel {
+    constructor(training, { onStart, onStop }, container = document.body) {
+        this.training = training;
+        this.onStart = onStart;
+        this.onStop = onStop;
+        this.container = container;
+        this.size = 160;
+        
+        this.createElement();
+        this.bindEvents();
+        this.update();
+    }
+    
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'training-panel';
+        this.element.innerHTML = `
+            <div class="training-row">
+                <select class="training-dataset" aria-label="Dataset">
+                    ${getDatasetNames().map(name => `<option value="${name}">${name}</option>`).join('')}
+                </select>
+                <select class="training-rate" aria-label="Learning rate" title="Learning rate">
+                    ${LEARNING_RATES.map(rate => `<option value="${rate}">lr ${rate}</option>`).join('')}
+                </select>
+            </div>
+            <div class="training-row">
+                <button type="button" data-action="train">Train</button>
+                <button type="button" data-action="toggle">Pause</button>
+                <button type="button" data-action="step" title="One epoch">Step</button>
+                <button type="button" data-action="stop">Stop</button>
+            </div>
+            <canvas class="training-boundary"></canvas>
+            <div class="training-label"></div>
+        `;
+        
+        this.datasetSelect = this.element.querySelector('.training-dataset');
+        this.rateSelect = this.element.querySelector('.training-rate');
+        this.rateSelect.value = '0.1';
+        this.buttons = {};
+        this.element.querySelectorAll('[data-action]').forEach(button => {
+            this.buttons[button.dataset.action] = button;
+        });
+        this.label = this.element.querySelector('.training-label');
+        
+        const pixelRatio = Math.min(window.devicePixelRatio, 2);
+        this.canvas = this.element.querySelector('.training-boundary');
+        this.canvas.width = this.size * pixelRatio;
+        this.canvas.height = this.size * pixelRatio;
+        this.canvas.style.width = `${this.size}px`;
+        this.canvas.style.height = `${this.size}px`;
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.scale(pixelRatio, pixelRatio);
+        
+        // Boundary is painted at grid resolution, then scaled up smoothly
+        this.boundaryCanvas = document.createElement('canvas');
+        this.boundaryCanvas.width = BOUNDARY_RESOLUTION;
+        this.boundaryCanvas.height = BOUNDARY_RESOLUTION;
+        this.boundaryImage = this.boundaryCanvas.getContext('2d').createImageData(BOUNDARY_RESOLUTION, BOUNDARY_RESOLUTION);
+        
+        this.container.appendChild(this.element);
+    }
+    
+    bindEvents() {
+        // Keep clicks on the panel from reaching the canvas handlers
+        this.element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            
+            const action = e.target.dataset.action;
+            if (action === 'train') {
+                this.onStart(this.datasetSelect.value, { learningRate: Number(this.rateSelect.value) });
+            }
+            if (action === 'toggle') this.training.toggle();
+            if (action === 'step') this.training.stepForward();
+            if (action === 'stop') this.onStop();
+        });
+        
+        this.rateSelect.addEventListener('change', () => {
+            this.training.setLearningRate(Number(this.rateSelect.value));
+        });
+        
+        this.onChange = () => this.update();
+        this.training.addEventListener('change', this.onChange);
+    }
+    
+    update() {
+        const { loaded, playing } = this.training;
+        
+        this.element.classList.toggle('active', loaded);
+        this.buttons.toggle.textContent = playing ? 'Pause' : 'Resume';
+        this.buttons.toggle.disabled = !loaded;
+        this.buttons.step.disabled = !loaded;
+        this.buttons.stop.disabled = !loaded;
+        this.label.textContent = loaded ? this.training.getLabel() : '';
+        
+        if (loaded) this.draw();
+    }
+    
+    draw() {
+        const { ctx, size } = this;
+        const { dataset, boundary } = this.training;
+        const extent = BOUNDARY_EXTENT;
+        
+        ctx.clearRect(0, 0, size, size);
+        
+        // Orange where the model predicts 1, blue where it predicts 0
+        if (boundary) {
+            const pixels = this.boundaryImage.data;
+            
+            boundary.forEach((p, i) => {
+                pixels[i * 4] = 68 + (255 - 68) * p;
+                pixels[i * 4 + 1] = 136 + (170 - 136) * p;
+                pixels[i * 4 + 2] = 255 + (68 - 255) * p;
+                pixels[i * 4 + 3] = 60 + 100 * Math.abs(p - 0.5) * 2;
+            });
+            
+            this.boundaryCanvas.getContext('2d').putImageData(this.boundaryImage, 0, 0);
+            ctx.imageSmoothingEnabled = true;
+            ctx.drawImage(this.boundaryCanvas, 0, 0, size, size);
+        }
+        
+        if (dataset) {
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 1;
+            
+            dataset.inputs.forEach(([x, y], i) => {
+                ctx.fillStyle = dataset.labels[i] === 1 ? '#ff8844' : '#4488ff';
+                ctx.beginPath();
+                ctx.arc((x / extent + 1) * size / 2, (1 - y / extent) * size / 2, 2.5, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+            });
+        }
+    }
+    
+    dispose() {
+        this.training.removeEventListener('change', this.onChange);
+        this.element.remove();
+    }
+}
\ No newline at end of file
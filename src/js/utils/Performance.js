@@ -1,59 +1,128 @@
-export class Performance {
-    constructor() {
-        this.fps = 0;
-        this.ms = 0;
-        this.frames = 0;
-        this.prevTime = performance.now();
-        
-        if (process.env.NODE_ENV === 'development') {
-            this.createPanel();
-        }
+import { EventDispatcher } from 'three';
+
+// Quality tiers from cheapest to best; the last one is the full look.
+// particleScale and cloudScale scale the user's particleCount and
+// cloudDensity, pixelRatio is capped by the device's and bloomScale sizes
+// the bloom buffers against the canvas.
+export const QUALITY_TIERS = [
+    { name: 'low', pixelRatio: 0.75, particleScale: 0.25, bloom: false, bloomScale: 0.5, smaa: false, shadowMapSize: 512, cloudScale: 0.3 },
+    { name: 'medium', pixelRatio: 1, particleScale: 0.5, bloom: true, bloomScale: 0.5, smaa: false, shadowMapSize: 1024, cloudScale: 0.6 },
+    { name: 'high', pixelRatio: 1.5, particleScale: 0.75, bloom: true, bloomScale: 0.75, smaa: true, shadowMapSize: 2048, cloudScale: 1 },
+    { name: 'ultra', pixelRatio: 2, particleScale: 1, bloom: true, bloomScale: 1, smaa: true, shadowMapSize: 2048, cloudScale: 1 }
+];
+
+/**
+ * Steps through QUALITY_TIERS by frame rate. Frames are averaged over
+ * `sampleWindow` seconds: below `lowFps` drops a tier, and `upgradeDelay`
+ * seconds in a row at `highFps` or better climb one. Between the two
+ * nothing changes, and a tier that had to be dropped doubles its upgrade
+ * delay (up to `maxUpgradeDelay` seconds), so the governor doesn't bounce
+ * between two tiers but still retries now and then. A forced tier
+ * (setForcedTier) holds until cleared.
+ *
+ * Dispatches 'change' events ({ tier, settings, forced }) with the tier's
+ * name and its entry in QUALITY_TIERS.
+ */
+export class QualityGovernor extends EventDispatcher {
+    constructor({
+        tiers = QUALITY_TIERS,
+        tier = tiers[tiers.length - 1].name,
+        lowFps = 45,
+        highFps = 57,
+        sampleWindow = 2,
+        upgradeDelay = 5,
+        maxUpgradeDelay = 60
+    } = {}) {
+        super();
+        
+        this.tiers = tiers;
+        this.lowFps = lowFps;
+        this.highFps = highFps;
+        this.sampleWindow = sampleWindow;
+        this.upgradeDelays = tiers.map(() => upgradeDelay);
+        this.maxUpgradeDelay = maxUpgradeDelay;
+        
+        this.tierIndex = this.getTierIndex(tier);
+        this.forced = false;
+        this.resetSamples();
     }
     
-    begin() {
-        this.beginTime = performance.now();
+    get tier() {
+        return this.tiers[this.tierIndex].name;
     }
     
-    end() {
-        this.frames++;
-        const time = performance.now();
-        
-        this.ms = time - this.beginTime;
-        
-        if (time >= this.prevTime + 1000) {
-            this.fps = (this.frames * 1000) / (time - this.prevTime);
-            this.frames = 0;
-            this.prevTime = time;
-            
-            if (this.panel) {
-                this.updatePanel();
-            }
+    get settings() {
+        return this.tiers[this.tierIndex];
+    }
+    
+    getTierIndex(name) {
+        const index = this.tiers.findIndex(tier => tier.name === name);
+        if (index === -1) {
+            throw new Error(`Unknown quality tier "${name}"`);
         }
+        return index;
+    }
+    
+    setForcedTier(name) {
+        // A tier name to hold, or null to adapt again from the current tier
+        const index = name === null ? this.tierIndex : this.getTierIndex(name);
+        this.forced = name !== null;
+        this.setTier(index);
+        this.resetSamples();
+    }
+    
+    resetSamples() {
+        this.sampleTime = 0;
+        this.sampleFrames = 0;
+        this.goodTime = 0;
+        // Frames right after a change include shader compiles and
+        // reallocated buffers, so they don't count
+        this.settleTime = 1;
     }
     
-    createPanel() {
-        this.panel = document.createElement('div');
-        this.panel.style.cssText = `
-            position: fixed;
-            top: 10px;
-            right: 10px;
-            width: 80px;
-            height: 48px;
-            background: rgba(0,0,0,0.9);
-            color: #fff;
-            font-family: monospace;
-            font-size: 12px;
-            padding: 4px;
-            pointer-events: none;
-            z-index: 10000;
-        `;
-        document.body.appendChild(this.panel);
+    update(deltaTime) {
+        if (this.forced) return;
+        
+        // Hidden tabs and long stalls say nothing about the quality
+        if (deltaTime > 0.5) return;
+        
+        if (this.settleTime > 0) {
+            this.settleTime -= deltaTime;
+            return;
+        }
+        
+        this.sampleTime += deltaTime;
+        this.sampleFrames++;
+        if (this.sampleTime < this.sampleWindow) return;
+        
+        const fps = this.sampleFrames / this.sampleTime;
+        const elapsed = this.sampleTime;
+        this.sampleTime = 0;
+        this.sampleFrames = 0;
+        
+        if (fps < this.lowFps) {
+            if (this.tierIndex > 0) {
+                const delay = this.upgradeDelays[this.tierIndex] * 2;
+                this.upgradeDelays[this.tierIndex] = Math.min(delay, this.maxUpgradeDelay);
+                this.setTier(this.tierIndex - 1);
+            }
+            this.goodTime = 0;
+        } else if (fps >= this.highFps) {
+            this.goodTime += elapsed;
+            const next = this.tierIndex + 1;
+            if (next < this.tiers.length && this.goodTime >= this.upgradeDelays[next]) {
+                this.setTier(next);
+            }
+        } else {
+            this.goodTime = 0;
+        }
     }
     
-    updatePanel() {
-        this.panel.innerHTML = `
-            <div>FPS: ${this.fps.toFixed(1)}</div>
-            <div>MS: ${this.ms.toFixed(2)}</div>
-        `;
+    setTier(index) {
+        if (index === this.tierIndex) return;
+        
+        this.tierIndex = index;
+        this.resetSamples();
+        this.dispatchEvent({ type: 'change', tier: this.tier, settings: this.settings, forced: this.forced });
     }
 }
\ No newline at end of file
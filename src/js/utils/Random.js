@@ -0,0 +1,29 @@
+// Seedable stand-in for Math.random() shared by every component, so a
+// deterministic render (see export/FrameRenderer.js) that seeds it before
+// building the scene and steps a fixed timestep gets the same frames every
+// time. Unseeded it starts from Math.random() and behaves like it.
+
+let state = Math.floor(Math.random() * 0x100000000);
+
+export function setRandomSeed(seed) {
+    // Any number or string; strings are hashed
+    state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+}
+
+export function random() {
+    // mulberry32: uniform in [0, 1)
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+}
+
+function hashString(text) {
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
\ No newline at end of file
@@ -1,9 +1,12 @@
 import * as THREE from 'three';
+import { readCheckpoint } from '../inference/Checkpoint.js';
 
 export class ResourceManager {
     constructor() {
         this.loadingManager = new THREE.LoadingManager();
         this.textureLoader = new THREE.TextureLoader(this.loadingManager);
+        this.fileLoader = new THREE.FileLoader(this.loadingManager);
+        this.fileLoader.setResponseType('arraybuffer');
         this.textures = {};
         this.disposed = false;
         
@@ -90,6 +93,40 @@ export class ResourceManager {
         });
     }
     
+    async loadWeights(source) {
+        // Named tensors (a Map of Float32 Tensors) from a .npy, .npz or
+        // .safetensors checkpoint, given as a URL, File or raw bytes.
+        // Downloads report their bytes as weightLoadProgress events
+        if (this.disposed) {
+            throw new Error('ResourceManager disposed');
+        }
+        
+        const url = typeof source === 'string' ? source : source.name || 'weights';
+        let buffer = source;
+        
+        if (typeof source === 'string') {
+            buffer = await this.fileLoader.loadAsync(source, (event) => {
+                this.dispatchWeightProgress(url, event.loaded, event.lengthComputable ? event.total : 0);
+            });
+        } else {
+            // Already at hand, so a single event for the whole file
+            buffer = source instanceof Blob ? await source.arrayBuffer() : source;
+            this.dispatchWeightProgress(url, buffer.byteLength, buffer.byteLength);
+        }
+        
+        return readCheckpoint(buffer, url);
+    }
+    
+    dispatchWeightProgress(url, loaded, total) {
+        // Like resourceLoadProgress, in bytes of one file; progress is null
+        // while the size is unknown
+        const progress = total ? (loaded / total) * 100 : null;
+        
+        window.dispatchEvent(new CustomEvent('weightLoadProgress', {
+            detail: { progress, url, loaded, total }
+        }));
+    }
+    
     createFallbackTexture() {
         const canvas = document.createElement('canvas');
         canvas.width = 64;